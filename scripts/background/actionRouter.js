@@ -0,0 +1,125 @@
+/**
+ * @file        actionRouter.js
+ * @description Routes runtime messages received by the RecycleContent background worker
+ *              to a handler per `ExtensionMessage.action`. Payloads are validated per
+ *              action before the handler runs, and every reply uses the documented
+ *              `{ status, data | error }` envelope with the caller's `requestId` echoed.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      ActionRouter
+ */
+
+import Logger from '../common/logger.js';
+
+const SOURCES = ['popup', 'content', 'background'];
+
+/**
+ * @typedef {Object} ActionResponse
+ * @property {'success'|'error'} status
+ * @property {*} [data] - Handler result, on success.
+ * @property {string} [error] - Error message, on failure.
+ * @property {string} [requestId] - Echo of the request's `requestId`.
+ */
+
+/**
+ * @typedef {Object} ActionHandler
+ * @property {function(*): (string|null)} [validate] - Returns why a payload is invalid, or null.
+ * @property {function(*, Object, chrome.runtime.MessageSender): Promise<*>} handle - Receives
+ *           the payload, the whole message and the sender.
+ */
+
+/**
+ * @class ActionRouter
+ * @description Dispatches `ExtensionMessage`s to registered action handlers.
+ */
+class ActionRouter {
+  constructor() {
+    /** @type {Map<string, ActionHandler>} */
+    this.handlers = new Map();
+  }
+
+  /**
+   * @function register
+   * @description Adds the handler for an action.
+   * @param {string} action - Value of `ExtensionMessage.action`.
+   * @param {ActionHandler} handler
+   * @returns {ActionRouter} This router, for chaining.
+   * @throws {Error} If the action already has a handler.
+   */
+  register(action, { validate = () => null, handle } = {}) {
+    if (this.handlers.has(action)) {
+      throw new Error(`Action already registered: ${action}`);
+    }
+    if (typeof handle !== 'function') {
+      throw new Error(`Action ${action} requires a handle function`);
+    }
+    this.handlers.set(action, { validate, handle });
+    return this;
+  }
+
+  /**
+   * @function route
+   * @description Validates a message and runs its action handler. Never rejects:
+   *              every failure is reported in the envelope.
+   * @param {Object} message - `ExtensionMessage` with `action`, optional `payload`,
+   *                           `requestId` and `source`.
+   * @param {chrome.runtime.MessageSender} [sender]
+   * @returns {Promise<ActionResponse>}
+   */
+  async route(message, sender) {
+    const requestId = message?.requestId;
+    try {
+      const handler = this.resolve(message);
+      const invalid = handler.validate(message.payload);
+      if (invalid) {
+        throw new Error(`Invalid payload for ${message.action}: ${invalid}`);
+      }
+
+      const data = await handler.handle(message.payload, message, sender);
+      return this.envelope({ status: 'success', data }, requestId);
+    } catch (error) {
+      Logger.warn(`Action ${message?.action} failed: ${error.message}`);
+      return this.envelope({ status: 'error', error: error.message }, requestId);
+    }
+  }
+
+  /**
+   * Look up the handler for a well-formed message.
+   * @private
+   * @param {Object} message
+   * @returns {ActionHandler}
+   * @throws {Error} If the message is malformed or the action unknown.
+   */
+  resolve(message) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+      throw new Error('Invalid message format');
+    }
+    if (message.requestId !== undefined && typeof message.requestId !== 'string') {
+      throw new Error('requestId must be a string');
+    }
+    if (message.source !== undefined && !SOURCES.includes(message.source)) {
+      throw new Error(`source must be one of: ${SOURCES.join(', ')}`);
+    }
+
+    const handler = this.handlers.get(message.action);
+    if (!handler) {
+      throw new Error(`Unknown action: ${message.action}`);
+    }
+    return handler;
+  }
+
+  /**
+   * @private
+   * @param {ActionResponse} response
+   * @param {string} [requestId]
+   * @returns {ActionResponse}
+   */
+  envelope(response, requestId) {
+    return typeof requestId === 'string' ? { ...response, requestId } : response;
+  }
+}
+
+export default ActionRouter;
@@ -10,38 +10,546 @@
  * @module      Background
  */
 
-import './messageQueue.js';
+import MessageQueue from './messageQueue.js';
+import QueueDispatcher from './queueDispatcher.js';
+import SendRateGovernor from './sendRateGovernor.js';
+import MaintenanceScheduler from './maintenanceScheduler.js';
+import ActionRouter from './actionRouter.js';
+import ProgressChannel from './progressChannel.js';
+import MigrationRunner from './migrationRunner.js';
+import StorageMonitor from './storageMonitor.js';
 import './notificationManager.js';
-import MessageProcessor from '../services/messageProcessor.js';
+import ExclusionList from '../services/exclusionList.js';
+import MediaHandler from '../services/mediaHandler.js';
+import MediaOwnership from '../services/mediaOwnership.js';
+import Constants from '../common/constants.js';
+import Events from '../common/events.js';
+import Storage from '../common/storage.js';
 
 const ALARM_NAME = 'recycleContentAlarm';
+const ONLYFANS_TAB_PATTERN = 'https://onlyfans.com/*';
 
 let initialized = false;
 let alarmListenerRegistered = false;
 
 /**
- * Handles incoming runtime messages.
- * @param {object} message - The message sent.
- * @param {object} sender - The sender of the message.
- * @param {function} sendResponse - Function to send response asynchronously.
- * @returns {boolean} true to keep message channel open for async response.
+ * Hands a due message to the content script in an open OnlyFans tab, with the fans
+ * it must leave out (buyers of the message and of any message sharing its media),
+ * and publishes `messageRecycled` when the content script
+ * reports how many fans it went to. A recycle job waiting for the send is completed.
+ * @param {object} message - Queue entry to send.
+ * @returns {Promise<void>}
+ * @throws {Error} If no tab is open or the content script did not confirm the send.
  */
-async function onMessageHandler(message, sender, sendResponse) {
-  console.log('Message received:', message);
+async function sendToOnlyFansTab(message) {
+  const [tab] = await chrome.tabs.query({ url: ONLYFANS_TAB_PATTERN });
+  if (!tab) {
+    throw new Error('No OnlyFans tab is open');
+  }
+
+  // Read in the worker: the exclusion lists may be encrypted
+  const excludedSubscribers = await MediaOwnership.getExcludedSubscribers(message.sourceMessageId ?? message.id, {
+    listIds: message.exclusionListId ? [message.exclusionListId] : [],
+  });
+  const response = await chrome.tabs.sendMessage(tab.id, {
+    action: Constants.ACTION_SEND_QUEUED_MESSAGE,
+    message,
+    payload: { excludedSubscribers },
+  });
+  if (response?.status !== 'success') {
+    throw new Error(response?.error || 'Content script did not confirm the send');
+  }
+
+  if (Number.isFinite(response.data?.sentTo)) {
+    Events.publish('messageRecycled', {
+      messageId: message.sourceMessageId ?? message.id,
+      sentTo: response.data.sentTo,
+      excludedCount: excludedSubscribers.length,
+    });
+  }
+  finishRecycleJob(message);
+}
+
+/**
+ * Ends the recycle job a queue entry was sent for, once the send succeeded or the
+ * entry was dead-lettered. Entries queued outside a recycle job are skipped.
+ * @param {object} message - Queue entry.
+ * @param {string} [error] - Why the send finally failed.
+ * @returns {void}
+ */
+function finishRecycleJob(message, error) {
+  if (!message.jobId) return;
+  progress.complete(message.jobId, {
+    messageId: message.sourceMessageId ?? message.id,
+    success: error === undefined,
+    error,
+  });
+}
+
+/**
+ * Asks the content script in an open OnlyFans tab for the buyers of a message.
+ * @param {string} messageId
+ * @param {string} jobId - Recycle job, so the content script can stop if it is cancelled.
+ * @returns {Promise<Array<string>>} Empty when no OnlyFans tab is open.
+ * @throws {Error} If the content script reports an error.
+ */
+async function collectBuyers(messageId, jobId) {
+  const [tab] = await chrome.tabs.query({ url: ONLYFANS_TAB_PATTERN });
+  if (!tab) return [];
 
-  if (!message || typeof message !== 'object') {
-    sendResponse({ status: 'error', error: 'Invalid message format' });
-    return false;
+  const response = await chrome.tabs.sendMessage(tab.id, {
+    action: Constants.ACTION_COLLECT_BUYERS,
+    payload: { messageId, jobId },
+  });
+  if (response?.status !== 'success') {
+    throw new Error(response?.error || 'Content script did not return the buyers');
   }
+  return response.data;
+}
+
+/** Re-arms or clears the dispatch alarm, sending what is due without waiting for it. */
+function rescheduleDispatch() {
+  dispatcher.schedule().catch((e) => console.error('Queue dispatch scheduling error:', e));
+}
+
+/**
+ * The exclusion list a recycle adds its buyers to: the chosen shared list, or the
+ * message's own list when none was chosen or the choice is a saved expression.
+ * @param {string} messageId
+ * @param {string} [exclusionListId]
+ * @returns {string} List or message ID.
+ */
+function buyerListRef(messageId, exclusionListId) {
+  return exclusionListId && !ExclusionList.isExpressionId(exclusionListId) ? exclusionListId : messageId;
+}
+
+/**
+ * The exclusion list a queue entry's buyers are recorded on.
+ * @param {object} message - Queue entry.
+ * @returns {Promise<object|null>}
+ */
+async function exclusionListFor(message) {
+  const ref = buyerListRef(message.sourceMessageId ?? message.id, message.exclusionListId);
+  return ExclusionList.getList(await ExclusionList.resolveListId(ref));
+}
+
+/**
+ * Version of the exclusion list a recycle's audience is filtered with, used in the
+ * queue's idempotency key: a recycle may go out again once new buyers were added.
+ * @param {object} message - Queue entry.
+ * @returns {Promise<number|null>}
+ */
+async function exclusionListVersion(message) {
+  const list = await exclusionListFor(message);
+  return list?.meta?.version ?? null;
+}
+
+const messageQueue = new MessageQueue({
+  storageKey: Constants.STORAGE_KEY_QUEUE,
+  resolveListVersion: exclusionListVersion,
+  eventHandlers: {
+    onPause: rescheduleDispatch,
+    onResume: rescheduleDispatch,
+    onDrop: (deadLetter) => finishRecycleJob(deadLetter, deadLetter.lastError || 'Send failed'),
+  },
+});
+const governor = new SendRateGovernor();
+// Sends need the exclusion lists, which cannot be read while encrypted storage is locked
+const dispatcher = new QueueDispatcher({
+  queue: messageQueue,
+  send: sendToOnlyFansTab,
+  governor,
+  isHeld: () => Storage.isLocked(),
+});
+const progress = new ProgressChannel();
+
+/**
+ * Stores a snapshot of queue and exclusion list totals under `message_stats`.
+ * @param {number} now - Tick time.
+ * @returns {Promise<void>}
+ */
+async function aggregateStats(now) {
+  const lists = Object.values(await ExclusionList.getMeta());
+  await Storage.set(Constants.STORAGE_KEYS.MESSAGE_STATS, {
+    updatedAt: now,
+    queue: await messageQueue.getStats(now),
+    exclusionLists: {
+      count: lists.length,
+      archived: lists.filter(list => list.archived).length,
+      subscribers: lists.reduce((total, list) => total + (list.count || 0), 0),
+    },
+  });
+}
+
+// Periodic jobs run from the hourly alarm; each keeps its own interval and bookkeeping.
+const maintenance = new MaintenanceScheduler();
+maintenance.register('exclusionRetention', {
+  intervalMinutes: 60,
+  run: (now) => ExclusionList.enforceRetention({ now }),
+});
+maintenance.register('mediaCachePrune', {
+  intervalMinutes: 24 * 60,
+  run: (now) => new MediaHandler().pruneCache({ now }),
+});
+maintenance.register('queueRedispatch', {
+  intervalMinutes: 60,
+  run: () => dispatcher.schedule(),
+});
+const storageMonitor = new StorageMonitor();
+
+maintenance.register('statsAggregation', {
+  intervalMinutes: 60,
+  run: aggregateStats,
+});
+maintenance.register('storageQuota', {
+  intervalMinutes: 60,
+  run: () => storageMonitor.check(),
+});
+
+// Storage format changes ship as numbered migrations; never edit one that has been released.
+const migrations = new MigrationRunner();
+migrations.register(1, {
+  description: 'Index bare-array exclusion lists and import the legacy RecycleContentExclusionList',
+  migrate: (items) => ExclusionList.upgradeStoredLists(items),
+});
+
+/** Keys the first releases wrote to chrome.storage.sync on install. Nothing reads them. */
+const LEGACY_SYNC_KEYS = ['exclusionList', 'userOptions'];
+
+/**
+ * Brings storage up to the latest schema version. Once a migration run has
+ * committed, the legacy chrome.storage.sync keys are removed; a dry run or a run
+ * deferred until storage is unlocked leaves them alone.
+ * @returns {Promise<object>} The MigrationReport.
+ * @throws {Error} If a migration fails; the sync keys are kept.
+ */
+async function runMigrations() {
+  const report = await migrations.run();
+  if (!report.dryRun && !report.deferred) {
+    try {
+      await chrome.storage?.sync?.remove?.(LEGACY_SYNC_KEYS);
+    } catch (e) {
+      console.warn('Could not remove legacy sync storage keys:', e);
+    }
+  }
+  return report;
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOptionalObject = (value) => value === undefined || isPlainObject(value);
+const isSubscriberList = (value) => Array.isArray(value)
+  && value.every((id) => isNonEmptyString(id) || Number.isFinite(id));
+
+/** Checks the list ID of writes that take only that. */
+const listIdOnly = ([listId]) => (isNonEmptyString(listId) ? null : 'listId must be a non-empty string');
+
+/**
+ * Argument checks for every exclusion list write `updateExclusionList` forwards,
+ * keyed by method. Each returns an error message, or null when the args are valid.
+ * @type {Object<string, function(Array<*>): (string|null)>}
+ */
+const EXCLUSION_WRITE_ARGS = {
+  getOrCreateList: ([messageId]) => (isNonEmptyString(messageId) ? null : 'messageId must be a non-empty string'),
+  updateList: ([ref, subscribers, options]) => {
+    if (!isNonEmptyString(ref)) return 'list or message ID must be a non-empty string';
+    if (!isSubscriberList(subscribers)) return 'subscribers must be an array of subscriber IDs';
+    return isOptionalObject(options) ? null : 'options must be an object';
+  },
+  createList: ([list]) => {
+    if (!isPlainObject(list) || !isNonEmptyString(list.name)) return 'the list must be an object with a name';
+    if (list.subscribers !== undefined && !isSubscriberList(list.subscribers)) return 'subscribers must be an array of subscriber IDs';
+    if (list.messageIds !== undefined && !(Array.isArray(list.messageIds) && list.messageIds.every(isNonEmptyString))) {
+      return 'messageIds must be an array of message IDs';
+    }
+    return null;
+  },
+  attachMessage: ([listId, messageId]) => (isNonEmptyString(listId) && isNonEmptyString(messageId)
+    ? null : 'listId and messageId must be non-empty strings'),
+  deleteList: listIdOnly,
+  revertTo: ([listId, version, options]) => {
+    if (!isNonEmptyString(listId)) return 'listId must be a non-empty string';
+    if (!Number.isInteger(version) || version < 0) return 'version must be a non-negative integer';
+    return isOptionalObject(options) ? null : 'options must be an object';
+  },
+  setRetention: ([listId, retention]) => (isNonEmptyString(listId) && isPlainObject(retention)
+    ? null : 'setRetention takes a listId and a retention object'),
+  setRetentionPolicy: ([changes]) => (isPlainObject(changes) ? null : 'the policy changes must be an object'),
+  archiveList: listIdOnly,
+  restoreList: listIdOnly,
+  compactList: listIdOnly,
+  enforceRetention: ([options]) => (isOptionalObject(options) ? null : 'options must be an object'),
+  saveExpression: ([name, expression, options]) => {
+    if (!isNonEmptyString(name)) return 'name must be a non-empty string';
+    if (!isNonEmptyString(expression) && !isPlainObject(expression)) return 'expression must be a string or an object';
+    return isOptionalObject(options) ? null : 'options must be an object';
+  },
+  deleteExpression: ([id]) => (isNonEmptyString(id) ? null : 'id must be a non-empty string'),
+};
 
-  try {
-    const result = await MessageProcessor.handle(message);
-    sendResponse({ status: 'success', data: result });
-  } catch (err) {
-    console.error('Message processing error:', err);
-    sendResponse({ status: 'error', error: err.message });
+/**
+ * Argument checks for the media writes `updateMediaIndex` forwards, keyed by method.
+ * @type {Object<string, function(Array<*>): (string|null)>}
+ */
+const MEDIA_WRITE_ARGS = {
+  recordMessageMedia: ([messageId, mediaIds]) => {
+    if (!isNonEmptyString(messageId)) return 'messageId must be a non-empty string';
+    return Array.isArray(mediaIds) && mediaIds.every(isNonEmptyString) ? null : 'mediaIds must be an array of media IDs';
+  },
+  forgetMessage: ([messageId]) => (isNonEmptyString(messageId) ? null : 'messageId must be a non-empty string'),
+  storeMediaCache: ([messageId, mediaElements, now]) => {
+    if (!isNonEmptyString(messageId)) return 'messageId must be a non-empty string';
+    if (!Array.isArray(mediaElements) || !mediaElements.every(isPlainObject)) return 'mediaElements must be an array of objects';
+    return now === undefined || Number.isFinite(now) ? null : 'now must be a timestamp';
+  },
+};
+
+/**
+ * Applies a media write forwarded by a content script or extension page. Ownership
+ * index and media cache writes share MediaOwnership's queue.
+ * @param {{method: string, args: Array<*>}} payload
+ * @returns {Promise<*>}
+ */
+function applyMediaWrite({ method, args }) {
+  if (method === 'storeMediaCache') return new MediaHandler().storeMediaCache(...args);
+  return MediaOwnership[method](...args);
+}
+
+/**
+ * What the background worker knows about a message: its exclusion list, its media and
+ * the messages sharing it, and any recycles of it still queued.
+ * @param {string} messageId
+ * @returns {Promise<object>}
+ */
+async function getMessageData(messageId) {
+  const listId = await ExclusionList.resolveListId(messageId);
+  const related = await MediaOwnership.getRelatedMessages(messageId);
+  const queued = (await messageQueue.getEntries())
+    .filter((entry) => entry.sourceMessageId === messageId)
+    .map(({ id, notBefore, priority, retryCount, nextAttemptAt }) => ({ id, notBefore, priority, retryCount, nextAttemptAt }));
+
+  return {
+    messageId,
+    exclusionList: (await ExclusionList.getMeta())[listId] || null,
+    mediaIds: await MediaOwnership.getMediaIds(messageId),
+    relatedMessages: related.filter((id) => id !== messageId),
+    queued,
+  };
+}
+
+/**
+ * Recycles a message as a progress job: collects its buyers from the open tab, adds them
+ * to the exclusion list and queues the copy. Progress streams over the progress port,
+ * where the popup can cancel the job until the copy is queued. A queued job stays open
+ * and completes when the dispatcher has sent the copy, or failed once it is
+ * dead-lettered; this resolves as soon as it is queued. `options` follows RecycleOptions
+ * from docs/API.md.
+ * @param {string} messageId
+ * @param {object} options
+ * @returns {Promise<{jobId: string, queued: boolean, id: string}>} `queued` is false for a duplicate.
+ * @throws {Error} `Recycle cancelled` if the job was cancelled before it was queued.
+ */
+async function initiateRecycle(messageId, options) {
+  return progress.run(messageId, async ({ jobId, signal, report, commit, defer }) => {
+    if (ExclusionList.isExpressionId(options.exclusionListId)) {
+      // Fails on a missing or broken expression before anything is written
+      await ExclusionList.evaluate(options.exclusionListId);
+    }
+    const buyers = await collectBuyers(messageId, jobId);
+    signal.throwIfAborted();
+    report('buyersCollected', { messageId, count: buyers.length });
+
+    const listRef = buyerListRef(messageId, options.exclusionListId);
+    const before = (await ExclusionList.getList(await ExclusionList.resolveListId(listRef)))?.subscribers.length ?? 0;
+    const list = await ExclusionList.updateList(listRef, buyers, { source: 'recycled' });
+    signal.throwIfAborted();
+    report('exclusionListUpdated', {
+      listId: list.id,
+      addedCount: list.subscribers.length - before,
+      totalCount: list.subscribers.length,
+    });
+
+    const entry = {
+      id: `recycle_${messageId}_${Date.now()}`,
+      sourceMessageId: messageId,
+      jobId,
+      notBefore: options.scheduleSend ?? null,
+      priority: options.priority,
+      options,
+    };
+    if (options.exclusionListId) entry.exclusionListId = options.exclusionListId;
+
+    commit();
+    const queued = await messageQueue.enqueue(entry);
+    report('recycleQueued', { messageId, id: entry.id, queued });
+    if (queued) {
+      defer();
+      rescheduleDispatch();
+    }
+    return { jobId, queued, id: entry.id };
+  });
+}
+
+/**
+ * Storage usage per namespace, warning thresholds, the largest exclusion lists
+ * and the latest aggregated stats.
+ * @returns {Promise<object>}
+ */
+async function getStorageStats() {
+  return {
+    ...(await storageMonitor.getUsage()),
+    thresholds: await storageMonitor.getThresholds(),
+    largestLists: (await Storage.isLocked()) ? [] : await ExclusionList.getListSizes({ limit: 5 }),
+    stats: (await Storage.get(Constants.STORAGE_KEYS.MESSAGE_STATS)) ?? null,
+  };
+}
+
+/**
+ * Unlocks encrypted storage, runs any migrations that were deferred while it was locked
+ * and sends the queued messages that were held.
+ * @param {string} passphrase
+ * @returns {Promise<object>} The encryption status after unlocking.
+ * @throws {Error} `Wrong passphrase` if the passphrase does not match.
+ */
+async function unlockStorage(passphrase) {
+  await Storage.unlock(passphrase);
+  runMigrations().catch((e) => console.error('Storage migration error:', e));
+  rescheduleDispatch();
+  return Storage.getEncryptionStatus();
+}
+
+/**
+ * Whether recycling is on, read from the queue: it is off while the queue is paused.
+ * @returns {Promise<{recycling: boolean, pause: {pausedAt: number, reason: string|null}|null}>}
+ */
+async function getRecycleState() {
+  const pause = await messageQueue.getPauseState();
+  return { recycling: pause === null, pause };
+}
+
+/**
+ * The popup's recycling switch: turning it off pauses the queue, turning it on resumes it.
+ * @param {boolean} state
+ * @returns {Promise<{recycling: boolean, pause: {pausedAt: number, reason: string|null}|null}>} The state afterwards.
+ */
+async function toggleRecycle(state) {
+  if (state) {
+    await messageQueue.resume();
+  } else {
+    await messageQueue.pause({ reason: 'Recycling turned off' });
   }
+  return getRecycleState();
+}
 
+const router = new ActionRouter()
+  .register(Constants.ACTION_GET_MESSAGE_DATA, {
+    validate: (payload) => (isNonEmptyString(payload?.messageId) ? null : 'messageId must be a non-empty string'),
+    handle: ({ messageId }) => getMessageData(messageId),
+  })
+  .register(Constants.ACTION_INITIATE_RECYCLE, {
+    validate: (payload) => {
+      if (!isNonEmptyString(payload?.messageId)) return 'messageId must be a non-empty string';
+      const options = payload.options ?? {};
+      if (!isPlainObject(options)) return 'options must be an object';
+      if (options.exclusionListId !== undefined && !isNonEmptyString(options.exclusionListId)) {
+        return 'options.exclusionListId must be a non-empty string';
+      }
+      if (options.exclusionListId?.startsWith('expr_') && !ExclusionList.isExpressionId(options.exclusionListId)) {
+        return 'options.exclusionListId must name a saved expression after "expr_"';
+      }
+      if (options.scheduleSend != null && !Number.isFinite(options.scheduleSend)) {
+        return 'options.scheduleSend must be a timestamp in milliseconds';
+      }
+      if (options.priority != null && !MessageQueue.priorities.includes(options.priority)) {
+        return `options.priority must be one of: ${MessageQueue.priorities.join(', ')}`;
+      }
+      return null;
+    },
+    handle: ({ messageId, options = {} }) => initiateRecycle(messageId, options),
+  })
+  .register(Constants.ACTION_UPDATE_EXCLUSION_LIST, {
+    validate: (payload) => {
+      if (!isNonEmptyString(payload?.method)) return 'method must be a non-empty string';
+      if (!Object.hasOwn(EXCLUSION_WRITE_ARGS, payload.method)) return `unsupported exclusion list write: ${payload.method}`;
+      if (!Array.isArray(payload.args)) return 'args must be an array';
+      const error = EXCLUSION_WRITE_ARGS[payload.method](payload.args);
+      return error && `${payload.method}: ${error}`;
+    },
+    // Exclusion list writes from every context are applied here, one at a time.
+    handle: (payload) => ExclusionList.handleWriteRequest(payload),
+  })
+  .register(Constants.ACTION_UPDATE_MEDIA_INDEX, {
+    validate: (payload) => {
+      if (!isNonEmptyString(payload?.method)) return 'method must be a non-empty string';
+      if (!Object.hasOwn(MEDIA_WRITE_ARGS, payload.method)) return `unsupported media write: ${payload.method}`;
+      if (!Array.isArray(payload.args)) return 'args must be an array';
+      const error = MEDIA_WRITE_ARGS[payload.method](payload.args);
+      return error && `${payload.method}: ${error}`;
+    },
+    // Media writes from every context are applied here, one at a time.
+    handle: (payload) => applyMediaWrite(payload),
+  })
+  .register(Constants.ACTION_GET_STORAGE_STATS, {
+    validate: (payload) => (payload === undefined || isPlainObject(payload) ? null : 'expected no payload'),
+    handle: () => getStorageStats(),
+  })
+  .register(Constants.ACTION_SET_STORAGE_THRESHOLDS, {
+    validate: (payload) => (Array.isArray(payload?.thresholds) ? null : 'thresholds must be an array'),
+    handle: (payload) => storageMonitor.configure(payload),
+  })
+  .register(Constants.ACTION_GET_ENCRYPTION_STATUS, {
+    validate: (payload) => (payload === undefined || isPlainObject(payload) ? null : 'expected no payload'),
+    handle: () => Storage.getEncryptionStatus(),
+  })
+  .register(Constants.ACTION_ENABLE_ENCRYPTION, {
+    validate: (payload) => {
+      if (!isNonEmptyString(payload?.passphrase)) return 'passphrase must be a non-empty string';
+      if (payload.autoLockMinutes !== undefined && !(Number.isFinite(payload.autoLockMinutes) && payload.autoLockMinutes >= 0)) {
+        return 'autoLockMinutes must be a number of minutes, or 0';
+      }
+      return null;
+    },
+    handle: async ({ passphrase, autoLockMinutes }) => {
+      await Storage.enableEncryption(passphrase, { autoLockMinutes });
+      return Storage.getEncryptionStatus();
+    },
+  })
+  .register(Constants.ACTION_UNLOCK_STORAGE, {
+    validate: (payload) => (isNonEmptyString(payload?.passphrase) ? null : 'passphrase must be a non-empty string'),
+    handle: ({ passphrase }) => unlockStorage(passphrase),
+  })
+  .register(Constants.ACTION_LOCK_STORAGE, {
+    validate: (payload) => (payload === undefined || isPlainObject(payload) ? null : 'expected no payload'),
+    handle: async () => {
+      await Storage.lock();
+      return Storage.getEncryptionStatus();
+    },
+  })
+  .register(Constants.ACTION_PUBLISH_EVENT, {
+    validate: (payload) => (isNonEmptyString(payload?.origin) ? Events.validate(payload.name, payload.data) : 'origin must be a non-empty string'),
+    // Events published in the popup or a content script fan out from here
+    handle: (payload) => ({ delivered: Events.receive(payload) }),
+  })
+  .register(Constants.ACTION_GET_RECYCLE_STATE, {
+    validate: (payload) => (payload === undefined || isPlainObject(payload) ? null : 'expected no payload'),
+    handle: () => getRecycleState(),
+  })
+  .register(Constants.ACTION_TOGGLE_RECYCLE, {
+    validate: (payload) => (typeof payload?.state === 'boolean' ? null : 'state must be a boolean'),
+    handle: ({ state }) => toggleRecycle(state),
+  });
+
+/**
+ * Handles incoming runtime messages by routing them on their `action`.
+ * @param {object} message - The ExtensionMessage sent.
+ * @param {object} sender - The sender of the message.
+ * @param {function} sendResponse - Receives the `{ status, data | error, requestId }` envelope.
+ * @returns {boolean} true to keep message channel open for async response.
+ */
+function onMessageHandler(message, sender, sendResponse) {
+  console.log('Message received:', message);
+
+  router.route(message, sender).then(sendResponse);
   return true; // Keep channel open for async response
 }
 
@@ -54,6 +562,12 @@ const Background = {
     this.setupAlarms();
     this.setupRuntimeListeners();
     this.setupAlarmListener();
+
+    // Finish or undo storage transactions cut short when the worker was last stopped.
+    Storage.recoverTransactions().catch((e) => console.error('Storage transaction recovery error:', e));
+
+    // Re-arm the dispatch alarm for anything queued before the worker was suspended.
+    rescheduleDispatch();
   },
 
   setupEventListeners: function () {
@@ -61,6 +575,10 @@ const Background = {
       // Use the exported onMessageHandler for testability
       chrome.runtime.onMessage.addListener(onMessageHandler);
     }
+    if (typeof chrome !== 'undefined' && chrome.runtime?.onConnect) {
+      // Popup and content scripts connect here for recycle progress and cancellation
+      chrome.runtime.onConnect.addListener((port) => progress.connect(port));
+    }
   },
 
   setupAlarms: function () {
@@ -79,16 +597,11 @@ const Background = {
 
     chrome.runtime.onInstalled?.addListener((details) => {
       console.info('RecycleContent extension installed');
-      if (details.reason === 'install') {
-        chrome.storage?.sync?.set?.(
-          {
-            exclusionList: [],
-            userOptions: {},
-          },
-          () => {
-            console.info('Initial storage set up complete');
-          }
-        );
+      if (details.reason === 'install' || details.reason === 'update') {
+        // A fresh install has nothing to migrate and is simply stamped with the latest version.
+        runMigrations()
+          .then((report) => console.info(`Storage schema at version ${report.to}`))
+          .catch((e) => console.error('Storage migration error:', e));
       }
       Background.init();
     });
@@ -119,11 +632,17 @@ const Background = {
     if (alarmListenerRegistered) return;
 
     if (typeof chrome !== 'undefined' && chrome.alarms?.onAlarm?.addListener) {
-      chrome.alarms.onAlarm.addListener((alarm) => {
-        if (alarm.name === ALARM_NAME) {
+      chrome.alarms.onAlarm.addListener(async (alarm) => {
+        if (alarm.name === dispatcher.alarmName) {
+          try {
+            await dispatcher.handleAlarm(alarm);
+          } catch (e) {
+            console.error('Queue dispatch error:', e);
+          }
+        } else if (alarm.name === ALARM_NAME) {
           try {
             console.log('RecycleContent alarm triggered');
-            // TODO: Add alarm handling logic here
+            await maintenance.runDue();
           } catch (e) {
             console.error('Alarm handling error:', e);
           }
@@ -142,4 +661,4 @@ Background.init();
 export default Background;
 
 // Export onMessageHandler separately for testing
-export { onMessageHandler };
+export { onMessageHandler, router, messageQueue, dispatcher, governor, maintenance, progress, migrations, storageMonitor };
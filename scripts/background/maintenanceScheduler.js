@@ -0,0 +1,229 @@
+/**
+ * @file        maintenanceScheduler.js
+ * @description Registry of periodic maintenance jobs for the RecycleContent background
+ *              worker. The hourly `recycleContentAlarm` ticks the registry, which runs
+ *              every job whose interval has elapsed. Each job's last run is recorded in
+ *              storage, so intervals hold across service-worker restarts, and a failing
+ *              job is logged and recorded without stopping the others.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      MaintenanceScheduler
+ */
+
+import Constants from '../common/constants.js';
+import Logger from '../common/logger.js';
+import Events from '../common/events.js';
+import Storage from '../common/storage.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/** Alarms can fire a little early; a job this close to its interval still runs on the tick. */
+const TICK_SLACK_MS = MINUTE_MS;
+
+/**
+ * @typedef {Object} MaintenanceJob
+ * @property {string} name - Unique job name.
+ * @property {number} intervalMinutes - Minimum time between two runs.
+ * @property {function(number): Promise<*>} run - Does the work; receives the tick time.
+ */
+
+/**
+ * @typedef {Object} JobRecord
+ * @property {number} lastRun - When the job last started.
+ * @property {'ok'|'error'} lastStatus - Outcome of the last run.
+ * @property {number} durationMs - How long the last run took.
+ * @property {string} [lastError] - Error message of the last failed run.
+ * @property {number} [lastSuccess] - When the job last finished without error.
+ */
+
+/**
+ * @class MaintenanceScheduler
+ * @description Runs registered jobs on their own intervals from a shared alarm tick.
+ */
+class MaintenanceScheduler {
+  /**
+   * @constructor
+   * @param {Object} [options] - Configuration options.
+   * @param {string} [options.storageKey] - Key the per-job bookkeeping is stored under.
+   */
+  constructor({ storageKey = Constants.STORAGE_KEYS.MAINTENANCE } = {}) {
+    this.storageKey = storageKey;
+    this.storage = Storage;
+
+    /** @type {Map<string, MaintenanceJob>} */
+    this.jobs = new Map();
+    this.running = null;
+
+    /** @type {Object<string, JobRecord>} Last known records, used when storage fails. */
+    this.records = {};
+  }
+
+  /**
+   * @function register
+   * @description Adds a named periodic job. A job that never ran is due on the next tick.
+   * @param {string} name - Unique job name.
+   * @param {Object} job
+   * @param {number} job.intervalMinutes - Minimum time between two runs.
+   * @param {function(number): Promise<*>} job.run - Does the work.
+   * @returns {void}
+   * @throws {Error} If the name is taken or the job is malformed.
+   */
+  register(name, { intervalMinutes, run } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Maintenance job requires a name');
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Maintenance job already registered: ${name}`);
+    }
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+      throw new Error(`Maintenance job ${name} requires a positive intervalMinutes`);
+    }
+    if (typeof run !== 'function') {
+      throw new Error(`Maintenance job ${name} requires a run function`);
+    }
+
+    this.jobs.set(name, { name, intervalMinutes, run });
+  }
+
+  /**
+   * @function unregister
+   * @description Removes a job. Its bookkeeping stays in storage.
+   * @param {string} name
+   * @returns {boolean} Whether a job was removed.
+   */
+  unregister(name) {
+    return this.jobs.delete(name);
+  }
+
+  /**
+   * @function runDue
+   * @description Runs every job whose interval has elapsed, one after another.
+   *              Concurrent calls share the run already in progress.
+   * @param {number} [now=Date.now()] - Tick time.
+   * @returns {Promise<Object<string, JobRecord>>} Records of the jobs that ran.
+   */
+  async runDue(now = Date.now()) {
+    if (!this.running) {
+      this.running = this.runJobs(now, (job, records) => this.isDue(job, records, now)).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * @function runJob
+   * @description Runs one job right away, regardless of its interval.
+   * @param {string} name
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<JobRecord>}
+   * @throws {Error} If no job has that name.
+   */
+  async runJob(name, now = Date.now()) {
+    if (!this.jobs.has(name)) {
+      throw new Error(`Unknown maintenance job: ${name}`);
+    }
+    const records = await this.runJobs(now, job => job.name === name);
+    return records[name];
+  }
+
+  /**
+   * @function getStatus
+   * @description Returns every registered job with its interval, bookkeeping and next due time.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getStatus() {
+    const records = await this.loadRecords();
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMinutes: job.intervalMinutes,
+      nextRun: records[job.name] ? records[job.name].lastRun + job.intervalMinutes * MINUTE_MS : null,
+      ...records[job.name],
+    }));
+  }
+
+  /**
+   * Run the selected jobs and record each outcome.
+   * @private
+   * @param {number} now
+   * @param {function(MaintenanceJob, Object<string, JobRecord>): boolean} select
+   * @returns {Promise<Object<string, JobRecord>>}
+   */
+  async runJobs(now, select) {
+    const records = await this.loadRecords();
+    const ran = {};
+
+    for (const job of this.jobs.values()) {
+      if (!select(job, records)) continue;
+
+      const started = Date.now();
+      const previous = records[job.name] || {};
+      let record;
+      try {
+        await job.run(now);
+        record = { lastRun: now, lastStatus: 'ok', durationMs: Date.now() - started, lastSuccess: now };
+      } catch (error) {
+        Logger.error(`Maintenance job ${job.name} failed: ${error.message}`);
+        Events.publish('error', { source: 'maintenance', message: `Maintenance job ${job.name} failed`, details: error.message });
+        record = {
+          lastRun: now,
+          lastStatus: 'error',
+          durationMs: Date.now() - started,
+          lastError: error.message,
+          ...(previous.lastSuccess && { lastSuccess: previous.lastSuccess }),
+        };
+      }
+      records[job.name] = record;
+      ran[job.name] = record;
+    }
+
+    if (Object.keys(ran).length > 0) await this.saveRecords(records);
+    return ran;
+  }
+
+  /**
+   * Whether a job's interval has elapsed since its last run.
+   * @private
+   * @param {MaintenanceJob} job
+   * @param {Object<string, JobRecord>} records
+   * @param {number} now
+   * @returns {boolean}
+   */
+  isDue(job, records, now) {
+    const lastRun = records[job.name]?.lastRun;
+    return lastRun === undefined || now - lastRun >= job.intervalMinutes * MINUTE_MS - TICK_SLACK_MS;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object<string, JobRecord>>}
+   */
+  async loadRecords() {
+    try {
+      const result = await this.storage.get([this.storageKey]);
+      return { ...result[this.storageKey] };
+    } catch (error) {
+      Logger.error(`Error retrieving maintenance records: ${error.message}`);
+      return { ...this.records };
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object<string, JobRecord>} records
+   * @returns {Promise<void>}
+   */
+  async saveRecords(records) {
+    this.records = records;
+    try {
+      await this.storage.set({ [this.storageKey]: records });
+    } catch (error) {
+      Logger.error(`Failed to save maintenance records: ${error.message}`);
+    }
+  }
+}
+
+export default MaintenanceScheduler;
@@ -1,7 +1,12 @@
 /**
  * @file        messageQueue.js
  * @description Handles the queuing and dispatch of messages in the RecycleContent extension.
- *              Supports retry logic, ordering, and persistence across browser sessions.
+ *              Supports retries with exponential backoff, a dead-letter store for
+ *              messages that keep failing, scheduled delivery ordered by due time,
+ *              priority lanes with per-lane concurrency, a pause switch, a sent-ledger
+ *              of idempotency keys that stops the same recycle going out twice, and
+ *              versioned persistence across browser sessions that merges concurrent
+ *              changes instead of overwriting them.
  * 
  * @author      Noelle B.
  * @created     2025-05-21
@@ -14,10 +19,31 @@
  */
 
 import Logger from '../common/logger.js';
+import Storage from '../common/storage.js';
+
+/** Priority lanes, most urgent first. Due urgent entries are dispatched before any other lane. */
+const PRIORITIES = ['urgent', 'normal', 'bulk'];
+
+const DEFAULT_PRIORITY = 'normal';
+
+/** Messages in flight at once per lane unless configured otherwise. */
+const DEFAULT_CONCURRENCY = { urgent: 1, normal: 1, bulk: 1 };
+
+/**
+ * Stored queue format: `{ format, revision, entries }`. Format 1 was a bare array of
+ * entries and is still read. The revision goes up with every save.
+ */
+const QUEUE_FORMAT = 2;
+
+/** How long sent-ledger entries are kept before they are pruned. */
+const DEFAULT_LEDGER_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
 
 /**
  * @class MessageQueue
- * @description Represents a persistent FIFO message queue with retry logic.
+ * @description Represents a persistent message queue with retry logic. Entries are
+ *              ordered by due time: the later of `notBefore` and the backoff's
+ *              `nextAttemptAt`. Entries due at the same time, or without a schedule,
+ *              keep their FIFO order. Each entry belongs to a priority lane; see PRIORITIES.
  */
 class MessageQueue {
   /**
@@ -25,27 +51,76 @@ class MessageQueue {
    * @param {Object} options - Configuration options.
    * @param {number} options.retryLimit - Max number of retry attempts per message.
    * @param {string} options.storageKey - Key used for persistent storage.
-   * @param {Object} options.eventHandlers - Optional event hooks for queue events.
+   * @param {string} options.deadLetterKey - Key used for the dead-letter store.
+   * @param {number} options.baseDelay - Backoff before the first retry, in ms.
+   * @param {number} options.maxDelay - Upper bound on the backoff, in ms.
+   * @param {Object<string, number>} options.concurrency - Max in-flight messages per lane.
+   * @param {number} options.ledgerRetention - How long sent-ledger entries are kept, in ms.
+   * @param {function(Object): Promise<number|null>} [options.resolveListVersion] - Looks up the
+   *        exclusion list version for a message that does not carry `exclusionListVersion`.
+   * @param {Object} options.eventHandlers - Optional event hooks for queue events:
+   *                                         onEnqueue, onDrop, onPause and onResume.
    */
   constructor({
     retryLimit = 3,
     storageKey = 'messageQueue',
+    deadLetterKey = `${storageKey}DeadLetters`,
+    baseDelay = 30 * 1000,
+    maxDelay = 60 * 60 * 1000,
+    concurrency = {},
+    ledgerRetention = DEFAULT_LEDGER_RETENTION_MS,
+    resolveListVersion = null,
     eventHandlers = {}
   } = {}) {
     this.queue = [];
+    this.revision = 0;
+    this.journal = [];
+    this._saving = Promise.resolve();
+    this.deadLetters = [];
+    this.paused = null;
+    this.inFlight = new Map();
+    this.ledger = {};
+    this.ledgerRetention = ledgerRetention;
+    this.resolveListVersion = resolveListVersion;
+    this.concurrency = { ...DEFAULT_CONCURRENCY, ...concurrency };
     this.retryLimit = retryLimit;
     this.storageKey = storageKey;
+    this.deadLetterKey = deadLetterKey;
+    this.stateKey = `${storageKey}State`;
+    this.ledgerKey = `${storageKey}SentLedger`;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
     this.eventHandlers = eventHandlers;
 
-    this._loadFromStorage().catch(error => {
+    this._loading = this._loadFromStorage().catch(error => {
       Logger.warn('failed to load message queue during initialization:', error);
     });
   }
 
+  /**
+   * @function ready
+   * @description Resolves once the stored queue, dead letters, sent-ledger and paused state
+   *              are loaded. Every async method waits for it; await it before relying on
+   *              the synchronous peek() and size().
+   * @returns {Promise<void>}
+   */
+  ready() {
+    return this._loading;
+  }
+
   /**
    * @function enqueue
-   * @description Adds a message to the queue if not already present.
+   * @description Adds a message to the queue unless it is already queued or its
+   *              idempotency key is in the sent-ledger, i.e. the same recycle already
+   *              went out (or was being sent) to the same audience at the same time.
    * @param {Object} message - The message to enqueue. Must include a unique `id`.
+   * @param {string} [message.sourceMessageId] - Message being recycled; defaults to `id`.
+   * @param {number} [message.exclusionListVersion] - Version of the exclusion list the
+   *                                                  audience was filtered with.
+   * @param {string} [message.idempotencyKey] - Overrides the derived key.
+   * @param {number} [message.notBefore] - Timestamp before which the message must not be sent.
+   *                                       Falls back to `scheduleSend`; omitted means due now.
+   * @param {string} [message.priority='normal'] - Lane: 'urgent', 'normal' or 'bulk'.
    * @returns {Promise<boolean>} Whether the message was successfully enqueued.
    */
   async enqueue(message) {
@@ -53,12 +128,35 @@ class MessageQueue {
       throw new Error('message must have an id');
     }
 
+    const notBefore = message.notBefore ?? message.scheduleSend ?? null;
+    if (notBefore !== null && !Number.isFinite(notBefore)) {
+      throw new Error('notBefore must be a timestamp in milliseconds');
+    }
+
+    const priority = message.priority ?? DEFAULT_PRIORITY;
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    await this.ready();
     if (this.queue.find(msg => msg.id === message.id)) {
       Logger.warn(`message with id "${message.id}" already in queue. skipping enqueue.`);
       return false;
     }
 
-    this.queue.push({ ...message, retryCount: 0 });
+    let exclusionListVersion = message.exclusionListVersion ?? null;
+    if (exclusionListVersion === null && this.resolveListVersion) {
+      exclusionListVersion = await this.resolveListVersion(message);
+    }
+    const entry = { ...message, notBefore, priority, exclusionListVersion, retryCount: 0 };
+    entry.idempotencyKey = message.idempotencyKey ?? MessageQueue.idempotencyKey(entry);
+
+    if (this._isDuplicate(entry.idempotencyKey)) {
+      Logger.warn(`message "${message.id}" duplicates ${entry.idempotencyKey}. skipping enqueue.`);
+      return false;
+    }
+
+    this._insertByDueTime(entry);
     await this._saveToStorage();
 
     if (typeof this.eventHandlers.onEnqueue === 'function') {
@@ -68,6 +166,60 @@ class MessageQueue {
     return true;
   }
 
+  /**
+   * @function priorities
+   * @description The priority lanes an entry may name, most urgent first.
+   * @returns {Array<string>}
+   */
+  static get priorities() {
+    return [...PRIORITIES];
+  }
+
+  /**
+   * @function idempotencyKey
+   * @description Derives the key identifying one send of a recycle: the source message,
+   *              the exclusion list version its audience was filtered with, and its schedule.
+   * @param {Object} message - Queue entry.
+   * @returns {string}
+   */
+  static idempotencyKey(message) {
+    const source = message.sourceMessageId ?? message.id;
+    const version = message.exclusionListVersion ?? '-';
+    const schedule = message.notBefore ?? '-';
+    return `${source}|${version}|${schedule}`;
+  }
+
+  /**
+   * @function wasSent
+   * @description Whether an idempotency key is in the sent-ledger, either confirmed sent
+   *              or handed to the sender without a result (e.g. the worker restarted).
+   * @param {string} key - Idempotency key.
+   * @returns {Promise<boolean>}
+   */
+  async wasSent(key) {
+    await this.ready();
+    return Boolean(this.ledger[key]);
+  }
+
+  /**
+   * @function markSent
+   * @description Confirms a dequeued message was delivered, and prunes ledger entries
+   *              older than the retention period.
+   * @param {Object} message - The dequeued message.
+   * @param {number} [now=Date.now()] - Time of delivery.
+   * @returns {Promise<void>}
+   */
+  async markSent(message, now = Date.now()) {
+    await this.ready();
+    const key = message.idempotencyKey ?? MessageQueue.idempotencyKey(message);
+    this.ledger[key] = { id: message.id, status: 'sent', at: now };
+
+    for (const [ledgerKey, record] of Object.entries(this.ledger)) {
+      if (now - record.at > this.ledgerRetention) delete this.ledger[ledgerKey];
+    }
+    await this._saveLedger();
+  }
+
   /**
    * @function peek
    * @description Returns the first message in the queue without removing it.
@@ -83,38 +235,286 @@ class MessageQueue {
    * @returns {Promise<Object|null>} The dequeued message.
    */
   async dequeue() {
-    const message = this.queue.shift() || null;
+    await this.ready();
+    const message = this.queue[0] || null;
+    if (message) this._removeMessageById(message.id);
     await this._saveToStorage();
     return message;
   }
 
+  /**
+   * @function dequeueDue
+   * @description Removes and returns the next due message from the most urgent lane that
+   *              has a free slot, and reserves that slot until release() is called. The
+   *              message is recorded as being sent in the ledger before it is returned, so
+   *              a crash mid-send cannot lead to a second send. Due entries whose key is
+   *              already in the ledger are dropped instead of returned.
+   * @param {number} [now=Date.now()] - Reference time.
+   * @returns {Promise<Object|null>} The due message, or null if nothing is due yet, every
+   *                                 lane with due messages is full, or the queue is paused.
+   */
+  async dequeueDue(now = Date.now()) {
+    await this.ready();
+    if (this.paused) return null;
+
+    for (const lane of PRIORITIES) {
+      if (this._inFlightCount(lane) >= this.concurrency[lane]) continue;
+
+      const index = this.queue.findIndex(msg => this._lane(msg) === lane && this._dueTime(msg) <= now);
+      if (index === -1) continue;
+
+      const message = this.queue[index];
+      this._removeMessageById(message.id);
+      const key = message.idempotencyKey ?? MessageQueue.idempotencyKey(message);
+      if (this.ledger[key]) {
+        Logger.warn(`message "${message.id}" was already sent as ${key}. dropping it.`);
+        await this._saveToStorage();
+        return this.dequeueDue(now);
+      }
+
+      this.ledger[key] = { id: message.id, status: 'sending', at: now };
+      await this._saveLedger();
+      this.inFlight.set(message.id, lane);
+      await this._saveToStorage();
+      return message;
+    }
+    return null;
+  }
+
+  /**
+   * @function release
+   * @description Frees the lane slot reserved by dequeueDue() once a send has finished,
+   *              whether it succeeded or went back through handleRetry().
+   * @param {Object} message - The dequeued message.
+   * @returns {void}
+   */
+  release(message) {
+    if (message) this.inFlight.delete(message.id);
+  }
+
+  /**
+   * @function pause
+   * @description Stops dequeueDue() from handing out messages until resume() is called.
+   *              Sends already in flight finish. The paused state survives restarts.
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why the queue was paused, shown to the user.
+   * @param {number} [options.now=Date.now()] - Time of the pause.
+   * @returns {Promise<boolean>} False if the queue was already paused.
+   */
+  async pause({ reason = null, now = Date.now() } = {}) {
+    await this.ready();
+    if (this.paused) return false;
+
+    this.paused = { pausedAt: now, reason };
+    await this._saveState();
+
+    if (typeof this.eventHandlers.onPause === 'function') {
+      this.eventHandlers.onPause({ ...this.paused });
+    }
+    return true;
+  }
+
+  /**
+   * @function resume
+   * @description Lets dequeueDue() hand out messages again.
+   * @returns {Promise<boolean>} False if the queue was not paused.
+   */
+  async resume() {
+    await this.ready();
+    if (!this.paused) return false;
+
+    const paused = this.paused;
+    this.paused = null;
+    await this._saveState();
+
+    if (typeof this.eventHandlers.onResume === 'function') {
+      this.eventHandlers.onResume(paused);
+    }
+    return true;
+  }
+
+  /**
+   * @function getPauseState
+   * @description Returns the current pause, if any.
+   * @returns {Promise<{pausedAt: number, reason: string|null}|null>} Null when running.
+   */
+  async getPauseState() {
+    await this.ready();
+    return this.paused ? { ...this.paused } : null;
+  }
+
+  /**
+   * @function nextDueAt
+   * @description Returns when the earliest message becomes due.
+   * @returns {Promise<number|null>} Timestamp (0 when due immediately), or null if the queue is empty.
+   */
+  async nextDueAt() {
+    await this.ready();
+    return this.queue.length > 0 ? this._dueTime(this.queue[0]) : null;
+  }
+
   /**
    * @function handleRetry
-   * @description Increments retry count and requeues or drops the message.
+   * @description Increments retry count and requeues the message after a backoff delay,
+   *              or moves it to the dead-letter store once the retry limit is exceeded.
    * @param {Object} message - The message to retry.
-   * @returns {Promise<boolean>} True if message was dropped, false if requeued.
+   * @param {Object} [options]
+   * @param {Error|string} [options.error] - Why the attempt failed, kept for inspection.
+   * @param {number} [options.now=Date.now()] - Time of the failed attempt.
+   * @returns {Promise<boolean>} True if message was dead-lettered, false if requeued.
    */
-  async handleRetry(message) {
+  async handleRetry(message, { error, now = Date.now() } = {}) {
     if (!message) return false;
+    await this.ready();
 
     message.retryCount = (message.retryCount || 0) + 1;
+    if (error) {
+      message.lastError = error.message || String(error);
+    }
+
+    // The send failed, so the key may be used again by the retry or a replay.
+    const key = message.idempotencyKey ?? MessageQueue.idempotencyKey(message);
+    if (this.ledger[key]?.status === 'sending') {
+      delete this.ledger[key];
+      await this._saveLedger();
+    }
 
     if (message.retryCount > this.retryLimit) {
       this._removeMessageById(message.id);
+      const deadLetter = { ...message, failedAt: now };
+      delete deadLetter.nextAttemptAt;
+      this.deadLetters.push(deadLetter);
       await this._saveToStorage();
+      await this._saveDeadLetters();
 
       if (typeof this.eventHandlers.onDrop === 'function') {
-        this.eventHandlers.onDrop(message);
+        this.eventHandlers.onDrop(deadLetter);
       }
 
       return true;
     } else {
-      this.queue.unshift(message);
+      // At least 1ms, so a dispatch run with a fixed clock never picks the message up twice.
+      message.nextAttemptAt = now + Math.max(1, this.backoffDelay(message.retryCount));
+      this._insertByDueTime(message);
       await this._saveToStorage();
       return false;
     }
   }
 
+  /**
+   * @function backoffDelay
+   * @description Exponential backoff with jitter: the delay doubles with each retry up to
+   *              `maxDelay`, and a random half of it is added so failing sends spread out.
+   * @param {number} retryCount - Retries so far, starting at 1.
+   * @returns {number} Delay in ms.
+   */
+  backoffDelay(retryCount) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (retryCount - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  }
+
+  /**
+   * @function getDeadLetters
+   * @description Returns the messages that exhausted their retries, oldest failure first.
+   * @returns {Promise<Array<Object>>} Copies of the dead letters.
+   */
+  async getDeadLetters() {
+    await this.ready();
+    return this.deadLetters.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * @function updateDeadLetter
+   * @description Edits a dead letter, e.g. to fix its payload before replaying it.
+   * @param {string} id - ID of the dead letter.
+   * @param {Object} changes - Fields to change; `id` cannot be changed.
+   * @returns {Promise<Object|null>} The updated dead letter, or null if not found.
+   */
+  async updateDeadLetter(id, changes = {}) {
+    await this.ready();
+    const index = this.deadLetters.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    const updated = { ...this.deadLetters[index], ...changes, id };
+    this.deadLetters[index] = updated;
+    await this._saveDeadLetters();
+    return { ...updated };
+  }
+
+  /**
+   * @function replayDeadLetter
+   * @description Moves a dead letter back into the queue with a fresh retry budget.
+   * @param {string} id - ID of the dead letter.
+   * @param {Object} [options]
+   * @param {number} [options.notBefore] - New earliest send time; defaults to now.
+   * @returns {Promise<boolean>} Whether the message was requeued.
+   */
+  async replayDeadLetter(id, { notBefore = null } = {}) {
+    await this.ready();
+    const deadLetter = this.deadLetters.find(entry => entry.id === id);
+    if (!deadLetter) return false;
+
+    if (this.queue.some(msg => msg.id === id)) {
+      Logger.warn(`message with id "${id}" already in queue. skipping replay.`);
+      return false;
+    }
+
+    const message = { ...deadLetter, notBefore, retryCount: 0 };
+    delete message.failedAt;
+    delete message.lastError;
+    message.priority = this._lane(message);
+    this.deadLetters = this.deadLetters.filter(entry => entry.id !== id);
+    this._insertByDueTime(message);
+    await this._saveToStorage();
+    await this._saveDeadLetters();
+
+    if (typeof this.eventHandlers.onEnqueue === 'function') {
+      this.eventHandlers.onEnqueue(message);
+    }
+    return true;
+  }
+
+  /**
+   * @function discardDeadLetter
+   * @description Permanently deletes a dead letter.
+   * @param {string} id - ID of the dead letter.
+   * @returns {Promise<boolean>} Whether a dead letter was removed.
+   */
+  async discardDeadLetter(id) {
+    await this.ready();
+    const remaining = this.deadLetters.filter(entry => entry.id !== id);
+    if (remaining.length === this.deadLetters.length) return false;
+
+    this.deadLetters = remaining;
+    await this._saveDeadLetters();
+    return true;
+  }
+
+  /**
+   * @function _dueTime
+   * @description Internal method returning when a message becomes due.
+   * @param {Object} message - Queue entry.
+   * @returns {number} Timestamp; 0 for messages without a schedule or backoff.
+   * @private
+   */
+  _dueTime(message) {
+    return Math.max(message.notBefore || 0, message.nextAttemptAt || 0);
+  }
+
+  /**
+   * @function _insertByDueTime
+   * @description Internal method inserting a message after every entry due no later than it,
+   *              keeping the queue ordered by due time.
+   * @param {Object} message - Queue entry.
+   * @private
+   */
+  _insertByDueTime(message) {
+    const due = this._dueTime(message);
+    const index = this.queue.findIndex(entry => this._dueTime(entry) > due);
+    this.queue.splice(index === -1 ? this.queue.length : index, 0, message);
+    this.journal.push({ op: 'put', id: message.id, entry: message });
+  }
+
   /**
    * @function _removeMessageById
    * @description Internal method to remove a message by ID.
@@ -123,30 +523,197 @@ class MessageQueue {
    */
   _removeMessageById(messageId) {
     this.queue = this.queue.filter(msg => msg.id !== messageId);
+    this.journal.push({ op: 'remove', id: messageId });
+  }
+
+  /**
+   * @function _applyJournal
+   * @description Internal method replaying journaled changes on top of a stored queue.
+   *              Replaying a change twice has no further effect.
+   * @param {Array<Object>} entries - Queue entries as stored.
+   * @param {Array<Object>} journal - Changes to replay, oldest first.
+   * @returns {Array<Object>} Entries ordered by due time.
+   * @private
+   */
+  _applyJournal(entries, journal) {
+    let result = [...entries];
+    for (const change of journal) {
+      if (change.op === 'clear') {
+        result = [];
+        continue;
+      }
+      result = result.filter(msg => msg.id !== change.id);
+      if (change.op === 'put') result.push(change.entry);
+    }
+    // Stable sort keeps FIFO order among entries due at the same time.
+    return result.sort((a, b) => this._dueTime(a) - this._dueTime(b));
   }
 
   /**
    * @function _saveToStorage
-   * @description Persists the queue to Chrome or localStorage.
+   * @description Persists the queue to storage. Saves run one at a time
+   *              and never before the stored queue was loaded.
    * @returns {Promise<void>}
    * @private
    */
-  async _saveToStorage() {
+  _saveToStorage() {
+    const save = this._saving.then(() => this._persistQueue());
+    this._saving = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * @function _persistQueue
+   * @description Internal method writing the next revision of the queue. If another
+   *              instance saved since this one last read or wrote, the journaled changes
+   *              are replayed on top of its queue first, so neither side's changes are lost.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persistQueue() {
+    await this.ready();
+    const journal = this.journal;
+    this.journal = [];
+
     try {
-      const serialized = JSON.stringify(this.queue);
-
-      if (typeof chrome !== 'undefined' && chrome.storage?.local) {
-        await chrome.storage.local.set({ [this.storageKey]: serialized });
-      } else if (typeof localStorage !== 'undefined') {
-        localStorage.setItem(this.storageKey, serialized);
-      } else {
-        Logger.warn('no supported storage api found for saving message queue.');
+      const stored = this._parseQueue(await this._read(this.storageKey));
+      if (stored.format === QUEUE_FORMAT && stored.revision !== this.revision) {
+        Logger.warn(`message queue changed elsewhere (revision ${stored.revision}). merging changes.`);
+        this.queue = this._applyJournal(stored.entries, [...journal, ...this.journal]);
       }
+
+      const revision = Math.max(stored.revision, this.revision) + 1;
+      await this._write(this.storageKey, JSON.stringify({
+        format: QUEUE_FORMAT,
+        revision,
+        entries: this.queue,
+      }));
+      this.revision = revision;
     } catch (error) {
       Logger.warn('failed to save message queue to storage:', error);
+      // Keep the changes so the next save can still merge them.
+      this.journal = [...journal, ...this.journal];
+    }
+  }
+
+  /**
+   * @function _parseQueue
+   * @description Internal method reading either stored queue format.
+   * @param {string|null} serialized - Stored value.
+   * @returns {{format: number|null, revision: number, entries: Array<Object>}}
+   * @private
+   */
+  _parseQueue(serialized) {
+    if (!serialized) return { format: null, revision: 0, entries: [] };
+
+    const parsed = JSON.parse(serialized);
+    if (Array.isArray(parsed)) return { format: 1, revision: 0, entries: parsed };
+    return { format: parsed.format, revision: parsed.revision || 0, entries: parsed.entries || [] };
+  }
+
+  /**
+   * @function _saveState
+   * @description Persists the paused state.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveState() {
+    try {
+      await this._write(this.stateKey, JSON.stringify({ paused: this.paused }));
+    } catch (error) {
+      Logger.warn('failed to save message queue state to storage:', error);
+    }
+  }
+
+  /**
+   * @function _isDuplicate
+   * @description Internal method checking a key against queued entries and the ledger.
+   * @param {string} key - Idempotency key.
+   * @returns {boolean}
+   * @private
+   */
+  _isDuplicate(key) {
+    return Boolean(this.ledger[key]) || this.queue.some(msg => msg.idempotencyKey === key);
+  }
+
+  /**
+   * @function _saveLedger
+   * @description Persists the sent-ledger.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveLedger() {
+    try {
+      await this._write(this.ledgerKey, JSON.stringify(this.ledger));
+    } catch (error) {
+      Logger.warn('failed to save sent-ledger to storage:', error);
     }
   }
 
+  /**
+   * @function _lane
+   * @description Internal method returning a message's priority lane. Entries saved
+   *              before lanes existed, or with an unknown priority, use the default lane.
+   * @param {Object} message - Queue entry.
+   * @returns {string} Lane name.
+   * @private
+   */
+  _lane(message) {
+    return PRIORITIES.includes(message.priority) ? message.priority : DEFAULT_PRIORITY;
+  }
+
+  /**
+   * @function _inFlightCount
+   * @description Internal method counting reserved slots in a lane.
+   * @param {string} lane - Lane name.
+   * @returns {number}
+   * @private
+   */
+  _inFlightCount(lane) {
+    let count = 0;
+    this.inFlight.forEach(reserved => {
+      if (reserved === lane) count++;
+    });
+    return count;
+  }
+
+  /**
+   * @function _saveDeadLetters
+   * @description Persists the dead-letter store.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveDeadLetters() {
+    try {
+      await this._write(this.deadLetterKey, JSON.stringify(this.deadLetters));
+    } catch (error) {
+      Logger.warn('failed to save dead letters to storage:', error);
+    }
+  }
+
+  /**
+   * @function _write
+   * @description Writes a serialized value through the shared storage adapter.
+   * @param {string} key - Storage key.
+   * @param {string} serialized - Value to store.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(key, serialized) {
+    await Storage.set({ [key]: serialized });
+  }
+
+  /**
+   * @function _read
+   * @description Reads a serialized value through the shared storage adapter.
+   * @param {string} key - Storage key.
+   * @returns {Promise<string|null>} The stored value, if any.
+   * @private
+   */
+  async _read(key) {
+    return (await Storage.get(key)) || null;
+  }
+
   /**
    * @function _loadFromStorage
    * @description Loads queue from persistent storage.
@@ -155,23 +722,27 @@ class MessageQueue {
    */
   async _loadFromStorage() {
     try {
-      let serialized = null;
-
-      if (typeof chrome !== 'undefined' && chrome.storage?.local) {
-        const result = await chrome.storage.local.get(this.storageKey);
-        serialized = result[this.storageKey] || null;
-      } else if (typeof localStorage !== 'undefined') {
-        serialized = localStorage.getItem(this.storageKey);
-      } else {
-        Logger.warn('no supported storage api found for loading message queue.');
+      const serialized = await this._read(this.storageKey);
+      const deadLetters = await this._read(this.deadLetterKey);
+      if (deadLetters) {
+        this.deadLetters = JSON.parse(deadLetters);
       }
-
-      if (serialized) {
-        this.queue = JSON.parse(serialized);
+      const ledger = await this._read(this.ledgerKey);
+      if (ledger) {
+        this.ledger = JSON.parse(ledger);
+      }
+      const state = await this._read(this.stateKey);
+      if (state) {
+        this.paused = JSON.parse(state).paused || null;
       }
+
+      // Changes made before the load finished are replayed on top, not overwritten.
+      const stored = this._parseQueue(serialized);
+      this.revision = stored.revision;
+      this.queue = this._applyJournal(stored.entries, this.journal);
     } catch (error) {
       Logger.warn('failed to load message queue from storage:', error);
-      this.queue = [];
+      this.queue = this._applyJournal([], this.journal);
     }
   }
 
@@ -181,10 +752,43 @@ class MessageQueue {
    * @returns {Promise<void>}
    */
   async clear() {
+    await this.ready();
     this.queue = [];
+    this.journal.push({ op: 'clear' });
     await this._saveToStorage();
   }
 
+  /**
+   * @function getEntries
+   * @description Returns the queued messages in due order.
+   * @returns {Promise<Array<Object>>} Copies of the queue entries.
+   */
+  async getEntries() {
+    await this.ready();
+    return this.queue.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * @function getStats
+   * @description Summarizes the queue for stats aggregation and the popup.
+   * @param {number} [now=Date.now()] - Reference time.
+   * @returns {Promise<Object>} Counts of queued, due, in-flight, dead-lettered and sent
+   *                            messages, sends in the last 24 hours, and the pause state.
+   */
+  async getStats(now = Date.now()) {
+    await this.ready();
+    const sent = Object.values(this.ledger).filter(record => record.status === 'sent');
+    return {
+      queued: this.queue.length,
+      due: this.queue.filter(msg => this._dueTime(msg) <= now).length,
+      inFlight: this.inFlight.size,
+      deadLetters: this.deadLetters.length,
+      sent: sent.length,
+      sentLast24h: sent.filter(record => now - record.at <= 24 * 60 * 60 * 1000).length,
+      paused: Boolean(this.paused),
+    };
+  }
+
   /**
    * @function size
    * @description Returns the number of messages in the queue.
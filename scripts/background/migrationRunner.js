@@ -0,0 +1,240 @@
+/**
+ * @file        migrationRunner.js
+ * @description Versioned storage migrations for the RecycleContent extension. Migrations
+ *              are registered in version order and run from `runtime.onInstalled` when the
+ *              extension is updated. Each one transforms a snapshot of storage; the result
+ *              is committed in one storage transaction together with the new schema
+ *              version, after the values it replaces have been backed up.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      MigrationRunner
+ */
+
+import Constants from '../common/constants.js';
+import Logger from '../common/logger.js';
+import Events from '../common/events.js';
+import Storage from '../common/storage.js';
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version the migration produces.
+ * @property {string} description - What it changes, for logs and dry runs.
+ * @property {function(Object<string, *>): (Object<string, *>|void|Promise<Object<string, *>|void>)} migrate
+ *           Transforms the storage snapshot, in place or by returning a new one.
+ */
+
+/**
+ * @typedef {Object} MigrationReport
+ * @property {number} from - Stored schema version before the run.
+ * @property {number} to - Schema version after the run (or that a dry run would reach).
+ * @property {Array<{version: number, description: string}>} applied - Migrations that ran.
+ * @property {Array<string>} written - Keys given new values.
+ * @property {Array<string>} removed - Keys deleted.
+ * @property {boolean} dryRun - True when nothing was written.
+ * @property {boolean} [deferred] - Set when storage was locked and nothing ran.
+ */
+
+/**
+ * @typedef {Object} MigrationBackup
+ * @property {number} fromVersion - Schema version the backup restores.
+ * @property {number} toVersion - Schema version the migration reached.
+ * @property {number} createdAt
+ * @property {Object<string, *>} items - Previous values of every key the migration changed or removed.
+ * @property {Array<string>} created - Keys the migration added.
+ */
+
+/**
+ * @class MigrationRunner
+ * @description Keeps the stored schema version and brings storage up to the latest one.
+ */
+class MigrationRunner {
+  /**
+   * @constructor
+   * @param {Object} [options] - Configuration options.
+   * @param {string} [options.versionKey] - Key the schema version is stored under.
+   * @param {string} [options.backupKey] - Key the pre-migration backup is stored under.
+   */
+  constructor({
+    versionKey = Constants.STORAGE_KEYS.SCHEMA_VERSION,
+    backupKey = Constants.STORAGE_KEYS.SCHEMA_BACKUP,
+  } = {}) {
+    this.versionKey = versionKey;
+    this.backupKey = backupKey;
+    this.storage = Storage;
+
+    /** @type {Array<Migration>} Ordered by version. */
+    this.migrations = [];
+    this.running = null;
+  }
+
+  /**
+   * @function register
+   * @description Adds the migration to the next schema version. Versions are
+   *              positive integers registered in increasing order.
+   * @param {number} version
+   * @param {Object} migration
+   * @param {string} migration.description
+   * @param {function(Object<string, *>): *} migration.migrate
+   * @returns {void}
+   * @throws {Error} If the version is out of order or the migration is malformed.
+   */
+  register(version, { description, migrate } = {}) {
+    if (!Number.isInteger(version) || version <= this.getLatestVersion()) {
+      throw new Error(`Migration version must be an integer above ${this.getLatestVersion()}, got ${version}`);
+    }
+    if (!description || typeof description !== 'string') {
+      throw new Error(`Migration ${version} requires a description`);
+    }
+    if (typeof migrate !== 'function') {
+      throw new Error(`Migration ${version} requires a migrate function`);
+    }
+
+    this.migrations.push({ version, description, migrate });
+  }
+
+  /**
+   * @function getLatestVersion
+   * @returns {number} Version the registered migrations lead to; 0 without any.
+   */
+  getLatestVersion() {
+    return this.migrations.at(-1)?.version ?? 0;
+  }
+
+  /**
+   * @function getVersion
+   * @description Stored schema version. Data written before versioning is version 0.
+   * @returns {Promise<number>}
+   */
+  async getVersion() {
+    const version = await this.storage.get(this.versionKey);
+    return Number.isInteger(version) ? version : 0;
+  }
+
+  /**
+   * @function run
+   * @description Applies every migration above the stored version, in order. A dry run
+   *              reports what would change without writing anything. Concurrent calls
+   *              share the run already in progress.
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false]
+   * @returns {Promise<MigrationReport>}
+   * @throws {Error} If a migration throws or the commit fails; storage is left as it was.
+   */
+  async run({ dryRun = false } = {}) {
+    if (dryRun) return this.migrate(true);
+
+    if (!this.running) {
+      this.running = this.migrate(false).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * @function restoreBackup
+   * @description Puts back the values saved before the last migration and the schema
+   *              version they belong to. The backup is kept.
+   * @returns {Promise<boolean>} False when there is no backup.
+   */
+  async restoreBackup() {
+    const backup = await this.storage.get(this.backupKey);
+    if (!backup) return false;
+
+    const keys = [...Object.keys(backup.items), ...backup.created, this.versionKey];
+    await this.storage.transaction(keys, (tx) => {
+      Object.entries(backup.items).forEach(([key, value]) => tx.set(key, value));
+      backup.created.forEach(key => tx.remove(key));
+      tx.set(this.versionKey, backup.fromVersion);
+    });
+    Logger.warn(`Restored storage to schema version ${backup.fromVersion} from the pre-migration backup.`);
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {boolean} dryRun
+   * @returns {Promise<MigrationReport>}
+   */
+  async migrate(dryRun) {
+    const from = await this.getVersion();
+    const pending = this.migrations.filter(migration => migration.version > from);
+    const report = { from, to: from, applied: [], written: [], removed: [], dryRun };
+    if (pending.length === 0) return report;
+
+    // Migrations need to read encrypted data; the unlock handler runs them again
+    if (await this.storage.isLocked()) {
+      Logger.warn(`Storage is locked; migrations to schema version ${this.getLatestVersion()} will run once it is unlocked.`);
+      return { ...report, deferred: true };
+    }
+
+    const original = this.snapshot(await this.storage.get(null));
+    let working = this.snapshot(original);
+    try {
+      for (const migration of pending) {
+        working = (await migration.migrate(working)) ?? working;
+        report.applied.push({ version: migration.version, description: migration.description });
+      }
+    } catch (error) {
+      const failed = pending[report.applied.length];
+      Logger.error(`Migration ${failed.version} (${failed.description}) failed: ${error.message}`);
+      if (!dryRun) {
+        Events.publish('error', { source: 'migrations', message: `Migration ${failed.version} failed`, details: error.message });
+      }
+      throw error;
+    }
+
+    report.to = this.getLatestVersion();
+    report.written = Object.keys(working)
+      .filter(key => JSON.stringify(working[key]) !== JSON.stringify(original[key]));
+    report.removed = Object.keys(original).filter(key => !(key in working));
+
+    if (dryRun) {
+      Logger.info(`Migration dry run ${from} -> ${report.to}: ${report.written.length} key(s) written, ${report.removed.length} removed.`);
+      return report;
+    }
+
+    const changed = [...report.written, ...report.removed];
+    if (changed.length > 0) {
+      /** @type {MigrationBackup} */
+      const backup = {
+        fromVersion: from,
+        toVersion: report.to,
+        createdAt: Date.now(),
+        items: Object.fromEntries(changed.filter(key => key in original).map(key => [key, original[key]])),
+        created: changed.filter(key => !(key in original)),
+      };
+      await this.storage.set({ [this.backupKey]: backup });
+    }
+
+    await this.storage.transaction([...changed, this.versionKey], (tx) => {
+      report.written.forEach(key => tx.set(key, working[key]));
+      report.removed.forEach(key => tx.remove(key));
+      tx.set(this.versionKey, report.to);
+    });
+    Logger.info(`Migrated storage from schema version ${from} to ${report.to} (${report.applied.length} migration(s)).`);
+    return report;
+  }
+
+  /**
+   * Deep copy of the stored items a migration may touch. The schema bookkeeping,
+   * encryption settings and in-flight transaction markers are left out.
+   * @private
+   * @param {Object<string, *>} items
+   * @returns {Object<string, *>}
+   */
+  snapshot(items) {
+    const copy = {};
+    for (const [key, value] of Object.entries(items || {})) {
+      if (key === this.versionKey || key === this.backupKey || key === Constants.STORAGE_KEYS.ENCRYPTION) continue;
+      if (key.startsWith(Constants.STORAGE_KEYS.TRANSACTION_PREFIX)) continue;
+      copy[key] = JSON.parse(JSON.stringify(value));
+    }
+    return copy;
+  }
+}
+
+export default MigrationRunner;
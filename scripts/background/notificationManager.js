@@ -121,6 +121,21 @@ class NotificationManager {
 		const message = errorMessage;
 		return this.showNotification({ title, message, priority: 2 });
 	}
+
+	/**
+	 * Shows a warning that extension storage is filling up.
+	 * 
+	 * @param {number} percentUsed - Share of the quota in use, 0-100.
+	 * @param {string} [largest] - Name of the namespace using the most space.
+	 * @returns {Promise<string>} Notification ID.
+	 */
+	async showStorageWarning(percentUsed, largest) {
+		const title = 'RecycleContent Storage Almost Full';
+		const message = `Storage is ${Math.round(percentUsed)}% full`
+			+ (largest ? `, mostly ${largest}` : '')
+			+ '. Archive or compact large exclusion lists from the popup.';
+		return this.showNotification({ title, message, priority: 1 });
+	}
 }
 
 export default new NotificationManager();
@@ -0,0 +1,269 @@
+/**
+ * @file        progressChannel.js
+ * @description Long-lived `chrome.runtime.connect` channel between the RecycleContent
+ *              background worker, popup and content scripts. The background runs each
+ *              recycle as a job and streams its typed progress events to every connected
+ *              port; the popup can cancel a running job, and content scripts doing the
+ *              in-page part of a job are told to stop and can report their own progress.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      ProgressChannel
+ */
+
+import Constants from '../common/constants.js';
+import Logger from '../common/logger.js';
+import Events from '../common/events.js';
+
+/** Progress events a job may emit, in the order a recycle goes through them. */
+const PROGRESS_EVENTS = [
+  'recycleStarted',
+  'buyersCollected',
+  'exclusionListUpdated',
+  'recycleQueued',
+  'mediaInserted',
+  'recycleCompleted',
+  'recycleCancelled',
+];
+
+/**
+ * Port messages, all tagged with `type`:
+ * - background → clients: `{ type: 'jobs', jobs }` on connect, `{ type: 'progress', jobId, event, data }`
+ *   for every event, and `{ type: 'cancel', jobId }` when a job is cancelled.
+ * - clients → background: `{ type: 'cancel', jobId, reason? }` and, from content scripts,
+ *   `{ type: 'progress', jobId, event, data }`.
+ * @typedef {Object} PortMessage
+ * @property {'jobs'|'progress'|'cancel'} type
+ */
+
+/**
+ * @typedef {Object} RecycleJob
+ * @property {string} id - Job ID, also sent with every progress event.
+ * @property {string} messageId - Message being recycled.
+ * @property {'running'|'cancelling'|'committed'|'deferred'} status - `committed` jobs can no longer be
+ *           cancelled; `deferred` jobs have handed their last step to other code, which ends them.
+ * @property {boolean} deferred - Whether `complete()` ends the job rather than the task returning.
+ * @property {Object|null} lastEvent - Last `{ event, data }` emitted, for late subscribers.
+ * @property {AbortController} controller - Aborted when the job is cancelled.
+ */
+
+/**
+ * @class ProgressChannel
+ * @description Tracks running recycle jobs and the ports listening to them.
+ */
+class ProgressChannel {
+  /**
+   * @constructor
+   * @param {Object} [options] - Configuration options.
+   * @param {string} [options.portName] - Name ports must connect with.
+   */
+  constructor({ portName = Constants.PORT_RECYCLE_PROGRESS } = {}) {
+    this.portName = portName;
+
+    /** @type {Set<chrome.runtime.Port>} */
+    this.ports = new Set();
+
+    /** @type {Map<string, RecycleJob>} */
+    this.jobs = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * @function connect
+   * @description `runtime.onConnect` listener. Adopts ports with the channel's name and
+   *              sends them the jobs already running.
+   * @param {chrome.runtime.Port} port
+   * @returns {boolean} Whether the port was adopted.
+   */
+  connect(port) {
+    if (port?.name !== this.portName) return false;
+
+    this.ports.add(port);
+    port.onMessage.addListener((message) => this.onPortMessage(message, port));
+    port.onDisconnect.addListener(() => this.ports.delete(port));
+
+    this.postTo(port, { type: 'jobs', jobs: this.getJobs() });
+    return true;
+  }
+
+  /**
+   * @function run
+   * @description Runs a recycle as a tracked job. Emits `recycleStarted` first and
+   *              `recycleCompleted` or `recycleCancelled` last; the task reports the
+   *              steps in between and should check `signal` between them. Before a step
+   *              that cannot be undone, the task calls `commit()`, which throws if the job
+   *              was cancelled and otherwise refuses any later cancel. A committed task whose
+   *              last step runs later, like a queued send, calls `defer()`: the job then stays
+   *              open after the task returns, until `complete()` is called for it.
+   * @param {string} messageId - Message being recycled.
+   * @param {function({jobId: string, signal: AbortSignal, report: function(string, Object): void, commit: function(): void, defer: function(): void}): Promise<*>} task
+   * @returns {Promise<*>} The task's result.
+   * @throws {Error} The task's error, or `Recycle cancelled` if the job was cancelled.
+   */
+  async run(messageId, task) {
+    const job = {
+      id: `job_${Date.now()}_${++this.sequence}`,
+      messageId,
+      status: 'running',
+      deferred: false,
+      lastEvent: null,
+      controller: new AbortController(),
+    };
+    this.jobs.set(job.id, job);
+    const report = (event, data) => this.report(job.id, event, data);
+    const commit = () => {
+      if (job.controller.signal.aborted) throw job.controller.signal.reason;
+      job.status = 'committed';
+    };
+    const defer = () => {
+      if (job.status !== 'committed') throw new Error('Only a committed job can be deferred');
+      job.deferred = true;
+    };
+
+    // Start and end are also published on RecycleContent.events
+    const started = { messageId, timestamp: Date.now() };
+    report('recycleStarted', started);
+    Events.publish('recycleStarted', started);
+    try {
+      const result = await task({ jobId: job.id, signal: job.controller.signal, report, commit, defer });
+      if (job.controller.signal.aborted) throw job.controller.signal.reason;
+
+      if (job.deferred) {
+        job.status = 'deferred';
+      } else {
+        this.complete(job.id, { messageId, success: true });
+      }
+      return result;
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        const reason = job.controller.signal.reason.message;
+        report('recycleCancelled', { messageId, reason, timestamp: Date.now() });
+        Events.publish('recycleCompleted', { messageId, success: false, error: reason, timestamp: Date.now() });
+        this.jobs.delete(job.id);
+        throw new Error('Recycle cancelled');
+      }
+      this.complete(job.id, { messageId, success: false, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @function complete
+   * @description Ends a job with `recycleCompleted`, on the ports and on RecycleContent.events.
+   *              Deferred jobs are ended this way once their last step has run. A job the
+   *              channel no longer tracks, e.g. after the service worker restarted, is
+   *              still reported to the ports.
+   * @param {string} jobId
+   * @param {Object} result
+   * @param {string} result.messageId - Message being recycled.
+   * @param {boolean} result.success
+   * @param {string} [result.error] - Why the job failed.
+   * @returns {boolean} Whether the job was still tracked.
+   */
+  complete(jobId, { messageId, success, error }) {
+    const completed = { messageId, success, ...(error !== undefined && { error }), timestamp: Date.now() };
+    const tracked = this.jobs.has(jobId);
+    if (!this.report(jobId, 'recycleCompleted', completed)) {
+      this.broadcast({ type: 'progress', jobId, event: 'recycleCompleted', data: completed });
+    }
+    this.jobs.delete(jobId);
+    Events.publish('recycleCompleted', completed);
+    return tracked;
+  }
+
+  /**
+   * @function cancel
+   * @description Aborts a running job and tells every port, so content scripts stop
+   *              any in-page work for it.
+   * @param {string} jobId
+   * @param {string} [reason='Cancelled by user']
+   * @returns {boolean} Whether a running job was cancelled.
+   */
+  cancel(jobId, reason = 'Cancelled by user') {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status !== 'running') return false;
+
+    job.status = 'cancelling';
+    job.controller.abort(new Error(reason));
+    this.broadcast({ type: 'cancel', jobId });
+    return true;
+  }
+
+  /**
+   * @function report
+   * @description Emits a progress event for a running job to every port.
+   * @param {string} jobId
+   * @param {string} event - One of the progress event names.
+   * @param {Object} [data]
+   * @returns {boolean} Whether the event was emitted.
+   */
+  report(jobId, event, data = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+    if (!PROGRESS_EVENTS.includes(event)) {
+      Logger.warn(`Ignoring unknown progress event: ${event}`);
+      return false;
+    }
+
+    job.lastEvent = { event, data };
+    this.broadcast({ type: 'progress', jobId, event, data });
+    return true;
+  }
+
+  /**
+   * @function getJobs
+   * @description Running jobs with their latest event.
+   * @returns {Array<{jobId: string, messageId: string, status: string, lastEvent: Object|null}>}
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map(({ id, messageId, status, lastEvent }) => ({
+      jobId: id, messageId, status, lastEvent,
+    }));
+  }
+
+  /**
+   * Handle a message from a connected popup or content script.
+   * @private
+   * @param {PortMessage} message
+   * @param {chrome.runtime.Port} port
+   * @returns {void}
+   */
+  onPortMessage(message, port) {
+    if (message?.type === 'cancel') {
+      this.cancel(message.jobId, message.reason);
+    } else if (message?.type === 'progress' && port.sender?.tab) {
+      this.report(message.jobId, message.event, message.data);
+    } else {
+      Logger.warn(`Ignoring progress port message: ${JSON.stringify(message)}`);
+    }
+  }
+
+  /**
+   * @private
+   * @param {PortMessage} message
+   * @returns {void}
+   */
+  broadcast(message) {
+    this.ports.forEach((port) => this.postTo(port, message));
+  }
+
+  /**
+   * Post to one port, dropping it if it has gone away.
+   * @private
+   * @param {chrome.runtime.Port} port
+   * @param {PortMessage} message
+   * @returns {void}
+   */
+  postTo(port, message) {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      Logger.debug(`Dropping disconnected progress port: ${error.message}`);
+      this.ports.delete(port);
+    }
+  }
+}
+
+export default ProgressChannel;
@@ -0,0 +1,221 @@
+/**
+ * @file        queueDispatcher.js
+ * @description Delivers scheduled messages from the MessageQueue in the RecycleContent
+ *              extension. A one-shot chrome.alarms alarm is kept pointed at the next
+ *              due entry, so the service worker wakes when it is time to send even
+ *              after the browser has been idle or the laptop lid was closed. An optional
+ *              SendRateGovernor holds back sends that would exceed the pacing limits.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      QueueDispatcher
+ */
+
+import Logger from '../common/logger.js';
+
+const DEFAULT_ALARM_NAME = 'recycleContentDispatch';
+
+/** Fallback wake-up for entries still due after a dispatch run. */
+const RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * @class QueueDispatcher
+ * @description Sends due queue entries and schedules the next wake-up.
+ */
+class QueueDispatcher {
+  /**
+   * @constructor
+   * @param {Object} options - Configuration options.
+   * @param {MessageQueue} options.queue - Queue to dispatch from.
+   * @param {function(Object): Promise<void>} options.send - Delivers one message; throws on failure.
+   * @param {SendRateGovernor} [options.governor] - Paces sends; unlimited when omitted.
+   * @param {function(): Promise<boolean>} [options.isHeld] - True while nothing may be sent, e.g.
+   *        while the data a send needs is locked. Like a paused queue, no alarm is kept; call
+   *        schedule() once it is released.
+   * @param {string} [options.alarmName='recycleContentDispatch'] - Name of the wake-up alarm.
+   */
+  constructor({ queue, send, governor = null, isHeld = async () => false, alarmName = DEFAULT_ALARM_NAME } = {}) {
+    if (!queue || typeof send !== 'function') {
+      throw new Error('QueueDispatcher requires a queue and a send function');
+    }
+
+    this.queue = queue;
+    this.send = send;
+    this.governor = governor;
+    this.isHeld = isHeld;
+    this.alarmName = alarmName;
+    this.dispatching = null;
+  }
+
+  /**
+   * @function enqueue
+   * @description Adds a message to the queue and reschedules the wake-up alarm.
+   * @param {Object} message - Message accepted by MessageQueue.enqueue().
+   * @returns {Promise<boolean>} Whether the message was enqueued.
+   */
+  async enqueue(message) {
+    const added = await this.queue.enqueue(message);
+    if (added) await this.schedule();
+    return added;
+  }
+
+  /**
+   * @function schedule
+   * @description Points the alarm at the next due entry, clears it when the queue is
+   *              empty or paused, and dispatches right away when something is already due.
+   * @param {number} [now=Date.now()] - Reference time.
+   * @returns {Promise<void>}
+   */
+  async schedule(now = Date.now()) {
+    const dueAt = await this._nextWakeUp(now);
+
+    if (dueAt !== null && dueAt <= now) {
+      await this.dispatchDue(now);
+      return;
+    }
+    await this._setAlarm(dueAt, now);
+  }
+
+  /**
+   * @function handleAlarm
+   * @description Alarm listener entry point.
+   * @param {chrome.alarms.Alarm} alarm - The alarm that fired.
+   * @returns {Promise<boolean>} Whether the alarm belonged to this dispatcher.
+   */
+  async handleAlarm(alarm) {
+    if (alarm?.name !== this.alarmName) return false;
+    await this.dispatchDue();
+    return true;
+  }
+
+  /**
+   * @function dispatchDue
+   * @description Sends every entry that is due, most urgent lane first, then schedules the
+   *              next alarm. Lanes send in parallel up to the queue's per-lane concurrency.
+   *              Failed sends go back to the queue through its retry handling.
+   *              Concurrent calls share the run already in progress.
+   * @param {number} [now=Date.now()] - Reference time.
+   * @returns {Promise<number>} Number of messages sent.
+   */
+  async dispatchDue(now = Date.now()) {
+    if (!this.dispatching) {
+      this.dispatching = this._dispatch(now).finally(() => {
+        this.dispatching = null;
+      });
+    }
+    return this.dispatching;
+  }
+
+  /**
+   * @function _dispatch
+   * @description Internal dispatch loop.
+   * @param {number} now - Reference time.
+   * @returns {Promise<number>} Number of messages sent.
+   * @private
+   */
+  async _dispatch(now) {
+    let sent = 0;
+    const running = new Set();
+
+    // Retried messages wait out their backoff, so each message is tried once per run.
+    for (;;) {
+      const message = await this._nextMessage(now);
+      if (message) {
+        const task = this._sendOne(message, now).then(ok => {
+          if (ok) sent++;
+          running.delete(task);
+        });
+        running.add(task);
+      } else if (running.size > 0) {
+        // Every lane with due messages is full, or the governor wants a gap; wait for a send to finish.
+        await Promise.race(running);
+      } else {
+        break;
+      }
+    }
+
+    await this._setAlarm(await this._nextWakeUp(now), now);
+    return sent;
+  }
+
+  /**
+   * @function _nextMessage
+   * @description Internal method dequeuing the next due message if the governor has a
+   *              send slot open. The slot is taken only when a message is actually due.
+   * @param {number} now - Reference time.
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async _nextMessage(now) {
+    if (await this.isHeld()) return null;
+    if (this.governor && await this.governor.nextSlotAt(now) > now) return null;
+
+    const message = await this.queue.dequeueDue(now);
+    if (message && this.governor) await this.governor.tryAcquire(now);
+    return message;
+  }
+
+  /**
+   * @function _sendOne
+   * @description Internal method sending one message, confirming it in the sent-ledger,
+   *              and freeing its lane slot afterwards.
+   * @param {Object} message - Dequeued message.
+   * @param {number} now - Reference time.
+   * @returns {Promise<boolean>} Whether the send succeeded.
+   * @private
+   */
+  async _sendOne(message, now) {
+    try {
+      await this.send(message);
+      await this.queue.markSent(message, now);
+      return true;
+    } catch (error) {
+      Logger.warn(`Failed to send queued message ${message.id}: ${error.message}`);
+      await this.queue.handleRetry(message, { error, now });
+      return false;
+    } finally {
+      this.queue.release(message);
+    }
+  }
+
+  /**
+   * @function _nextWakeUp
+   * @description Internal method returning when the next message may go out: its due
+   *              time, pushed back to the governor's next send slot. Null while the queue
+   *              is empty, paused or held so no alarm is kept around.
+   * @param {number} now - Reference time.
+   * @returns {Promise<number|null>}
+   * @private
+   */
+  async _nextWakeUp(now) {
+    if (await this.queue.getPauseState() || await this.isHeld()) return null;
+
+    const dueAt = await this.queue.nextDueAt();
+    if (dueAt === null || !this.governor) return dueAt;
+    return Math.max(dueAt, await this.governor.nextSlotAt(now));
+  }
+
+  /**
+   * @function _setAlarm
+   * @description Internal method pointing the alarm at the next due time. Entries that
+   *              are still due at this point are picked up a minute later.
+   * @param {number|null} dueAt - Next due time, or null when the queue is empty.
+   * @param {number} now - Reference time.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setAlarm(dueAt, now) {
+    if (dueAt === null) {
+      await chrome.alarms?.clear?.(this.alarmName);
+      return;
+    }
+
+    const when = dueAt > now ? dueAt : now + RETRY_DELAY_MS;
+    chrome.alarms?.create?.(this.alarmName, { when });
+    Logger.debug(`Next queued message dispatch at ${new Date(when).toISOString()}.`);
+  }
+}
+
+export default QueueDispatcher;
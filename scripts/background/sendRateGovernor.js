@@ -0,0 +1,221 @@
+/**
+ * @file        sendRateGovernor.js
+ * @description Paces outgoing recycled messages for the RecycleContent extension so
+ *              sends look like a person working through a backlog rather than a burst.
+ *              Two token buckets cap messages per hour and per day, and every send is
+ *              followed by a minimum gap plus a random spacing. State is persisted, so
+ *              limits survive service-worker restarts and the popup can show when the
+ *              next send slot opens.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      SendRateGovernor
+ */
+
+import Constants from '../common/constants.js';
+import Logger from '../common/logger.js';
+import Storage from '../common/storage.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** Default pacing; every value can be changed with configure(). */
+const DEFAULT_LIMITS = {
+  perHour: 12,
+  perDay: 100,
+  minGapMs: 3 * 60 * 1000,
+  randomSpacingMs: 2 * 60 * 1000,
+};
+
+/**
+ * @class SendRateGovernor
+ * @description Token-bucket rate limiter with a minimum gap and random spacing between
+ *              sends. The random part of each gap is drawn when a send happens and stored,
+ *              so the next slot is a fixed time every context can read.
+ */
+class SendRateGovernor {
+  /**
+   * @constructor
+   * @param {Object} [options] - Configuration options.
+   * @param {string} [options.storageKey] - Key the limits and bucket state are stored under.
+   */
+  constructor({ storageKey = Constants.STORAGE_KEYS.SEND_RATE } = {}) {
+    this.storageKey = storageKey;
+    this.storage = Storage;
+
+    /** @type {{limits: Object, state: Object}|null} */
+    this.data = null;
+  }
+
+  /**
+   * @function configure
+   * @description Changes the pacing limits. Buckets are clamped to the new capacities.
+   * @param {Object} limits - Any of perHour, perDay, minGapMs and randomSpacingMs.
+   * @returns {Promise<Object>} The limits now in effect.
+   * @throws {Error} If a limit is not a non-negative number, or a cap is below 1.
+   */
+  async configure(limits = {}) {
+    for (const [name, value] of Object.entries(limits)) {
+      if (!(name in DEFAULT_LIMITS)) {
+        throw new Error(`Unknown send rate limit: ${name}`);
+      }
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative number`);
+      }
+      if ((name === 'perHour' || name === 'perDay') && value < 1) {
+        throw new Error(`${name} must be at least 1`);
+      }
+    }
+
+    const data = await this.load();
+    const updated = { ...data.limits, ...limits };
+    await this.save({
+      limits: updated,
+      state: {
+        ...data.state,
+        hourTokens: Math.min(data.state.hourTokens, updated.perHour),
+        dayTokens: Math.min(data.state.dayTokens, updated.perDay),
+      },
+    });
+    return { ...updated };
+  }
+
+  /**
+   * @function getLimits
+   * @description Returns the pacing limits in effect.
+   * @returns {Promise<Object>}
+   */
+  async getLimits() {
+    const data = await this.load();
+    return { ...data.limits };
+  }
+
+  /**
+   * @function nextSlotAt
+   * @description Returns the earliest time the next message may be sent: when both
+   *              buckets hold a token and the gap after the last send has passed.
+   * @param {number} [now=Date.now()] - Reference time.
+   * @returns {Promise<number>} Timestamp; `now` if a send is allowed right away.
+   */
+  async nextSlotAt(now = Date.now()) {
+    const { limits, state } = await this.load();
+    const { hourTokens, dayTokens } = this.refill(limits, state, now);
+
+    return Math.max(
+      now,
+      state.lastSentAt + state.nextGapMs,
+      now + this.timeUntilToken(hourTokens, limits.perHour, HOUR_MS),
+      now + this.timeUntilToken(dayTokens, limits.perDay, DAY_MS),
+    );
+  }
+
+  /**
+   * @function tryAcquire
+   * @description Takes a send slot if one is open: spends a token from each bucket and
+   *              draws the spacing before the following send.
+   * @param {number} [now=Date.now()] - Time of the send.
+   * @returns {Promise<boolean>} Whether the send may go ahead.
+   */
+  async tryAcquire(now = Date.now()) {
+    if (await this.nextSlotAt(now) > now) return false;
+
+    const { limits, state } = await this.load();
+    const { hourTokens, dayTokens } = this.refill(limits, state, now);
+    await this.save({
+      limits,
+      state: {
+        hourTokens: hourTokens - 1,
+        dayTokens: dayTokens - 1,
+        refilledAt: now,
+        lastSentAt: now,
+        nextGapMs: limits.minGapMs + Math.round(Math.random() * limits.randomSpacingMs),
+      },
+    });
+    return true;
+  }
+
+  /**
+   * Drop the cached state so the next call reads storage again.
+   * @returns {void}
+   */
+  clearCache() {
+    this.data = null;
+  }
+
+  /**
+   * Bucket levels after refilling from `refilledAt` to `now`.
+   * @private
+   * @param {Object} limits
+   * @param {Object} state
+   * @param {number} now
+   * @returns {{hourTokens: number, dayTokens: number}}
+   */
+  refill(limits, state, now) {
+    const elapsed = Math.max(0, now - state.refilledAt);
+    return {
+      hourTokens: Math.min(limits.perHour, state.hourTokens + elapsed * limits.perHour / HOUR_MS),
+      dayTokens: Math.min(limits.perDay, state.dayTokens + elapsed * limits.perDay / DAY_MS),
+    };
+  }
+
+  /**
+   * Milliseconds until a bucket refilling `limit` tokens per `windowMs` holds a whole token.
+   * @private
+   * @param {number} tokens
+   * @param {number} limit
+   * @param {number} windowMs
+   * @returns {number}
+   */
+  timeUntilToken(tokens, limit, windowMs) {
+    return tokens >= 1 ? 0 : Math.ceil((1 - tokens) * windowMs / limit);
+  }
+
+  /**
+   * Read limits and bucket state on first use. A fresh install starts with full buckets.
+   * @private
+   * @returns {Promise<{limits: Object, state: Object}>}
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    let stored = null;
+    try {
+      const result = await this.storage.get([this.storageKey]);
+      stored = result[this.storageKey] || null;
+    } catch (error) {
+      Logger.error(`Error retrieving send rate state: ${error.message}`);
+    }
+
+    const limits = { ...DEFAULT_LIMITS, ...stored?.limits };
+    this.data = {
+      limits,
+      state: stored?.state || {
+        hourTokens: limits.perHour,
+        dayTokens: limits.perDay,
+        refilledAt: 0,
+        lastSentAt: 0,
+        nextGapMs: 0,
+      },
+    };
+    return this.data;
+  }
+
+  /**
+   * Persist limits and bucket state.
+   * @private
+   * @param {{limits: Object, state: Object}} data
+   * @returns {Promise<void>}
+   */
+  async save(data) {
+    this.data = data;
+    try {
+      await this.storage.set({ [this.storageKey]: data });
+    } catch (error) {
+      Logger.error(`Failed to save send rate state: ${error.message}`);
+    }
+  }
+}
+
+export default SendRateGovernor;
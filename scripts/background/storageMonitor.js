@@ -0,0 +1,203 @@
+/**
+ * @file        storageMonitor.js
+ * @description Watches how much of the storage quota the RecycleContent extension uses.
+ *              Usage is broken down by namespace (exclusion lists, history, media cache,
+ *              queue, logs), and a notification is shown the first time usage crosses
+ *              each configured threshold. Checked hourly by the maintenance registry.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      StorageMonitor
+ */
+
+import Constants from '../common/constants.js';
+import Logger from '../common/logger.js';
+import Storage from '../common/storage.js';
+import NotificationManager from './notificationManager.js';
+
+const KEYS = Constants.STORAGE_KEYS;
+
+/** Warn at 80% and again at 95% of the quota until configured otherwise. */
+const DEFAULT_THRESHOLDS = [80, 95];
+
+/**
+ * Namespaces in match order; keys matching none count as `other`.
+ * @type {Array<{name: string, label: string, match: function(string): boolean}>}
+ */
+const NAMESPACES = [
+  {
+    name: 'history',
+    label: 'change history',
+    match: key => key.startsWith(KEYS.EXCLUSION_HISTORY_PREFIX) || key.startsWith(KEYS.MESSAGE_HISTORY_PREFIX),
+  },
+  {
+    name: 'exclusionLists',
+    label: 'exclusion lists',
+    match: key => key.startsWith(KEYS.EXCLUSION_PREFIX) || key === KEYS.EXCLUSION_POLICY
+      || key === KEYS.EXCLUSION_EXPRESSIONS,
+  },
+  {
+    name: 'mediaCache',
+    label: 'media cache',
+    match: key => key.startsWith(KEYS.MEDIA_CACHE_PREFIX) || key === KEYS.MEDIA_OWNERSHIP,
+  },
+  {
+    name: 'queue',
+    label: 'message queue',
+    match: key => key.startsWith(Constants.STORAGE_KEY_QUEUE) || key === KEYS.SEND_RATE,
+  },
+  {
+    name: 'logs',
+    label: 'logs',
+    match: key => key.startsWith(KEYS.TRANSACTION_PREFIX) || [
+      KEYS.MAINTENANCE, KEYS.MESSAGE_STATS, KEYS.SCHEMA_BACKUP, KEYS.STORAGE_MONITOR, KEYS.ENCRYPTION,
+    ].includes(key),
+  },
+];
+
+/**
+ * @typedef {Object} StorageUsage
+ * @property {number} bytesInUse - Bytes used by everything.
+ * @property {number|null} quotaBytes - Capacity of the backend, if known.
+ * @property {number|null} percentUsed - Share of the quota in use, to one decimal.
+ * @property {Object<string, number>} namespaces - Bytes per namespace, including `other`.
+ */
+
+/**
+ * @typedef {Object} MonitorState
+ * @property {Array<number>} thresholds - Percentages that trigger a warning, ascending.
+ * @property {{threshold: number, at: number}|null} lastWarned - Highest threshold already warned about.
+ */
+
+/**
+ * @class StorageMonitor
+ * @description Measures storage use per namespace and warns when it nears the quota.
+ */
+class StorageMonitor {
+  /**
+   * @constructor
+   * @param {Object} [options] - Configuration options.
+   * @param {string} [options.storageKey] - Key the thresholds and warning state are stored under.
+   */
+  constructor({ storageKey = KEYS.STORAGE_MONITOR } = {}) {
+    this.storageKey = storageKey;
+    this.storage = Storage;
+  }
+
+  /**
+   * @function getUsage
+   * @description Measures total and per-namespace usage. Backends that cannot
+   *              measure themselves are estimated from the JSON size of their data.
+   * @returns {Promise<StorageUsage>}
+   */
+  async getUsage() {
+    const keysByNamespace = { ...Object.fromEntries(NAMESPACES.map(({ name }) => [name, []])), other: [] };
+    for (const key of await this.storage.getAllKeys()) {
+      const namespace = NAMESPACES.find(candidate => candidate.match(key))?.name ?? 'other';
+      keysByNamespace[namespace].push(key);
+    }
+
+    const namespaces = {};
+    for (const [name, keys] of Object.entries(keysByNamespace)) {
+      namespaces[name] = keys.length > 0 ? await this.storage.getBytesInUse(keys) : 0;
+    }
+
+    const bytesInUse = await this.storage.getBytesInUse(null);
+    const quotaBytes = this.storage.getQuotaBytes();
+    const percentUsed = quotaBytes ? Math.round((bytesInUse / quotaBytes) * 1000) / 10 : null;
+    return { bytesInUse, quotaBytes, percentUsed, namespaces };
+  }
+
+  /**
+   * @function check
+   * @description Measures usage and shows a notification when it has crossed a
+   *              threshold not warned about yet. Dropping below a threshold re-arms it.
+   * @returns {Promise<{usage: StorageUsage, warned: (number|null)}>}
+   */
+  async check() {
+    const usage = await this.getUsage();
+    const state = await this.loadState();
+    if (usage.percentUsed === null) return { usage, warned: null };
+
+    const crossed = state.thresholds.filter(threshold => usage.percentUsed >= threshold).at(-1) ?? null;
+    const lastWarned = state.lastWarned?.threshold ?? null;
+    let warned = null;
+
+    if (crossed !== null && (lastWarned === null || crossed > lastWarned)) {
+      const [largest] = Object.entries(usage.namespaces).sort((a, b) => b[1] - a[1]);
+      const label = NAMESPACES.find(({ name }) => name === largest?.[0])?.label;
+      try {
+        await NotificationManager.showStorageWarning(usage.percentUsed, label);
+        warned = crossed;
+      } catch (error) {
+        Logger.error(`Could not show storage warning: ${error.message}`);
+      }
+      Logger.warn(`Storage is ${usage.percentUsed}% full (${usage.bytesInUse} of ${usage.quotaBytes} bytes).`);
+    }
+
+    if (warned !== null) {
+      await this.saveState({ ...state, lastWarned: { threshold: warned, at: Date.now() } });
+    } else if (lastWarned !== null && (crossed === null || crossed < lastWarned)) {
+      await this.saveState({ ...state, lastWarned: crossed === null ? null : { ...state.lastWarned, threshold: crossed } });
+    }
+    return { usage, warned };
+  }
+
+  /**
+   * @function configure
+   * @description Sets the percentages of the quota that trigger a warning.
+   * @param {Object} settings
+   * @param {Array<number>} settings.thresholds - Percentages above 0 and at most 100.
+   * @returns {Promise<Array<number>>} The thresholds in effect, ascending.
+   * @throws {Error} If a threshold is out of range.
+   */
+  async configure({ thresholds } = {}) {
+    if (!Array.isArray(thresholds) || thresholds.some(value => !Number.isFinite(value) || value <= 0 || value > 100)) {
+      throw new Error('Storage thresholds must be percentages above 0 and at most 100');
+    }
+
+    const state = await this.loadState();
+    const sorted = [...new Set(thresholds)].sort((a, b) => a - b);
+    await this.saveState({ ...state, thresholds: sorted });
+    return sorted;
+  }
+
+  /**
+   * @function getThresholds
+   * @returns {Promise<Array<number>>}
+   */
+  async getThresholds() {
+    return (await this.loadState()).thresholds;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<MonitorState>}
+   */
+  async loadState() {
+    try {
+      const stored = await this.storage.get(this.storageKey);
+      return { thresholds: DEFAULT_THRESHOLDS, lastWarned: null, ...stored };
+    } catch (error) {
+      Logger.error(`Error retrieving storage monitor state: ${error.message}`);
+      return { thresholds: DEFAULT_THRESHOLDS, lastWarned: null };
+    }
+  }
+
+  /**
+   * @private
+   * @param {MonitorState} state
+   * @returns {Promise<void>}
+   */
+  async saveState(state) {
+    try {
+      await this.storage.set({ [this.storageKey]: state });
+    } catch (error) {
+      Logger.error(`Failed to save storage monitor state: ${error.message}`);
+    }
+  }
+}
+
+export default StorageMonitor;
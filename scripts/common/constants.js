@@ -18,6 +18,22 @@
  * @property {string} STORAGE_KEY_SETTINGS - Key name for extension settings storage.
  * @property {string} STORAGE_KEY_QUEUE - Key name for message queue storage.
  * @property {string} EVENT_DOM_UPDATED - Event name dispatched on DOM changes.
+ * @property {string} ACTION_GET_MESSAGE_DATA - Runtime message action returning what the background knows about a message.
+ * @property {string} ACTION_INITIATE_RECYCLE - Runtime message action queuing a recycle.
+ * @property {string} ACTION_UPDATE_EXCLUSION_LIST - Runtime message action for exclusion list writes.
+ * @property {string} ACTION_UPDATE_MEDIA_INDEX - Runtime message action for media ownership and media cache writes.
+ * @property {string} ACTION_GET_STORAGE_STATS - Runtime message action returning storage usage.
+ * @property {string} ACTION_SET_STORAGE_THRESHOLDS - Runtime message action setting the storage warning thresholds.
+ * @property {string} ACTION_GET_ENCRYPTION_STATUS - Runtime message action returning whether storage is encrypted and locked.
+ * @property {string} ACTION_ENABLE_ENCRYPTION - Runtime message action turning on encryption at rest.
+ * @property {string} ACTION_UNLOCK_STORAGE - Runtime message action unlocking encrypted storage with the passphrase.
+ * @property {string} ACTION_LOCK_STORAGE - Runtime message action locking encrypted storage.
+ * @property {string} ACTION_GET_RECYCLE_STATE - Runtime message action returning whether the queue is sending.
+ * @property {string} ACTION_TOGGLE_RECYCLE - Runtime message action for the popup's recycling switch.
+ * @property {string} ACTION_SEND_QUEUED_MESSAGE - Tab message action asking the content script to send a due message.
+ * @property {string} ACTION_PUBLISH_EVENT - Runtime message action relaying a RecycleContent.events event between contexts.
+ * @property {string} ACTION_COLLECT_BUYERS - Tab message action asking the content script for a message's buyers.
+ * @property {string} PORT_RECYCLE_PROGRESS - Name of the runtime port streaming recycle progress.
  * @property {number} MAX_RETRY_ATTEMPTS - Maximum retry attempts for message processing.
  * @property {string} API_ENDPOINT - URL of backend API for content processing.
  * @property {RegExp} EXCLUSION_PATTERN - Regex pattern to exclude certain messages.
@@ -30,11 +46,46 @@ const Constants = {
 
   STORAGE_KEYS: {
     EXCLUSION_LIST: 'RecycleContentExclusionList',
+    EXCLUSION_PREFIX: 'exclusion_',
+    EXCLUSION_META: 'exclusion_meta',
+    EXCLUSION_HISTORY_PREFIX: 'exclusionlog_',
+    EXCLUSION_POLICY: 'exclusionpolicy',
+    EXCLUSION_EXPRESSIONS: 'exclusionexpressions',
+    MEDIA_OWNERSHIP: 'media_ownership',
+    SEND_RATE: 'send_rate',
+    MEDIA_CACHE_PREFIX: 'media_cache_',
+    MEDIA_CACHE_INDEX: 'media_cache_index',
+    MAINTENANCE: 'maintenance_runs',
+    MESSAGE_STATS: 'message_stats',
+    TRANSACTION_PREFIX: 'storage_tx_',
+    SCHEMA_VERSION: 'schema_version',
+    SCHEMA_BACKUP: 'schema_backup',
+    STORAGE_MONITOR: 'storage_monitor',
+    ENCRYPTION: 'storage_encryption',
+    MESSAGE_HISTORY_PREFIX: 'message_history_',
     // Add other keys here if needed
   },
 
   EVENT_DOM_UPDATED: 'RecycleContentDOMUpdated',
 
+  ACTION_GET_MESSAGE_DATA: 'getMessageData',
+  ACTION_INITIATE_RECYCLE: 'initiateRecycle',
+  ACTION_UPDATE_EXCLUSION_LIST: 'updateExclusionList',
+  ACTION_UPDATE_MEDIA_INDEX: 'updateMediaIndex',
+  ACTION_GET_STORAGE_STATS: 'getStorageStats',
+  ACTION_SET_STORAGE_THRESHOLDS: 'setStorageThresholds',
+  ACTION_GET_ENCRYPTION_STATUS: 'getEncryptionStatus',
+  ACTION_ENABLE_ENCRYPTION: 'enableEncryption',
+  ACTION_UNLOCK_STORAGE: 'unlockStorage',
+  ACTION_LOCK_STORAGE: 'lockStorage',
+  ACTION_GET_RECYCLE_STATE: 'getRecycleState',
+  ACTION_TOGGLE_RECYCLE: 'toggleRecycle',
+  ACTION_SEND_QUEUED_MESSAGE: 'sendQueuedMessage',
+  ACTION_PUBLISH_EVENT: 'publishEvent',
+  ACTION_COLLECT_BUYERS: 'collectBuyers',
+
+  PORT_RECYCLE_PROGRESS: 'recycleProgress',
+
   MAX_RETRY_ATTEMPTS: 3,
 
   API_ENDPOINT: 'https://api.recyclecontent.example.com/process',
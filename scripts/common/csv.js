@@ -0,0 +1,127 @@
+/**
+ * @file        csv.js
+ * @description Minimal RFC 4180 CSV reader and writer for the RecycleContent extension.
+ *              Handles quoted fields, escaped quotes, embedded line breaks, byte order
+ *              marks, and comma, semicolon or tab delimited spreadsheets.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      Csv
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Class providing static helpers to parse and produce CSV text.
+ *
+ * @class
+ */
+class Csv {
+  /**
+   * Parses CSV text into rows of string cells.
+   * Blank lines are skipped.
+   *
+   * @param {string} text - Raw CSV text.
+   * @param {Object} [options]
+   * @param {string} [options.delimiter] - Field delimiter; detected from the first line when omitted.
+   * @returns {Array<Array<string>>} Parsed rows.
+   */
+  static parse(text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new TypeError('CSV input must be a string');
+    }
+
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || Csv.detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Serializes rows into CSV text, quoting cells where needed.
+   *
+   * @param {Array<Array<*>>} rows - Rows of cell values.
+   * @param {Object} [options]
+   * @param {string} [options.delimiter=','] - Field delimiter.
+   * @returns {string} CSV text using CRLF line endings.
+   */
+  static stringify(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    return rows
+      .map(row => row.map(cell => Csv.escapeCell(cell, delimiter)).join(delimiter))
+      .join('\r\n');
+  }
+
+  /**
+   * Quotes a single cell if it contains a delimiter, quote or line break.
+   *
+   * @param {*} value - Cell value.
+   * @param {string} [delimiter=','] - Field delimiter.
+   * @returns {string} Escaped cell.
+   */
+  static escapeCell(value, delimiter = ',') {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Guesses the delimiter by counting candidates outside quotes on the first line.
+   *
+   * @param {string} text - Raw CSV text.
+   * @returns {string} The most frequent delimiter, defaulting to a comma.
+   */
+  static detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    for (const delimiter of DELIMITERS) {
+      const count = firstLine.split(delimiter).length - 1;
+      if (count > bestCount) {
+        best = delimiter;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+}
+
+export default Csv;
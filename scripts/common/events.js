@@ -0,0 +1,233 @@
+/**
+ * @file        events.js
+ * @description Event bus behind `RecycleContent.events`. Subscribers in the same context
+ *              are called directly; events are also relayed through the background worker
+ *              to the popup, other extension pages and content scripts in OnlyFans tabs.
+ *              Every payload is checked against the documented event table before it
+ *              is delivered anywhere.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      Events
+ */
+
+import Constants from './constants.js';
+import Logger from './logger.js';
+
+const ONLYFANS_TAB_PATTERN = 'https://onlyfans.com/*';
+
+/**
+ * Payload fields per event. Types are `string`, `number`, `boolean` or `any`;
+ * a trailing `?` marks an optional field. Fields not listed are rejected.
+ * @type {Object<string, Object<string, string>>}
+ */
+const EVENT_SCHEMAS = {
+  exclusionListCreated: { listId: 'string', name: 'string', count: 'number' },
+  exclusionListUpdated: { listId: 'string', addedCount: 'number', totalCount: 'number' },
+  messageRecycled: { messageId: 'string', sentTo: 'number', excludedCount: 'number' },
+  mediaExtracted: { messageId: 'string', mediaCount: 'number' },
+  mediaInserted: { messageId: 'string', mediaCount: 'number', success: 'boolean' },
+  recycleStarted: { messageId: 'string', timestamp: 'number' },
+  recycleCompleted: { messageId: 'string', success: 'boolean', timestamp: 'number', error: 'string?' },
+  error: { source: 'string', message: 'string', details: 'any?' },
+};
+
+/**
+ * An event as it travels between contexts.
+ * @typedef {Object} RelayedEvent
+ * @property {string} name - Event name.
+ * @property {Object} data - Validated payload.
+ * @property {string} origin - ID of the context that published it.
+ * @property {boolean} relayed - Set once the background worker has fanned it out.
+ */
+
+/**
+ * @class EventBus
+ * @classdesc Typed publish/subscribe shared by every extension context.
+ */
+class EventBus {
+  constructor() {
+    /** @type {Map<string, Set<Function>>} Handlers keyed by event name. */
+    this.handlers = new Map();
+
+    /** Identifies this context so it can skip its own events coming back from the hub. */
+    this.contextId = `ctx_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+    /**
+     * How events leave this context: 'hub' fans them out (the service worker),
+     * 'relay' sends them to the hub, 'local' keeps them here. Detected when null.
+     * @type {'hub'|'relay'|'local'|null}
+     */
+    this.role = null;
+
+    if (typeof chrome !== 'undefined' && chrome.runtime?.onMessage && this.getRole() === 'relay') {
+      chrome.runtime.onMessage.addListener((message) => {
+        if (message?.action === Constants.ACTION_PUBLISH_EVENT) this.receive(message.payload);
+        return false;
+      });
+    }
+  }
+
+  /**
+   * Subscribe to an event.
+   * @param {string} name - Event name from the event table.
+   * @param {function(Object): void} handler - Receives the payload.
+   * @returns {function(): void} Unsubscribes the handler.
+   * @throws {Error} If the event is unknown or the handler is not a function.
+   */
+  subscribe(name, handler) {
+    if (!EVENT_SCHEMAS[name]) {
+      throw new Error(`Unknown event: ${name}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for ${name} must be a function`);
+    }
+
+    if (!this.handlers.has(name)) this.handlers.set(name, new Set());
+    this.handlers.get(name).add(handler);
+    return () => this.handlers.get(name)?.delete(handler);
+  }
+
+  /**
+   * Publish an event to subscribers here and in every other context.
+   * Relaying happens in the background; delivery failures are only logged.
+   * Publishers call this after their work is done, so a payload that does not
+   * match the schema is logged and dropped rather than thrown back at them.
+   * @param {string} name - Event name from the event table.
+   * @param {Object} data - Payload matching the event's schema.
+   * @returns {boolean} Whether the event was published.
+   */
+  publish(name, data) {
+    const invalid = this.validate(name, data);
+    if (invalid) {
+      Logger.error(`Dropping published event: ${invalid}`);
+      return false;
+    }
+
+    this.deliver(name, data);
+    const event = { name, data, origin: this.contextId, relayed: false };
+    const role = this.getRole();
+    if (role === 'hub') {
+      this.fanOut(event);
+    } else if (role === 'relay') {
+      chrome.runtime.sendMessage({ action: Constants.ACTION_PUBLISH_EVENT, payload: event })
+        .catch((error) => Logger.debug(`Could not relay ${name}: ${error.message}`));
+    }
+    return true;
+  }
+
+  /**
+   * Accept an event relayed from another context. In the background worker this
+   * delivers it and fans it out; elsewhere it delivers events the hub sent on,
+   * skipping ones this context published itself.
+   * @param {RelayedEvent} event
+   * @returns {boolean} Whether the event was delivered here.
+   */
+  receive(event) {
+    const invalid = this.validate(event?.name, event?.data);
+    if (invalid) {
+      Logger.warn(`Dropping relayed event: ${invalid}`);
+      return false;
+    }
+
+    if (this.getRole() === 'hub') {
+      if (event.relayed) return false;
+      this.deliver(event.name, event.data);
+      this.fanOut(event);
+      return true;
+    }
+
+    if (!event.relayed || event.origin === this.contextId) return false;
+    this.deliver(event.name, event.data);
+    return true;
+  }
+
+  /**
+   * Check a payload against its event's schema.
+   * @param {string} name
+   * @param {Object} data
+   * @returns {string|null} Why the event is invalid, or null.
+   */
+  validate(name, data) {
+    const schema = EVENT_SCHEMAS[name];
+    if (!schema) return `Unknown event: ${name}`;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return `${name} payload must be an object`;
+    }
+
+    for (const [field, spec] of Object.entries(schema)) {
+      const optional = spec.endsWith('?');
+      const type = optional ? spec.slice(0, -1) : spec;
+      if (data[field] === undefined) {
+        if (optional) continue;
+        return `${name}.${field} is required`;
+      }
+      if (type !== 'any' && (typeof data[field] !== type || (type === 'number' && !Number.isFinite(data[field])))) {
+        return `${name}.${field} must be a ${type}`;
+      }
+    }
+
+    const unexpected = Object.keys(data).find(field => !(field in schema));
+    return unexpected ? `${name}.${unexpected} is not a known field` : null;
+  }
+
+  /**
+   * Call this context's subscribers. A failing handler does not stop the others.
+   * @private
+   * @param {string} name
+   * @param {Object} data
+   * @returns {void}
+   */
+  deliver(name, data) {
+    for (const handler of this.handlers.get(name) || []) {
+      try {
+        Promise.resolve(handler(data)).catch((error) => {
+          Logger.error(`Handler for ${name} failed: ${error.message}`);
+        });
+      } catch (error) {
+        Logger.error(`Handler for ${name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Send an event on to extension pages and OnlyFans tabs. Contexts that are not
+   * open simply don't receive it.
+   * @private
+   * @param {RelayedEvent} event
+   * @returns {Promise<void>}
+   */
+  async fanOut(event) {
+    const message = { action: Constants.ACTION_PUBLISH_EVENT, payload: { ...event, relayed: true } };
+    const ignore = () => {};
+
+    try {
+      chrome.runtime.sendMessage(message)?.catch?.(ignore);
+      const tabs = await chrome.tabs?.query?.({ url: ONLYFANS_TAB_PATTERN }) ?? [];
+      tabs.forEach((tab) => chrome.tabs.sendMessage(tab.id, message)?.catch?.(ignore));
+    } catch (error) {
+      Logger.debug(`Could not fan out ${event.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {'hub'|'relay'|'local'}
+   */
+  getRole() {
+    if (this.role) return this.role;
+    if (typeof chrome === 'undefined' || !chrome.runtime?.id) return 'local';
+    return typeof ServiceWorkerGlobalScope !== 'undefined' ? 'hub' : 'relay';
+  }
+}
+
+/** @type {EventBus} Singleton shared by every module in a context. */
+const Events = new EventBus();
+
+// Documented entry point: RecycleContent.events.subscribe/publish
+globalThis.RecycleContent = globalThis.RecycleContent || {};
+globalThis.RecycleContent.events = Events;
+
+export default Events;
@@ -0,0 +1,121 @@
+/**
+ * @file        idCodec.js
+ * @description Compact encoding for large sets of numeric subscriber IDs in the
+ *              RecycleContent extension. IDs are sorted, stored as deltas from the
+ *              previous ID, written as LEB128 varints and packed into base64.
+ *              Tens of thousands of IDs shrink to a few bytes each, which keeps
+ *              chrome.storage.local reads fast and well under quota.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      IdCodec
+ */
+
+const PREFIX = 'dv1:';
+const CANONICAL_ID = /^(0|[1-9]\d*)$/;
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Class providing static helpers to pack and unpack numeric ID lists.
+ *
+ * @class
+ */
+class IdCodec {
+  /**
+   * Whether every ID can be packed without losing information.
+   * Only canonical decimal strings within the safe integer range qualify.
+   *
+   * @param {Array<string>} ids - Subscriber IDs.
+   * @returns {boolean} True if the list can be encoded.
+   */
+  static canEncode(ids) {
+    return Array.isArray(ids) && ids.every(id =>
+      typeof id === 'string' && CANONICAL_ID.test(id) && Number.isSafeInteger(Number(id))
+    );
+  }
+
+  /**
+   * Whether a stored value was produced by encode().
+   *
+   * @param {*} value - Stored value.
+   * @returns {boolean} True for packed strings.
+   */
+  static isEncoded(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * Packs numeric IDs into a sorted delta varint base64 string.
+   * Duplicates are dropped and the result is in ascending order.
+   *
+   * @param {Array<string>} ids - Subscriber IDs accepted by canEncode().
+   * @returns {string} Packed representation.
+   * @throws {Error} If an ID is not a canonical safe integer.
+   */
+  static encode(ids) {
+    if (!IdCodec.canEncode(ids)) {
+      throw new Error('IdCodec can only encode canonical numeric IDs');
+    }
+
+    const sorted = Array.from(new Set(ids.map(Number))).sort((a, b) => a - b);
+    const bytes = [];
+    let previous = 0;
+
+    for (const value of sorted) {
+      let delta = value - previous;
+      previous = value;
+      while (delta >= 0x80) {
+        bytes.push((delta % 0x80) | 0x80);
+        delta = Math.floor(delta / 0x80);
+      }
+      bytes.push(delta);
+    }
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      binary += String.fromCharCode.apply(null, bytes.slice(i, i + CHUNK_SIZE));
+    }
+    return `${PREFIX}${btoa(binary)}`;
+  }
+
+  /**
+   * Unpacks a string produced by encode().
+   *
+   * @param {string} packed - Packed representation.
+   * @returns {Array<string>} IDs in ascending order.
+   * @throws {Error} If the input is not a valid packed string.
+   */
+  static decode(packed) {
+    if (!IdCodec.isEncoded(packed)) {
+      throw new Error('Value is not an encoded ID list');
+    }
+
+    const binary = atob(packed.slice(PREFIX.length));
+    const ids = [];
+    let previous = 0;
+    let delta = 0;
+    let scale = 1;
+
+    for (let i = 0; i < binary.length; i++) {
+      const byte = binary.charCodeAt(i);
+      delta += (byte & 0x7f) * scale;
+      if (byte & 0x80) {
+        scale *= 0x80;
+        continue;
+      }
+      previous += delta;
+      ids.push(String(previous));
+      delta = 0;
+      scale = 1;
+    }
+
+    if (scale !== 1) {
+      throw new Error('Encoded ID list is truncated');
+    }
+    return ids;
+  }
+}
+
+export default IdCodec;
@@ -1,8 +1,11 @@
 /**
  * @file        storage.js
- * @description Provides a wrapper around browser storage APIs for the RecycleContent extension.
- *              Supports efficient read/write operations, in-memory caching, and optional
- *              compression for exclusion list data.
+ * @description Provides a single storage adapter for the RecycleContent extension.
+ *              Every module reads and writes through it, whichever backend the context
+ *              has: `chrome.storage.local`, Firefox's `browser.storage.local`,
+ *              `localStorage`, or an in-memory store. Subscriber data can be encrypted
+ *              at rest with a passphrase. Also keeps the list helpers used for
+ *              exclusion list data.
  * 
  * @author      Noelle B.
  * @created     2025-05-21
@@ -17,44 +20,419 @@ import Constants from './constants.js';
 import Logger from './logger.js';  // <-- Added import for Logger
 
 /**
- * Storage class provides a wrapper around browser storage APIs.
+ * A storage backend. Methods mirror `chrome.storage.local`: `get` takes a key, an
+ * array of keys or null (everything) and resolves to an object of the keys found.
+ * 
+ * @typedef {Object} StorageDriver
+ * @property {string} name - Driver name.
+ * @property {function(): boolean} isAvailable - Whether the backend exists in this context.
+ * @property {function((string|Array<string>|null)): Promise<Object>} get
+ * @property {function(Object): Promise<void>} set
+ * @property {function((string|Array<string>)): Promise<void>} remove
+ * @property {function(): Promise<void>} clear
+ * @property {function((string|Array<string>|null)): Promise<number|null>} [getBytesInUse] - Null when the backend cannot tell.
+ * @property {function(): (number|null)} [quotaBytes] - Capacity of the backend, if known.
+ * @property {function(function(Object<string, {oldValue: *, newValue: *}>): void): function(): void} [onChanged]
+ *           Adds a change listener and returns a function removing it.
+ */
+
+/**
+ * Handle passed to a `Storage.transaction()` callback. Every method throws for a
+ * key the transaction did not declare.
+ * 
+ * @typedef {Object} StorageTransaction
+ * @property {function(string): any} get - Staged or stored value of a key (a copy).
+ * @property {function(string, any): void} set - Stages a new value.
+ * @property {function(string): void} remove - Stages a removal.
+ */
+
+/** Drivers tried in order when none was chosen with `Storage.use()`. */
+const DRIVER_ORDER = ['chrome', 'browser', 'localStorage', 'memory'];
+
+/**
+ * Normalize `get`/`remove` keys to an array, or null for every key.
+ * @param {string|Array<string>|null} keys
+ * @returns {Array<string>|null}
+ */
+function toKeyList(keys) {
+	return keys === null || keys === undefined ? null : [].concat(keys);
+}
+
+/**
+ * Parse a stored record. Values that are not JSON, such as ones written before
+ * this adapter, read back as-is.
+ * @param {string|null} raw
+ * @returns {*} Undefined for a missing record.
+ */
+function decodeRecord(raw) {
+	if (raw === null) return undefined;
+	try {
+	    return JSON.parse(raw);
+	} catch {
+	    return raw;
+	}
+}
+
+/**
+ * Driver over a WebExtension storage namespace, looked up on every call so it follows
+ * the global it wraps.
+ * 
+ * @param {string} name - Driver name.
+ * @param {function(): (Object|undefined)} getNamespace - Returns `chrome.storage` or `browser.storage`.
+ * @returns {StorageDriver}
+ */
+function createAreaDriver(name, getNamespace) {
+	const area = () => getNamespace()?.local;
+	return {
+	    name,
+	    isAvailable: () => Boolean(area()),
+	    get: (keys) => area().get(keys),
+	    set: (items) => area().set(items),
+	    remove: (keys) => area().remove(keys),
+	    clear: () => area().clear(),
+	    getBytesInUse: async (keys) => (typeof area().getBytesInUse === 'function' ? area().getBytesInUse(keys) : null),
+	    quotaBytes: () => area()?.QUOTA_BYTES ?? null,
+	    onChanged: (listener) => {
+	        const onChanged = getNamespace()?.onChanged;
+	        if (!onChanged) return () => {};
+	        const wrapped = (changes, areaName) => {
+	            if (areaName === 'local') listener(changes);
+	        };
+	        onChanged.addListener(wrapped);
+	        return () => onChanged.removeListener?.(wrapped);
+	    },
+	};
+}
+
+/**
+ * Driver over key/value records that only hold strings. Values are stored as JSON.
+ * 
+ * @param {string} name - Driver name.
+ * @param {function(): (Object|undefined)} getStore - Returns a Web Storage-like object.
+ * @param {Object} [options]
+ * @param {function(function(Object): void): function(): void} [options.external] - Subscribes to changes made elsewhere.
+ * @returns {StorageDriver}
+ */
+function createRecordDriver(name, getStore, { external } = {}) {
+	const listeners = new Set();
+	const allKeys = () => {
+	    const store = getStore();
+	    return Array.from({ length: store.length }, (_, index) => store.key(index));
+	};
+	const read = (keys) => {
+	    const result = {};
+	    for (const key of toKeyList(keys) ?? allKeys()) {
+	        const raw = getStore().getItem(key);
+	        if (raw !== null) result[key] = decodeRecord(raw);
+	    }
+	    return result;
+	};
+	const write = (keys, apply) => {
+	    const before = read(keys);
+	    apply();
+	    const after = read(keys);
+	    const changes = {};
+	    for (const key of keys) {
+	        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+	            changes[key] = { oldValue: before[key], newValue: after[key] };
+	        }
+	    }
+	    if (Object.keys(changes).length > 0) listeners.forEach(listener => listener(changes));
+	};
+
+	return {
+	    name,
+	    isAvailable: () => Boolean(getStore()),
+	    get: async (keys) => read(keys),
+	    set: async (items) => write(Object.keys(items), () => {
+	        Object.entries(items).forEach(([key, value]) => getStore().setItem(key, JSON.stringify(value)));
+	    }),
+	    remove: async (keys) => write(toKeyList(keys), () => {
+	        toKeyList(keys).forEach(key => getStore().removeItem(key));
+	    }),
+	    clear: async () => write(allKeys(), () => getStore().clear()),
+	    getBytesInUse: async () => null,
+	    quotaBytes: () => null,
+	    onChanged: (listener) => {
+	        listeners.add(listener);
+	        const unsubscribe = external?.(listener);
+	        return () => {
+	            listeners.delete(listener);
+	            unsubscribe?.();
+	        };
+	    },
+	};
+}
+
+/**
+ * In-memory store with the Web Storage interface, used where nothing persists.
+ * Contents are lost when the context unloads.
+ * 
+ * @returns {Object}
+ */
+function createMemoryStore() {
+	const items = new Map();
+	return {
+	    get length() {
+	        return items.size;
+	    },
+	    key: (index) => Array.from(items.keys())[index] ?? null,
+	    getItem: (key) => (items.has(key) ? items.get(key) : null),
+	    setItem: (key, value) => items.set(key, String(value)),
+	    removeItem: (key) => items.delete(key),
+	    clear: () => items.clear(),
+	};
+}
+
+const memoryStore = createMemoryStore();
+
+/** @type {Object<string, StorageDriver>} Built-in drivers by name. */
+const DRIVERS = {
+	chrome: createAreaDriver('chrome', () => (typeof chrome !== 'undefined' ? chrome.storage : undefined)),
+	browser: createAreaDriver('browser', () => (typeof browser !== 'undefined' ? browser.storage : undefined)),
+	localStorage: createRecordDriver('localStorage', () => (typeof localStorage !== 'undefined' ? localStorage : undefined), {
+	    // The storage event reports changes made by other pages of the extension
+	    external: (listener) => {
+	        if (typeof window === 'undefined') return () => {};
+	        const onStorage = (event) => {
+	            if (event.storageArea !== localStorage || event.key === null) return;
+	            listener({ [event.key]: { oldValue: decodeRecord(event.oldValue), newValue: decodeRecord(event.newValue) } });
+	        };
+	        window.addEventListener('storage', onStorage);
+	        return () => window.removeEventListener('storage', onStorage);
+	    },
+	}),
+	memory: createRecordDriver('memory', () => memoryStore),
+};
+
+/**
+ * Key prefixes whose values are encrypted once encryption is enabled: exclusion lists
+ * and their change logs hold subscriber IDs, and the migration backup holds copies of them.
+ */
+const ENCRYPTED_PREFIXES = [
+	Constants.STORAGE_KEYS.EXCLUSION_PREFIX,
+	Constants.STORAGE_KEYS.EXCLUSION_HISTORY_PREFIX,
+	Constants.STORAGE_KEYS.SCHEMA_BACKUP,
+];
+
+/** Keys under an encrypted prefix that hold no subscriber IDs and must stay readable while locked. */
+const PLAINTEXT_KEYS = [Constants.STORAGE_KEYS.EXCLUSION_META];
+
+const PBKDF2_ITERATIONS = 600000;
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const MINUTE_MS = 60 * 1000;
+const BASE64_CHUNK_SIZE = 0x8000;
+
+/** Encrypted with the key when encryption is enabled, to check passphrases against. */
+const VERIFIER = 'recyclecontent-storage';
+
+/**
+ * Settings of the encrypted storage layer, stored in plaintext.
+ * 
+ * @typedef {Object} EncryptionConfig
+ * @property {number} version - Format of the encrypted values.
+ * @property {string} salt - Base64 PBKDF2 salt.
+ * @property {number} iterations - PBKDF2 iterations.
+ * @property {EncryptedValue} verifier - A known value encrypted with the key.
+ * @property {number} autoLockMinutes - Lock after this long without storage access; 0 never locks.
+ */
+
+/**
+ * A value as it is stored once encrypted.
+ * 
+ * @typedef {Object} EncryptedValue
+ * @property {'aes-gcm'} enc
+ * @property {string} iv - Base64 initialization vector.
+ * @property {string} data - Base64 ciphertext of the JSON value.
+ */
+
+/**
+ * @param {string} key
+ * @returns {boolean} Whether the key's value is encrypted when encryption is enabled.
+ */
+function isEncryptedKey(key) {
+	return !PLAINTEXT_KEYS.includes(key) && ENCRYPTED_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether a stored value is an EncryptedValue.
+ */
+function isEncryptedValue(value) {
+	return Boolean(value) && value.enc === 'aes-gcm' && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Converts in chunks: spreading a large buffer into one call overflows the stack.
+ * 
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+	const view = new Uint8Array(bytes);
+	let binary = '';
+	for (let i = 0; i < view.length; i += BASE64_CHUNK_SIZE) {
+	    binary += String.fromCharCode.apply(null, view.subarray(i, i + BASE64_CHUNK_SIZE));
+	}
+	return btoa(binary);
+}
+
+function fromBase64(text) {
+	return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Error thrown when encrypted data is read or written while storage is locked.
+ * 
+ * @returns {Error} With `code` set to `STORAGE_LOCKED`.
+ */
+function lockedError() {
+	const error = new Error('Storage is locked; unlock it from the popup');
+	error.code = 'STORAGE_LOCKED';
+	return error;
+}
+
+/**
+ * Derives the AES-GCM key from a passphrase. The key is not extractable, so its
+ * bytes never reach script memory or storage.
+ * 
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+	const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+	return crypto.subtle.deriveKey(
+	    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+	    material,
+	    { name: 'AES-GCM', length: 256 },
+	    false,
+	    ['encrypt', 'decrypt'],
+	);
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {*} value - Any JSON value.
+ * @returns {Promise<EncryptedValue>}
+ */
+async function encryptValue(key, value) {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+	return { enc: 'aes-gcm', iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * @param {CryptoKey} key
+ * @param {EncryptedValue} value
+ * @returns {Promise<*>}
+ * @throws {Error} If the key is wrong or the value was tampered with.
+ */
+async function decryptValue(key, value) {
+	const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(value.iv) }, key, fromBase64(value.data));
+	return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Storage adapter shared by every module. The backend is detected on each call
+ * unless one was chosen with `use()`.
  */
 class Storage {
+	constructor() {
+	    /** @type {StorageDriver|null} Driver chosen with use(); null means detect. */
+	    this.driver = null;
+	    this.warnedMemory = false;
+
+	    /** @type {Promise<void>|null} Tail of the transaction queue. */
+	    this.txQueue = null;
+
+	    /** Encryption settings (undefined until read) and the unlocked key, if any. */
+	    this.encryption = { config: undefined, key: null, lastActivity: 0, timer: null, watching: false };
+	}
+
+	/**
+	 * Chooses the storage backend.
+	 * 
+	 * @param {string|StorageDriver|null} driver - A built-in driver name ('chrome', 'browser',
+	 *        'localStorage' or 'memory'), a custom driver, or null to detect again.
+	 * @returns {string|null} Name of the chosen driver, or null when detecting.
+	 * @throws {Error} If the name is unknown or the driver lacks a required method.
+	 */
+	use(driver) {
+	    this.encryption.config = undefined;
+	    if (driver === null) {
+	        this.driver = null;
+	        return null;
+	    }
+
+	    const resolved = typeof driver === 'string' ? DRIVERS[driver] : driver;
+	    if (!resolved) {
+	        throw new Error(`Unknown storage driver: ${driver}`);
+	    }
+	    const missing = ['get', 'set', 'remove', 'clear'].find(method => typeof resolved[method] !== 'function');
+	    if (missing) {
+	        throw new Error(`Storage driver ${resolved.name || '(unnamed)'} is missing ${missing}()`);
+	    }
+	    this.driver = resolved;
+	    return resolved.name || null;
+	}
+
 	/**
-	 * Retrieves a value from storage.
+	 * Returns the driver in use: the chosen one, or the first available of
+	 * chrome, browser, localStorage and memory.
+	 * 
+	 * @returns {StorageDriver}
+	 */
+	getDriver() {
+	    if (this.driver) return this.driver;
+
+	    const driver = DRIVER_ORDER.map(name => DRIVERS[name]).find(candidate => candidate.isAvailable());
+	    if (driver.name === 'memory' && !this.warnedMemory) {
+	        this.warnedMemory = true;
+	        Logger.warn('No persistent storage available; data is kept in memory only.');
+	    }
+	    return driver;
+	}
+
+	/**
+	 * Retrieves values from storage.
 	 * 
 	 * @async
-	 * @param {string} [key=Constants.STORAGE_KEYS.EXCLUSION_LIST] - The key to retrieve from storage.
-	 * @returns {Promise<any>} The value associated with the key.
+	 * @param {string|Array<string>|null} [keys=Constants.STORAGE_KEYS.EXCLUSION_LIST] - A key, several
+	 *        keys, or null for everything.
+	 * @returns {Promise<any>} The value for a single key; for an array or null, an object of the keys found.
 	 */
-	async get(key = Constants.STORAGE_KEYS.EXCLUSION_LIST) {
-	    const result = await browser.storage.local.get(key);
-	    return result[key];
+	async get(keys = Constants.STORAGE_KEYS.EXCLUSION_LIST) {
+	    const result = await this.decode((await this.getDriver().get(keys)) || {});
+	    return typeof keys === 'string' ? result[keys] : result;
 	}
 
 	/**
-	 * Sets a value in storage.
+	 * Stores values.
 	 * 
 	 * @async
-	 * @param {string} [key=Constants.STORAGE_KEYS.EXCLUSION_LIST] - The key to set in storage.
-	 * @param {any} value - The value to associate with the key.
+	 * @param {string|Object} [keyOrItems=Constants.STORAGE_KEYS.EXCLUSION_LIST] - The key to set, or
+	 *        an object of keys and values written together.
+	 * @param {any} [value] - The value for a single key.
 	 * @returns {Promise<void>}
 	 */
-	async set(key = Constants.STORAGE_KEYS.EXCLUSION_LIST, value) {
-	    const obj = {};
-	    obj[key] = value;
-	    await browser.storage.local.set(obj);
+	async set(keyOrItems = Constants.STORAGE_KEYS.EXCLUSION_LIST, value) {
+	    const items = typeof keyOrItems === 'object' && keyOrItems !== null
+	        ? keyOrItems
+	        : { [keyOrItems]: value };
+	    await this.getDriver().set(await this.encode(items));
 	}
 
 	/**
-	 * Removes a value from storage.
+	 * Removes values from storage.
 	 * 
 	 * @async
-	 * @param {string} [key=Constants.STORAGE_KEYS.EXCLUSION_LIST] - The key to remove from storage.
+	 * @param {string|Array<string>} [keys=Constants.STORAGE_KEYS.EXCLUSION_LIST] - The key or keys to remove.
 	 * @returns {Promise<void>}
 	 */
-	async remove(key = Constants.STORAGE_KEYS.EXCLUSION_LIST) {
-	    await browser.storage.local.remove(key);
+	async remove(keys = Constants.STORAGE_KEYS.EXCLUSION_LIST) {
+	    await this.getDriver().remove(keys);
 	}
 
 	/**
@@ -64,7 +442,7 @@ class Storage {
 	 * @returns {Promise<void>}
 	 */
 	async clear() {
-	    await browser.storage.local.clear();
+	    await this.getDriver().clear();
 	}
 
 	/**
@@ -74,7 +452,7 @@ class Storage {
 	 * @returns {Promise<Array<string>>} An array of keys in storage.
 	 */
 	async getAllKeys() {
-	    const result = await browser.storage.local.get(null);
+	    const result = await this.getDriver().get(null);
 	    return Object.keys(result);
 	}
 
@@ -85,10 +463,465 @@ class Storage {
 	 * @returns {Promise<Object>} An object containing all key-value pairs in storage.
 	 */
 	async getAllValues() {
-	    const result = await browser.storage.local.get(null);
+	    const result = await this.decode(await this.getDriver().get(null));
+	    return result;
+	}
+
+	/**
+	 * Bytes used by some keys, or by everything. Backends that cannot measure
+	 * themselves are estimated from the JSON size of keys and values.
+	 * 
+	 * @async
+	 * @param {string|Array<string>|null} [keys=null]
+	 * @returns {Promise<number>}
+	 */
+	async getBytesInUse(keys = null) {
+	    const driver = this.getDriver();
+	    const measured = await driver.getBytesInUse?.(keys);
+	    if (typeof measured === 'number') return measured;
+
+	    const values = await driver.get(keys);
+	    return Object.entries(values)
+	        .reduce((total, [key, value]) => total + key.length + JSON.stringify(value).length, 0);
+	}
+
+	/**
+	 * Capacity of the backend in bytes, if it reports one.
+	 * 
+	 * @returns {number|null}
+	 */
+	getQuotaBytes() {
+	    return this.getDriver().quotaBytes?.() ?? null;
+	}
+
+	/**
+	 * Listens for changes made by this or any other extension context.
+	 * 
+	 * @param {function(Object<string, {oldValue: *, newValue: *}>): void} listener - Receives the changed keys.
+	 * @returns {function(): void} Removes the listener.
+	 */
+	onChanged(listener) {
+	    return this.getDriver().onChanged?.(listener) ?? (() => {});
+	}
+
+	/**
+	 * Whether encryption is enabled, and whether it is unlocked in this context.
+	 * 
+	 * @async
+	 * @returns {Promise<{enabled: boolean, locked: boolean, autoLockMinutes: (number|null)}>}
+	 */
+	async getEncryptionStatus() {
+	    const config = await this.getEncryptionConfig();
+	    if (!config) return { enabled: false, locked: false, autoLockMinutes: null };
+	    return { enabled: true, locked: !(await this.getKey()), autoLockMinutes: config.autoLockMinutes };
+	}
+
+	/**
+	 * Whether encrypted data is currently unreadable.
+	 * 
+	 * @async
+	 * @returns {Promise<boolean>}
+	 */
+	async isLocked() {
+	    return (await this.getEncryptionStatus()).locked;
+	}
+
+	/**
+	 * Turns on encryption at rest. Values already stored under the encrypted
+	 * prefixes are encrypted in the same write that saves the settings, and
+	 * storage is left unlocked.
+	 * 
+	 * @async
+	 * @param {string} passphrase - At least 8 characters. It cannot be recovered.
+	 * @param {Object} [options]
+	 * @param {number} [options.autoLockMinutes=15] - Lock after this long without access; 0 never locks.
+	 * @returns {Promise<number>} Number of values encrypted.
+	 * @throws {Error} If encryption is already on, the arguments are invalid, or this is not the worker.
+	 */
+	async enableEncryption(passphrase, { autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES } = {}) {
+	    this.assertHoldsKey();
+	    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+	        throw new Error('Passphrase must be at least 8 characters');
+	    }
+	    if (!Number.isFinite(autoLockMinutes) || autoLockMinutes < 0) {
+	        throw new Error('autoLockMinutes must be a number of minutes, or 0');
+	    }
+	    if (await this.getEncryptionConfig()) {
+	        throw new Error('Encryption is already enabled');
+	    }
+
+	    const salt = crypto.getRandomValues(new Uint8Array(16));
+	    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+	    /** @type {EncryptionConfig} */
+	    const config = {
+	        version: 1,
+	        salt: toBase64(salt),
+	        iterations: PBKDF2_ITERATIONS,
+	        verifier: await encryptValue(key, VERIFIER),
+	        autoLockMinutes,
+	    };
+
+	    const stored = await this.getDriver().get(null);
+	    const encrypted = {};
+	    for (const [name, value] of Object.entries(stored)) {
+	        if (isEncryptedKey(name) && !isEncryptedValue(value)) {
+	            encrypted[name] = await encryptValue(key, value);
+	        }
+	    }
+	    await this.getDriver().set({ ...encrypted, [Constants.STORAGE_KEYS.ENCRYPTION]: config });
+
+	    this.encryption.config = config;
+	    this.setKey(key);
+	    Logger.info(`Storage encryption enabled; ${Object.keys(encrypted).length} value(s) encrypted.`);
+	    return Object.keys(encrypted).length;
+	}
+
+	/**
+	 * Turns encryption off, writing every encrypted value back in plaintext.
+	 * 
+	 * @async
+	 * @param {string} passphrase
+	 * @returns {Promise<number>} Number of values decrypted.
+	 * @throws {Error} If encryption is off, the passphrase is wrong, or this is not the worker.
+	 */
+	async disableEncryption(passphrase) {
+	    await this.unlock(passphrase);
+	    const key = await this.getKey();
+
+	    const stored = await this.getDriver().get(null);
+	    const decrypted = {};
+	    for (const [name, value] of Object.entries(stored)) {
+	        if (isEncryptedValue(value)) decrypted[name] = await decryptValue(key, value);
+	    }
+	    // Plaintext values are read as they are, so a stop between these writes loses nothing
+	    if (Object.keys(decrypted).length) await this.getDriver().set(decrypted);
+	    await this.getDriver().remove(Constants.STORAGE_KEYS.ENCRYPTION);
+
+	    this.encryption.config = null;
+	    await this.lock();
+	    Logger.info(`Storage encryption disabled; ${Object.keys(decrypted).length} value(s) decrypted.`);
+	    return Object.keys(decrypted).length;
+	}
+
+	/**
+	 * Unlocks encrypted data in the background worker until lock(), the
+	 * auto-lock, or the worker stopping. Extension pages ask the worker to
+	 * unlock with the `unlockStorage` action.
+	 * 
+	 * @async
+	 * @param {string} passphrase
+	 * @returns {Promise<void>}
+	 * @throws {Error} If encryption is off, the passphrase is wrong, or this is not the worker.
+	 */
+	async unlock(passphrase) {
+	    this.assertHoldsKey();
+	    const config = await this.getEncryptionConfig();
+	    if (!config) {
+	        throw new Error('Storage encryption is not enabled');
+	    }
+
+	    const key = await deriveKey(String(passphrase), fromBase64(config.salt), config.iterations);
+	    try {
+	        if (await decryptValue(key, config.verifier) !== VERIFIER) throw new Error('verifier mismatch');
+	    } catch {
+	        throw new Error('Wrong passphrase');
+	    }
+	    this.setKey(key);
+	    await this.decryptPlaintextKeys(key);
+	    Logger.info('Storage unlocked.');
+	}
+
+	/**
+	 * Forgets the key. Encrypted data cannot be read or written until the
+	 * next unlock().
+	 * 
+	 * @async
+	 * @returns {Promise<void>}
+	 */
+	async lock() {
+	    const state = this.encryption;
+	    const wasUnlocked = Boolean(state.key);
+	    clearTimeout(state.timer);
+	    Object.assign(state, { key: null, lastActivity: 0, timer: null });
+	    if (wasUnlocked) Logger.info('Storage locked.');
+	}
+
+	/**
+	 * Runs `fn` against a staged view of some keys and commits its changes together.
+	 * New values go out in a single `set` call, after a write-ahead marker recording
+	 * the keys' previous values; recoverTransactions() uses the marker to finish or
+	 * undo a transaction cut short by a service worker shutdown. Nothing is written
+	 * if `fn` throws. Transactions run one at a time.
+	 * 
+	 * @async
+	 * @param {Array<string>} keys - Every key the transaction may read or write.
+	 * @param {function(StorageTransaction): (any|Promise<any>)} fn - Stages changes through the transaction.
+	 * @returns {Promise<any>} Whatever `fn` returned.
+	 * @throws {Error} If the arguments are invalid, `fn` throws, or the commit fails.
+	 */
+	transaction(keys, fn) {
+	    if (!Array.isArray(keys) || keys.length === 0 || keys.some(key => typeof key !== 'string' || !key)) {
+	        return Promise.reject(new Error('Transaction keys must be a non-empty array of strings'));
+	    }
+	    if (typeof fn !== 'function') {
+	        return Promise.reject(new Error('Transaction callback must be a function'));
+	    }
+
+	    const run = (this.txQueue || Promise.resolve()).then(() => this.runTransaction(keys, fn));
+	    this.txQueue = run.catch(() => {});
+	    return run;
+	}
+
+	/**
+	 * @private
+	 * @param {Array<string>} keys
+	 * @param {function(StorageTransaction): (any|Promise<any>)} fn
+	 * @returns {Promise<any>}
+	 */
+	async runTransaction(keys, fn) {
+	    const current = await this.get(keys);
+	    const staged = new Map();
+	    const check = (key) => {
+	        if (!keys.includes(key)) {
+	            throw new Error(`Key ${key} is not part of this transaction`);
+	        }
+	    };
+
+	    const tx = {
+	        get(key) {
+	            check(key);
+	            const value = staged.has(key) ? staged.get(key) : current[key];
+	            return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+	        },
+	        set(key, value) {
+	            check(key);
+	            staged.set(key, value);
+	        },
+	        remove(key) {
+	            check(key);
+	            staged.set(key, undefined);
+	        },
+	    };
+
+	    const result = await fn(tx);
+	    if (staged.size === 0) return result;
+
+	    const after = {};
+	    const removed = [];
+	    for (const [key, value] of staged) {
+	        if (value === undefined) removed.push(key);
+	        else after[key] = value;
+	    }
+
+	    // The marker holds values as stored, so encrypted ones stay encrypted in it
+	    const driver = this.getDriver();
+	    const stored = await this.encode(after);
+	    const previous = (await driver.get(keys)) || {};
+	    const before = {};
+	    Object.keys(previous).filter(key => staged.has(key)).forEach((key) => { before[key] = previous[key]; });
+
+	    const id = `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+	    const markerKey = `${Constants.STORAGE_KEYS.TRANSACTION_PREFIX}${id}`;
+	    const marker = { id, startedAt: Date.now(), state: 'pending', keys: [...staged.keys()], before, after: stored, removed };
+
+	    await driver.set({ [markerKey]: marker });
+	    await driver.set({ ...stored, [markerKey]: { ...marker, state: 'committed' } });
+	    if (removed.length) await this.remove(removed);
+	    await this.remove(markerKey);
 	    return result;
 	}
 
+	/**
+	 * Finishes transactions interrupted by a shutdown. One whose single `set` landed
+	 * is rolled forward (its removals are applied); one that never got that far is
+	 * rolled back to the values recorded in its marker. Run once at startup.
+	 * 
+	 * @async
+	 * @returns {Promise<{rolledForward: number, rolledBack: number}>}
+	 */
+	async recoverTransactions() {
+	    const prefix = Constants.STORAGE_KEYS.TRANSACTION_PREFIX;
+	    const driver = this.getDriver();
+	    const everything = (await driver.get(null)) || {};
+	    const summary = { rolledForward: 0, rolledBack: 0 };
+
+	    for (const [markerKey, marker] of Object.entries(everything)) {
+	        if (!markerKey.startsWith(prefix)) continue;
+
+	        if (marker?.state === 'committed') {
+	            await driver.set(marker.after || {});
+	            if (marker.removed?.length) await this.remove(marker.removed);
+	            summary.rolledForward++;
+	        } else {
+	            const before = marker?.before || {};
+	            const created = (marker?.keys || []).filter(key => !(key in before));
+	            if (Object.keys(before).length) await driver.set(before);
+	            if (created.length) await this.remove(created);
+	            summary.rolledBack++;
+	        }
+	        await this.remove(markerKey);
+	    }
+
+	    if (summary.rolledForward || summary.rolledBack) {
+	        Logger.warn(`Recovered storage transactions: ${summary.rolledForward} rolled forward, ${summary.rolledBack} rolled back`);
+	    }
+	    return summary;
+	}
+
+	/**
+	 * Encryption settings, or null when encryption is off. Cached until they change.
+	 * 
+	 * @private
+	 * @returns {Promise<EncryptionConfig|null>}
+	 */
+	async getEncryptionConfig() {
+	    const state = this.encryption;
+	    if (state.config !== undefined) return state.config;
+
+	    if (!state.watching) {
+	        state.watching = true;
+	        this.onChanged((changes) => {
+	            if (Constants.STORAGE_KEYS.ENCRYPTION in changes) state.config = undefined;
+	        });
+	    }
+
+	    const result = (await this.getDriver().get([Constants.STORAGE_KEYS.ENCRYPTION])) || {};
+	    state.config = result[Constants.STORAGE_KEYS.ENCRYPTION] ?? null;
+	    return state.config;
+	}
+
+	/**
+	 * The unlocked key, or null while locked. Locks instead when storage has been
+	 * idle longer than the auto-lock delay.
+	 * 
+	 * @private
+	 * @returns {Promise<CryptoKey|null>}
+	 */
+	async getKey() {
+	    const state = this.encryption;
+	    if (!state.key) return null;
+
+	    const minutes = (await this.getEncryptionConfig())?.autoLockMinutes;
+	    if (minutes > 0 && Date.now() - state.lastActivity > minutes * MINUTE_MS) {
+	        Logger.info('Storage locked after inactivity.');
+	        await this.lock();
+	        return null;
+	    }
+	    return state.key;
+	}
+
+	/**
+	 * Whether this context may hold the key. Only the background worker does;
+	 * extension pages and content scripts reach encrypted data through it.
+	 * 
+	 * @private
+	 * @returns {boolean}
+	 */
+	holdsKey() {
+	    return typeof ServiceWorkerGlobalScope !== 'undefined'
+	        || typeof chrome === 'undefined'
+	        || !chrome.runtime?.id;
+	}
+
+	/**
+	 * @private
+	 * @returns {void}
+	 * @throws {Error} If this context may not hold the key.
+	 */
+	assertHoldsKey() {
+	    if (!this.holdsKey()) {
+	        throw new Error('Encrypted storage can only be unlocked in the background worker');
+	    }
+	}
+
+	/**
+	 * Keeps the unlocked key in the worker's memory and nowhere else. A worker
+	 * that Chrome stops loses it, and storage stays locked until the next unlock().
+	 * 
+	 * @private
+	 * @param {CryptoKey} key - Non-extractable key from deriveKey().
+	 * @returns {void}
+	 */
+	setKey(key) {
+	    this.encryption.key = key;
+	    this.touch();
+	}
+
+	/**
+	 * Writes back in plaintext any value still encrypted under a key that no
+	 * longer is, such as `exclusion_meta` from before it was left out.
+	 * 
+	 * @private
+	 * @param {CryptoKey} key
+	 * @returns {Promise<void>}
+	 */
+	async decryptPlaintextKeys(key) {
+	    const stored = await this.getDriver().get(PLAINTEXT_KEYS);
+	    const decrypted = {};
+	    for (const [name, value] of Object.entries(stored || {})) {
+	        if (isEncryptedValue(value)) decrypted[name] = await decryptValue(key, value);
+	    }
+	    if (Object.keys(decrypted).length) await this.getDriver().set(decrypted);
+	}
+
+	/**
+	 * Records access to encrypted data and restarts the auto-lock timer.
+	 * 
+	 * @private
+	 * @returns {void}
+	 */
+	touch() {
+	    const state = this.encryption;
+	    state.lastActivity = Date.now();
+
+	    clearTimeout(state.timer);
+	    const minutes = state.config?.autoLockMinutes;
+	    if (minutes > 0) {
+	        state.timer = setTimeout(() => this.lock(), minutes * MINUTE_MS);
+	        state.timer.unref?.();
+	    }
+	}
+
+	/**
+	 * Encrypts the values of encrypted keys before they are stored.
+	 * 
+	 * @private
+	 * @param {Object} items
+	 * @returns {Promise<Object>} The items as stored; the same object when nothing is encrypted.
+	 * @throws {Error} If encryption is on and storage is locked.
+	 */
+	async encode(items) {
+	    const names = Object.keys(items).filter(name => isEncryptedKey(name) && items[name] !== undefined);
+	    if (names.length === 0 || !(await this.getEncryptionConfig())) return items;
+
+	    const key = await this.getKey();
+	    if (!key) throw lockedError();
+	    const encoded = { ...items };
+	    for (const name of names) encoded[name] = await encryptValue(key, items[name]);
+	    this.touch();
+	    return encoded;
+	}
+
+	/**
+	 * Decrypts encrypted values read from the backend.
+	 * 
+	 * @private
+	 * @param {Object} stored
+	 * @returns {Promise<Object>} The items in plaintext; the same object when nothing was encrypted.
+	 * @throws {Error} If an encrypted value is read while storage is locked.
+	 */
+	async decode(stored) {
+	    const names = Object.keys(stored).filter(name => isEncryptedValue(stored[name]));
+	    if (names.length === 0) return stored;
+
+	    const key = await this.getKey();
+	    if (!key) throw lockedError();
+	    const decoded = { ...stored };
+	    for (const name of names) decoded[name] = await decryptValue(key, stored[name]);
+	    this.touch();
+	    return decoded;
+	}
+
 	/**
 	 * Serializes a list into a string format.
 	 * 
@@ -134,7 +967,7 @@ class Storage {
 	 * @returns {Promise<boolean>} True if the key exists, false otherwise.
 	 */
 	async keyExists(key) {
-	    const result = await browser.storage.local.get(key);
+	    const result = await this.getDriver().get(key);
 	    return key in result;
 	}
 
@@ -147,7 +980,7 @@ class Storage {
 	 * @returns {Promise<boolean>} True if the value exists, false otherwise.
 	 */
 	async valueExists(key, value) {
-	    const result = await browser.storage.local.get(key);
+	    const result = await this.decode(await this.getDriver().get(key));
 	    return result[key] === value;
 	}
 
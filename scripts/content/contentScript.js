@@ -14,6 +14,8 @@
  *              messaging, and dynamic content interaction.
  */
 
+import Constants from '../common/constants.js';
+import MediaHandler from '../services/mediaHandler.js';
 import './domObserver.js';
 import './interfaceManager.js';
 import './messageParser.js';
@@ -28,6 +30,137 @@ function inspectContent() {
     return Array.from(recyclableElements).map(element => element.outerHTML);
 }
 
+/** Delay before reading the next page of buyers after clicking "load more". */
+const BUYER_PAGE_DELAY_MS = 500;
+
+/** Recycle jobs with in-page work under way here. */
+const runningJobs = new Set();
+
+/** Running recycle jobs cancelled from the popup; in-page work for them stops. */
+const cancelledJobs = new Set();
+
+/** Port to the background worker carrying recycle progress and cancellation. */
+let progressPort = null;
+
+/**
+ * Connect the recycle progress port, reconnecting after the service worker was suspended.
+ * 
+ * @returns {chrome.runtime.Port|null} The port, or null outside the extension.
+ */
+function connectProgressPort() {
+    if (progressPort || !chrome.runtime?.connect) return progressPort;
+
+    progressPort = chrome.runtime.connect({ name: Constants.PORT_RECYCLE_PROGRESS });
+    progressPort.onMessage.addListener((message) => {
+        // A job with nothing running here has nothing to stop, so it is not remembered
+        if (message.type === 'cancel' && runningJobs.has(message.jobId)) cancelledJobs.add(message.jobId);
+    });
+    progressPort.onDisconnect.addListener(() => {
+        progressPort = null;
+    });
+    return progressPort;
+}
+
+/**
+ * Report progress of the in-page part of a recycle job, e.g. `mediaInserted`.
+ * 
+ * @param {string} jobId - Job ID received with the request.
+ * @param {string} event - Progress event name.
+ * @param {Object} data - Event payload.
+ * @returns {void}
+ */
+function reportProgress(jobId, event, data) {
+    connectProgressPort()?.postMessage({ type: 'progress', jobId, event, data });
+}
+
+/**
+ * Collect the buyer IDs listed for a message, paging through "load more" until the
+ * list is complete or the job is cancelled, and record the message's media.
+ * 
+ * @param {string} messageId - Message whose buyers are listed.
+ * @param {string} [jobId] - Recycle job the buyers are collected for.
+ * @returns {Promise<string[]>} Buyer IDs.
+ * @throws {Error} If the job is cancelled.
+ */
+async function collectBuyers(messageId, jobId) {
+    const selector = `[data-message-id="${String(messageId).replace(/"/g, '\\"')}"]`;
+    const buyers = new Set();
+    runningJobs.add(jobId);
+
+    try {
+        for (;;) {
+            if (cancelledJobs.has(jobId)) {
+                throw new Error('Recycle cancelled');
+            }
+
+            document.querySelectorAll(`${selector} [data-buyer-id]`)
+                .forEach(row => buyers.add(row.dataset.buyerId));
+
+            const loadMore = document.querySelector(`${selector} [data-load-more-buyers]`);
+            if (!loadMore) {
+                // Records the message's media, so its buyers are excluded wherever that media is sent again
+                await new MediaHandler().getMediaElements(messageId);
+                return Array.from(buyers);
+            }
+            loadMore.click();
+            await new Promise(resolve => setTimeout(resolve, BUYER_PAGE_DELAY_MS));
+        }
+    } finally {
+        runningJobs.delete(jobId);
+        cancelledJobs.delete(jobId);
+    }
+}
+
+/**
+ * Send a due queue entry through the open message composer: insert the source
+ * message's media, reporting `mediaInserted` to the entry's recycle job, deselect
+ * excluded fans and press send. Nothing is sent when every recipient is excluded.
+ * 
+ * @param {Object} message - Queue entry from the background worker.
+ * @param {string[]} [excludedSubscribers] - Fans who must not receive it.
+ * @returns {Promise<{sentTo: number}>} Number of fans the message went to.
+ * @throws {Error} If the composer is missing or the media could not be inserted.
+ */
+async function sendQueuedMessage(message, excludedSubscribers = []) {
+    const composer = document.querySelector('[data-recycle-compose]');
+    if (!composer) {
+        throw new Error('No message composer is open');
+    }
+
+    const excluded = new Set(excludedSubscribers.map(String));
+    let sentTo = 0;
+    composer.querySelectorAll('[data-recipient-id]').forEach((row) => {
+        const selected = !excluded.has(row.dataset.recipientId);
+        const checkbox = row.querySelector('input[type="checkbox"]');
+        if (checkbox) checkbox.checked = selected;
+        if (selected) sentTo++;
+    });
+    if (sentTo === 0) return { sentTo };
+
+    const sendButton = composer.querySelector('[data-send-message]');
+    if (!sendButton) {
+        throw new Error('Send button not found');
+    }
+
+    // A paid message must not go out without its media
+    const mediaContainer = composer.querySelector('[data-compose-media]') || composer;
+    const messageId = message.sourceMessageId ?? message.id;
+    const results = await new MediaHandler().insertMediaIntoNewMessage(messageId, mediaContainer);
+    if (message.jobId) {
+        reportProgress(message.jobId, 'mediaInserted', {
+            messageId: String(messageId),
+            mediaCount: results.filter(result => result.success).length,
+            success: results.every(result => result.success),
+        });
+    }
+    if (!results.every(result => result.success)) {
+        throw new Error('Media could not be inserted');
+    }
+
+    sendButton.click();
+    return { sentTo };
+}
+
 /**
  * Message listener for commands from the background script.
  * 
@@ -40,6 +173,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === "checkRecyclableContent") {
         const recyclableContent = inspectContent();
         sendResponse({ recyclableContent });
+    } else if (request.action === Constants.ACTION_COLLECT_BUYERS) {
+        collectBuyers(request.payload.messageId, request.payload.jobId)
+            .then(data => sendResponse({ status: 'success', data }))
+            .catch(error => sendResponse({ status: 'error', error: error.message }));
+        return true; // async response
+    } else if (request.action === Constants.ACTION_SEND_QUEUED_MESSAGE) {
+        sendQueuedMessage(request.message, request.payload?.excludedSubscribers)
+            .then(data => sendResponse({ status: 'success', data }))
+            .catch(error => sendResponse({ status: 'error', error: error.message }));
+        return true; // async response
     }
     return false; // synchronous response
 });
@@ -50,10 +193,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  */
 function initialize() {
     console.log("Content script loaded and running.");
+    connectProgressPort();
     // You can add additional startup code here if needed
 }
 
 // Run initialize immediately when this script loads
 initialize();
 
+export { reportProgress };
 export default initialize;
@@ -2,6 +2,8 @@
  * @file        exclusionList.js
  * @description Manages exclusion lists for message IDs in the RecycleContent extension.
  *              Provides in-memory caching and persistent storage with serialization.
+ *              Lists are named, can be shared by several messages, and are indexed
+ *              under `exclusion_meta` so callers can enumerate them cheaply.
  *              Logs key operations and handles errors gracefully.
  *
  * @author      Noelle B.
@@ -13,6 +15,156 @@
 
 import Constants from '../common/constants.js';
 import Logger from '../common/logger.js';
+import Csv from '../common/csv.js';
+import IdCodec from '../common/idCodec.js';
+import Events from '../common/events.js';
+import Storage from '../common/storage.js';
+
+const LIST_PREFIX = Constants.STORAGE_KEYS.EXCLUSION_PREFIX;
+const META_KEY = Constants.STORAGE_KEYS.EXCLUSION_META;
+const HISTORY_PREFIX = Constants.STORAGE_KEYS.EXCLUSION_HISTORY_PREFIX;
+const POLICY_KEY = Constants.STORAGE_KEYS.EXCLUSION_POLICY;
+const EXPRESSIONS_KEY = Constants.STORAGE_KEYS.EXCLUSION_EXPRESSIONS;
+const EXPRESSION_PREFIX = 'expr_';
+const SET_OPERATORS = ['union', 'intersect', 'difference'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * DAY_MS;
+
+/** @type {RetentionPolicy} Nothing expires, is archived or is capped until configured. */
+const DEFAULT_POLICY = { expireAfterDays: null, archiveAfterMonths: null, maxBytes: null };
+
+/** Writes that run one at a time in the background worker. */
+const QUEUED_WRITES = [
+  'updateList', 'createList', 'attachMessage', 'deleteList', 'revertTo',
+  'setRetention', 'setRetentionPolicy', 'archiveList', 'restoreList', 'compactList', 'enforceRetention',
+  'saveExpression', 'deleteExpression',
+];
+
+/** Writes other contexts may ask the background worker to perform. */
+const REMOTE_WRITES = ['getOrCreateList', ...QUEUED_WRITES];
+const EXPORT_FORMAT = 'recyclecontent-exclusion-list';
+const EXPORT_VERSION = 1;
+const CSV_ID_HEADERS = ['subscriber id', 'subscriber_id', 'subscriberid', 'user id', 'user_id', 'userid', 'fan id', 'fan_id', 'id'];
+const CSV_USERNAME_HEADERS = ['username', 'user name', 'user_name', 'handle', 'fan', 'user'];
+
+/**
+ * Whether a value can be used as a subscriber ID.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSubscriberId(value) {
+  return (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value);
+}
+
+/**
+ * @typedef {Object} ExclusionList
+ * @property {string} id - Unique identifier for the list.
+ * @property {string} name - Human-readable name.
+ * @property {Array<string>} subscribers - Subscriber IDs excluded by this list.
+ * @property {Array<string>} messageIds - Messages associated with this list.
+ * @property {number} created - Creation timestamp.
+ * @property {number} updated - Last update timestamp.
+ * @property {{ count: number, source: string, version: number }} meta - Additional metadata.
+ * @property {RetentionSettings} [retention] - Per-list overrides of the retention policy.
+ * @property {number} [archived] - When the list was archived.
+ * @property {number} [lastUsed] - Last time buyers or messages were added; defaults to `updated`.
+ * @property {Array<Array<number>>} [addedAt] - When each subscriber was added, as `[timestamp, count]`
+ *           runs in subscriber order. Retention expires entries by it; the change log may be gone.
+ */
+
+/**
+ * @typedef {Object} ExclusionListMeta
+ * @property {string} id
+ * @property {string} name
+ * @property {Array<string>} messageIds
+ * @property {number} count
+ * @property {string} source
+ * @property {number} version
+ * @property {number} created
+ * @property {number} updated
+ * @property {RetentionSettings} [retention]
+ * @property {number} [archived]
+ * @property {number} [lastUsed]
+ */
+
+/**
+ * @typedef {Object} RetentionSettings
+ * @property {number|null} [expireAfterDays] - Drop subscribers added more than N days ago.
+ * @property {number|null} [archiveAfterMonths] - Archive the list after N months without use.
+ */
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {number|null} expireAfterDays - Default for lists without their own setting.
+ * @property {number|null} archiveAfterMonths - Default for lists without their own setting.
+ * @property {number|null} maxBytes - Cap on the storage used by all exclusion lists.
+ */
+
+/**
+ * @typedef {Object} RetentionReport
+ * @property {Object<string, number>} expired - Subscribers expired, keyed by list ID.
+ * @property {Array<string>} archived - Lists archived for lack of use.
+ * @property {Array<string>} compacted - Lists whose change log was dropped to fit the cap.
+ * @property {Array<string>} deleted - Archived lists deleted to fit the cap.
+ * @property {number|null} bytesInUse - Storage used afterwards, when a cap is set.
+ */
+
+/**
+ * @typedef {Object} ExclusionListChange
+ * @property {number} version - List version this change produced.
+ * @property {number} timestamp - When the change was made.
+ * @property {string} op - 'baseline', 'create', 'add', 'revert' or 'expire'.
+ * @property {Array<string>} added - Subscriber IDs added.
+ * @property {Array<string>} removed - Subscriber IDs removed.
+ * @property {string} source - What produced the change (e.g. "recycled", "csv", "import").
+ * @property {string|null} actor - Who or which component made the change.
+ * @property {number} [revertedTo] - Target version of a revert.
+ */
+
+/**
+ * @typedef {Object} ChangeOptions
+ * @property {string} [source] - What produced the change.
+ * @property {string} [actor] - Who or which component made the change.
+ */
+
+/**
+ * An audience expression over exclusion lists. Either a list reference (message ID,
+ * list ID or saved expression ID) or an object with exactly one operator:
+ * - `{ union: [expr, ...] }` - subscribers in any operand
+ * - `{ intersect: [expr, ...] }` - subscribers in every operand
+ * - `{ difference: [base, expr, ...] }` - subscribers in base but in none of the others
+ * - `{ recent: n }` - union of the n most recently used recycled-message lists
+ * @typedef {string|Object} ListExpression
+ */
+
+/**
+ * @typedef {Object} SavedExpression
+ * @property {string} id
+ * @property {string} name
+ * @property {ListExpression} expression
+ * @property {number} created
+ * @property {number} updated
+ */
+
+/**
+ * @typedef {Object} CsvMapping
+ * @property {number|string} [idColumn] - Index or header of the subscriber ID column.
+ * @property {number|string} [usernameColumn] - Index or header of the username column.
+ * @property {boolean} [hasHeader] - Whether the first row holds column headers.
+ */
+
+/**
+ * @typedef {Object} CsvImportPreview
+ * @property {string} listId - List the import would update.
+ * @property {number} totalRows - Data rows read from the file.
+ * @property {Array<string>} ids - Unique subscriber IDs found.
+ * @property {number} duplicateRows - Rows repeating an ID seen earlier in the file.
+ * @property {Array<{ row: number, reason: string }>} invalidRows - Rows that were skipped.
+ * @property {number} newCount - IDs not yet in the list.
+ * @property {number} existingCount - IDs already in the list.
+ * @property {Array<string>} sample - First few new IDs.
+ */
 
 /**
  * @class ExclusionListManager
@@ -20,126 +172,1798 @@ import Logger from '../common/logger.js';
  */
 class ExclusionListManager {
   constructor() {
-    /** @type {Map<string, Array<string>>} */
+    /** @type {Map<string, ExclusionList>} Lists keyed by list ID. */
     this.cache = new Map();
 
-    /** @type {chrome.storage.StorageArea | undefined} */
-    this.storage = typeof chrome !== 'undefined' && chrome.storage?.local;
-    if (!this.storage) {
-      Logger.error('Chrome storage.local is not available.');
+    /** @type {Object<string, ExclusionListMeta>|null} Cached copy of the metadata index. */
+    this.metaCache = null;
+
+    /**
+     * Membership sets built once per loaded list. Lists are replaced rather than
+     * mutated on update, so a stale set is never reused.
+     * @type {WeakMap<ExclusionList, Set<string>>}
+     */
+    this.indexes = new WeakMap();
+
+    /** @type {Map<string, Array<ExclusionListChange>>} Change logs keyed by list ID. */
+    this.historyCache = new Map();
+
+    /** @type {Promise<*>} Tail of the serialized write queue. */
+    this.writeQueue = Promise.resolve();
+
+    /**
+     * Where writes run: 'local' applies them here, 'background' sends them to the
+     * service worker. Detected from the current context when null.
+     * @type {'local'|'background'|null}
+     */
+    this.writeMode = null;
+
+    for (const method of QUEUED_WRITES) {
+      const apply = this[method];
+      this[method] = (...args) => this.write(method, args, () => apply.apply(this, args));
     }
+
+    this.check = this.check.bind(this);
+    this.filterRecipients = this.filterRecipients.bind(this);
+
+    /** @type {Storage} Shared storage adapter; null only when a test disables persistence. */
+    this.storage = Storage;
+    this.storage.onChanged((changes) => this.onStorageChanged(changes, 'local'));
+  }
+
+  /**
+   * Drops every cached list and the cached metadata index.
+   * @returns {void}
+   */
+  clearCache() {
+    this.cache.clear();
+    this.historyCache.clear();
+    this.metaCache = null;
   }
 
   /**
-   * Get or create an exclusion list for a given message ID.
+   * Get or create the exclusion list used by a message.
+   * A message that has been attached to a shared list resolves to that list.
    * @param {string} messageId - ID to retrieve or initialize.
-   * @returns {Promise<Array<string>>}
+   * @returns {Promise<ExclusionList>}
    */
   async getOrCreateList(messageId) {
-    if (this.cache.has(messageId)) {
-      Logger.debug(`Cache hit for messageId: ${messageId}`);
-      return this.cache.get(messageId);
+    const list = await this.getList(await this.resolveListId(messageId));
+    if (list) return list;
+
+    return this.write('getOrCreateList', [messageId], () => this.loadOrCreateList(messageId));
+  }
+
+  /**
+   * Handle a write forwarded by another extension context.
+   * Only called in the background worker.
+   * @param {Object} request
+   * @param {string} request.method - One of the exclusion list write methods.
+   * @param {Array<*>} request.args - Arguments for the method.
+   * @returns {Promise<*>} Result of the write.
+   * @throws {Error} If the method is not a supported write.
+   */
+  async handleWriteRequest({ method, args } = {}) {
+    if (!REMOTE_WRITES.includes(method)) {
+      throw new Error(`Unsupported exclusion list write: ${method}`);
+    }
+    if (!Array.isArray(args)) {
+      throw new Error('Exclusion list writes require an args array');
+    }
+    return this[method](...args);
+  }
+
+  /**
+   * Load a list by its ID without creating it.
+   * @param {string} listId
+   * @returns {Promise<ExclusionList|null>}
+   */
+  async getList(listId) {
+    if (this.cache.has(listId)) {
+      Logger.debug(`Cache hit for exclusion list: ${listId}`);
+      return this.cache.get(listId);
     }
 
     if (!this.storage) {
       Logger.warn('Storage unavailable, returning empty exclusion list.');
-      return [];
+      return null;
     }
 
-    const key = `exclusion_${messageId}`;
+    const key = `${LIST_PREFIX}${listId}`;
     try {
       const result = await this.storage.get([key]);
       if (result[key]) {
-        const list = this.deserializeList(result[key]);
-        this.cache.set(messageId, list);
-        Logger.debug(`Loaded exclusion list for ${messageId} from storage.`);
+        const list = this.deserializeList(result[key], listId);
+        this.cache.set(listId, list);
+        Logger.debug(`Loaded exclusion list for ${listId} from storage.`);
         return list;
       }
     } catch (error) {
-      Logger.error(`Error retrieving exclusion list for ${messageId}: ${error.message}`);
+      // Reading a locked list as missing would let recycles reach excluded buyers
+      if (error.code === 'STORAGE_LOCKED') throw error;
+      Logger.error(`Error retrieving exclusion list for ${listId}: ${error.message}`);
     }
 
-    return this.createNewList(messageId);
+    return null;
   }
 
   /**
-   * Add new buyer IDs to the exclusion list for a message ID.
-   * @param {string} messageId
+   * Resolve the list ID that holds exclusions for a message.
+   * Accepts either a list ID or a message ID; unknown IDs resolve to themselves.
+   * @param {string} ref - List ID or message ID.
+   * @returns {Promise<string>}
+   */
+  async resolveListId(ref) {
+    const meta = await this.getMeta();
+    const owner = Object.keys(meta).find(id => meta[id].messageIds?.includes(ref));
+    return owner || ref;
+  }
+
+  /**
+   * Add new buyer IDs to the exclusion list for a message or list ID.
+   * Every call that adds IDs is recorded in the list's change log.
+   * @param {string} messageId - Message ID or list ID.
    * @param {Array<string>} newBuyers
-   * @returns {Promise<Array<string>>}
+   * @param {ChangeOptions} [options]
+   * @returns {Promise<ExclusionList>}
    */
-  async updateList(messageId, newBuyers) {
+  async updateList(messageId, newBuyers, { source = 'recycled', actor = null } = {}) {
     if (!Array.isArray(newBuyers)) {
       Logger.warn('updateList called with non-array newBuyers');
       newBuyers = [];
     }
 
-    const list = await this.getOrCreateList(messageId);
-    const updated = this.mergeAndDeduplicate(list, newBuyers);
-    const serialized = this.serializeList(updated);
+    const list = await this.loadOrCreateList(messageId);
+    const existing = this.getIndex(list);
+    const added = this.mergeAndDeduplicate([], newBuyers.map(String)).filter(id => !existing.has(id));
+    // Only a changed audience gets a new version; the queue keys recycles on it
+    const changed = added.length > 0;
+    const updated = changed ? this.withSubscribers(list, [...list.subscribers, ...added]) : { ...list };
+    updated.lastUsed = changed ? updated.updated : Date.now();
+    delete updated.archived;
 
-    if (this.storage) {
-      try {
-        await this.storage.set({ [`exclusion_${messageId}`]: serialized });
-        Logger.debug(`Exclusion list for ${messageId} updated in storage.`);
-      } catch (error) {
-        Logger.error(`Failed to update exclusion list for ${messageId}: ${error.message}`);
-      }
+    await this.saveList(updated, changed ? [
+      ...(await this.baselineFor(list)),
+      this.changeEntry(updated, { op: 'add', added, source, actor }),
+    ] : []);
+    Events.publish('exclusionListUpdated', {
+      listId: String(updated.id), addedCount: added.length, totalCount: updated.subscribers.length,
+    });
+    return updated;
+  }
+
+  /**
+   * Create a named list, optionally shared by several messages.
+   * Messages already attached to another list are moved to the new one.
+   * @param {Object} options
+   * @param {string} options.name - Human-readable name.
+   * @param {string} [options.id] - Explicit list ID; generated when omitted.
+   * @param {Array<string>} [options.subscribers=[]] - Initial subscriber IDs.
+   * @param {Array<string>} [options.messageIds=[]] - Messages that use this list.
+   * @param {string} [options.source='manual'] - Origin of the list.
+   * @param {string} [options.actor] - Who created the list, for the change log.
+   * @param {RetentionSettings} [options.retention] - Overrides of the retention policy.
+   * @returns {Promise<ExclusionList>}
+   */
+  async createList({ name, id, subscribers = [], messageIds = [], source = 'manual', actor = null, retention } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('createList requires a list name');
     }
 
-    this.cache.set(messageId, updated);
-    return updated;
+    const listId = id || this.generateListId();
+    if (`${LIST_PREFIX}${listId}` === META_KEY) {
+      throw new Error(`"${listId}" is a reserved exclusion list id`);
+    }
+
+    const list = this.buildList(listId, {
+      name,
+      subscribers: this.mergeAndDeduplicate([], subscribers.map(String)),
+      messageIds: this.mergeAndDeduplicate([], messageIds),
+      source,
+      retention: retention && this.normalizeRetention(retention),
+    });
+
+    await this.detachMessages(list.messageIds, listId);
+    await this.saveList(list, [
+      this.changeEntry(list, { op: 'create', added: list.subscribers, source, actor }),
+    ]);
+    Logger.debug(`Created exclusion list "${name}" (${listId}).`);
+    Events.publish('exclusionListCreated', { listId, name, count: list.subscribers.length });
+    return list;
   }
 
   /**
-   * Initialize and persist a new empty exclusion list.
-   * @private
+   * Attach a message to an existing list so both share the same exclusions.
+   * @param {string} listId
    * @param {string} messageId
-   * @returns {Promise<Array<string>>}
+   * @returns {Promise<ExclusionList>}
    */
-  async createNewList(messageId) {
-    const list = [];
-    const serialized = this.serializeList(list);
+  async attachMessage(listId, messageId) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+    if (list.messageIds.includes(messageId)) return list;
 
-    if (this.storage) {
-      try {
-        await this.storage.set({ [`exclusion_${messageId}`]: serialized });
-        Logger.debug(`Created new exclusion list for ${messageId} in storage.`);
-      } catch (error) {
-        Logger.error(`Failed to create exclusion list for ${messageId}: ${error.message}`);
+    await this.detachMessages([messageId], listId);
+    const updated = {
+      ...list,
+      messageIds: [...list.messageIds, messageId],
+      updated: Date.now(),
+    };
+    updated.lastUsed = updated.updated;
+    delete updated.archived;
+    await this.saveList(updated);
+    return updated;
+  }
+
+  /**
+   * Merge several lists into a new named list.
+   * The merged list takes over the messages of its sources.
+   * @param {Array<string>} listIds - List IDs or message IDs to merge.
+   * @param {string} newListName - Name of the merged list.
+   * @param {Object} [options]
+   * @param {boolean} [options.deleteSources=false] - Delete the source lists afterwards.
+   * @returns {Promise<ExclusionList>}
+   */
+  async mergeLists(listIds, newListName, { deleteSources = false } = {}) {
+    if (!Array.isArray(listIds) || listIds.length === 0) {
+      throw new Error('mergeLists requires at least one list id');
+    }
+
+    let subscribers = [];
+    let messageIds = [];
+    const sourceIds = [];
+    for (const ref of listIds) {
+      const listId = await this.resolveListId(ref);
+      const list = await this.getList(listId);
+      if (!list) {
+        throw new Error(`Exclusion list not found: ${ref}`);
       }
+      subscribers = this.mergeAndDeduplicate(subscribers, list.subscribers);
+      messageIds = this.mergeAndDeduplicate(messageIds, list.messageIds);
+      sourceIds.push(listId);
     }
 
-    this.cache.set(messageId, list);
-    return list;
+    const merged = await this.createList({
+      name: newListName,
+      subscribers,
+      messageIds,
+      source: 'merged',
+    });
+
+    if (deleteSources) {
+      for (const listId of sourceIds) {
+        await this.deleteList(listId);
+      }
+    }
+
+    Logger.debug(`Merged ${sourceIds.length} exclusion lists into ${merged.id}.`);
+    return merged;
+  }
+
+  /**
+   * Check whether a subscriber is excluded by a message's list or by a list ID.
+   * Never creates a list; unknown references exclude nobody.
+   * @param {string} ref - Message ID or list ID.
+   * @param {string|number} subscriberId
+   * @returns {Promise<boolean>}
+   */
+  async check(ref, subscriberId) {
+    if (ref === undefined || ref === null || subscriberId === undefined || subscriberId === null) {
+      return false;
+    }
+
+    const list = await this.getList(await this.resolveListId(ref));
+    if (!list) return false;
+    return this.getIndex(list).has(String(subscriberId));
+  }
+
+  /**
+   * Remove every candidate excluded by any of the given lists.
+   * @param {Array<ListExpression>} refs - Message IDs, list IDs, saved expression IDs or expressions.
+   * @param {Array<string|number>} candidates - Prospective recipients.
+   * @returns {Promise<Array<string|number>>} Candidates not excluded, in their original order.
+   * @throws {TypeError} If candidates is not an array or a reference is null or not a list ID or expression.
+   */
+  async filterRecipients(refs, candidates) {
+    if (!Array.isArray(candidates)) {
+      throw new TypeError('filterRecipients requires an array of candidates');
+    }
+
+    const indexes = [];
+    for (const ref of refs || []) {
+      if (ref === null || !['string', 'number', 'object'].includes(typeof ref)) {
+        throw new TypeError(`filterRecipients: invalid list reference ${String(ref)}`);
+      }
+      if (typeof ref === 'object' || String(ref).startsWith(EXPRESSION_PREFIX)) {
+        indexes.push(new Set(await this.evaluate(ref)));
+        continue;
+      }
+
+      const list = await this.getList(await this.resolveListId(ref));
+      if (!list) {
+        Logger.warn(`filterRecipients: exclusion list ${ref} not found, ignoring.`);
+        continue;
+      }
+      indexes.push(this.getIndex(list));
+    }
+
+    if (indexes.length === 0) return candidates.slice();
+    return candidates.filter(candidate => {
+      const id = String(candidate);
+      return !indexes.some(index => index.has(id));
+    });
+  }
+
+  /**
+   * Subscribers in any of the lists.
+   * @param {Array<ListExpression>} refs
+   * @returns {Promise<Array<string>>}
+   */
+  async union(refs) {
+    return this.evaluate({ union: refs });
+  }
+
+  /**
+   * Subscribers in every one of the lists.
+   * @param {Array<ListExpression>} refs
+   * @returns {Promise<Array<string>>}
+   */
+  async intersection(refs) {
+    return this.evaluate({ intersect: refs });
+  }
+
+  /**
+   * Subscribers in the base list but in none of the others.
+   * @param {ListExpression} base
+   * @param {Array<ListExpression>} refs
+   * @returns {Promise<Array<string>>}
+   */
+  async difference(base, refs) {
+    return this.evaluate({ difference: [base, ...refs] });
+  }
+
+  /**
+   * Evaluate an audience expression to the subscriber IDs it selects.
+   * Missing lists count as empty and are logged.
+   * @param {ListExpression} expression
+   * @returns {Promise<Array<string>>}
+   * @throws {Error} If the expression is malformed or a saved expression is missing.
+   */
+  async evaluate(expression) {
+    this.validateExpression(expression);
+    return this.evaluateNode(expression, new Set());
+  }
+
+  /**
+   * Save a named expression so it can be reused, e.g. as a recycle's exclusion input.
+   * @param {string} name
+   * @param {ListExpression} expression
+   * @param {Object} [options]
+   * @param {string} [options.id] - Replace an existing saved expression.
+   * @returns {Promise<SavedExpression>}
+   * @throws {Error} If the name is missing or the expression is malformed.
+   */
+  async saveExpression(name, expression, { id } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('saveExpression requires a name');
+    }
+    this.validateExpression(expression);
+
+    const expressions = await this.getExpressionMap();
+    const expressionId = id || `${EXPRESSION_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    if (!expressionId.startsWith(EXPRESSION_PREFIX)) {
+      throw new Error(`Saved expression ids must start with "${EXPRESSION_PREFIX}"`);
+    }
+
+    const now = Date.now();
+    const saved = {
+      id: expressionId,
+      name,
+      expression,
+      created: expressions[expressionId]?.created || now,
+      updated: now,
+    };
+    await this.saveExpressionMap({ ...expressions, [expressionId]: saved });
+    return saved;
+  }
+
+  /**
+   * Whether a reference names a saved expression rather than a list or message.
+   * @param {*} ref
+   * @returns {boolean}
+   */
+  isExpressionId(ref) {
+    return typeof ref === 'string' && ref.length > EXPRESSION_PREFIX.length && ref.startsWith(EXPRESSION_PREFIX);
+  }
+
+  /**
+   * Saved expressions, most recently updated first.
+   * @returns {Promise<Array<SavedExpression>>}
+   */
+  async getExpressions() {
+    return Object.values(await this.getExpressionMap()).sort((a, b) => b.updated - a.updated);
+  }
+
+  /**
+   * Delete a saved expression.
+   * @param {string} id
+   * @returns {Promise<boolean>} False when it does not exist.
+   */
+  async deleteExpression(id) {
+    const expressions = await this.getExpressionMap();
+    if (!expressions[id]) return false;
+
+    const remaining = { ...expressions };
+    delete remaining[id];
+    await this.saveExpressionMap(remaining);
+    return true;
   }
 
   /**
-   * Deserialize stored exclusion list from JSON.
+   * Get the membership set for a list, building it on first use.
    * @private
-   * @param {string} data
-   * @returns {Array<string>}
+   * @param {ExclusionList} list
+   * @returns {Set<string>}
    */
-  deserializeList(data) {
+  getIndex(list) {
+    let index = this.indexes.get(list);
+    if (!index) {
+      index = new Set(list.subscribers);
+      this.indexes.set(list, index);
+    }
+    return index;
+  }
+
+  /**
+   * Read a list's append-only change log, oldest first.
+   * @param {string} listId
+   * @returns {Promise<Array<ExclusionListChange>>}
+   */
+  async getHistory(listId) {
+    if (this.historyCache.has(listId)) return this.historyCache.get(listId);
+    if (!this.storage) return [];
+
+    const key = `${HISTORY_PREFIX}${listId}`;
+    let history = [];
     try {
-      const parsed = JSON.parse(data);
-      if (Array.isArray(parsed)) return parsed;
-      Logger.warn('Deserialized data is not an array, returning empty list.');
-      return [];
+      const result = await this.storage.get([key]);
+      if (result[key]) history = this.deserializeHistory(result[key]);
     } catch (error) {
-      Logger.warn(`Failed to parse exclusion list: ${error.message}`);
+      if (error.code === 'STORAGE_LOCKED') throw error;
+      Logger.error(`Error retrieving history for exclusion list ${listId}: ${error.message}`);
       return [];
     }
+
+    this.historyCache.set(listId, history);
+    return history;
   }
 
   /**
-   * Serialize exclusion list to JSON string.
-   * @private
-   * @param {Array<string>} list
-   * @returns {string}
+   * Rebuild the subscribers a list had at a given version.
+   * @param {string} listId
+   * @param {number} version
+   * @returns {Promise<Array<string>>}
+   * @throws {Error} If the version is not in the change log.
    */
-  serializeList(list) {
-    return JSON.stringify(list);
+  async getSubscribersAt(listId, version) {
+    const history = await this.getHistory(listId);
+    if (!history.some(entry => entry.version === version)) {
+      throw new Error(`Version ${version} not found in history of exclusion list ${listId}`);
+    }
+
+    const subscribers = new Set();
+    for (const entry of history) {
+      if (entry.version > version) break;
+      entry.removed.forEach(id => subscribers.delete(id));
+      entry.added.forEach(id => subscribers.add(id));
+    }
+    return Array.from(subscribers);
+  }
+
+  /**
+   * Compare a list between two versions.
+   * @param {string} listId
+   * @param {number} fromVersion
+   * @param {number} [toVersion] - Defaults to the current version.
+   * @returns {Promise<{ fromVersion: number, toVersion: number, added: Array<string>, removed: Array<string> }>}
+   */
+  async diff(listId, fromVersion, toVersion) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+
+    const target = toVersion ?? list.meta.version;
+    const before = new Set(await this.getSubscribersAt(listId, fromVersion));
+    const after = new Set(await this.getSubscribersAt(listId, target));
+
+    return {
+      fromVersion,
+      toVersion: target,
+      added: [...after].filter(id => !before.has(id)),
+      removed: [...before].filter(id => !after.has(id)),
+    };
+  }
+
+  /**
+   * Restore a list to the subscribers it had at an earlier version.
+   * The revert is itself appended to the log, so it can be undone too.
+   * @param {string} listId
+   * @param {number} version
+   * @param {ChangeOptions} [options]
+   * @returns {Promise<ExclusionList>}
+   */
+  async revertTo(listId, version, { actor = null } = {}) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+
+    const target = await this.getSubscribersAt(listId, version);
+    const targetSet = new Set(target);
+    const current = this.getIndex(list);
+    const updated = this.withSubscribers(list, target);
+
+    await this.saveList(updated, [
+      this.changeEntry(updated, {
+        op: 'revert',
+        added: target.filter(id => !current.has(id)),
+        removed: list.subscribers.filter(id => !targetSet.has(id)),
+        source: 'revert',
+        actor,
+        revertedTo: version,
+      }),
+    ]);
+    Logger.info(`Exclusion list ${listId} reverted to version ${version}.`);
+    return updated;
+  }
+
+  /**
+   * List metadata for every exclusion list, most recently updated first.
+   * @returns {Promise<Array<ExclusionListMeta>>}
+   */
+  async getAllLists() {
+    const meta = await this.getMeta();
+    return Object.values(meta).sort((a, b) => b.updated - a.updated);
+  }
+
+  /**
+   * Delete a list and its metadata index entry.
+   * @param {string} listId
+   * @returns {Promise<boolean>} False when the list does not exist or storage failed.
+   */
+  async deleteList(listId) {
+    return this.removeList(listId);
+  }
+
+  /**
+   * Set a list's own retention settings, overriding the global policy.
+   * Pass null for a setting to fall back to the policy again.
+   * @param {string} listId
+   * @param {RetentionSettings} retention
+   * @returns {Promise<ExclusionList>}
+   * @throws {Error} If the list does not exist or a setting is invalid.
+   */
+  async setRetention(listId, retention) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+
+    const updated = { ...list, retention: this.normalizeRetention(retention) };
+    await this.saveList(updated);
+    return updated;
+  }
+
+  /**
+   * Read the global retention policy.
+   * @returns {Promise<RetentionPolicy>}
+   */
+  async getRetentionPolicy() {
+    if (!this.storage) return { ...DEFAULT_POLICY };
+    try {
+      const result = await this.storage.get([POLICY_KEY]);
+      return { ...DEFAULT_POLICY, ...result[POLICY_KEY] };
+    } catch (error) {
+      Logger.error(`Error retrieving exclusion retention policy: ${error.message}`);
+      return { ...DEFAULT_POLICY };
+    }
+  }
+
+  /**
+   * Update the global retention policy. Omitted settings are left unchanged.
+   * @param {Partial<RetentionPolicy>} changes
+   * @returns {Promise<RetentionPolicy>}
+   * @throws {Error} If a setting is invalid.
+   */
+  async setRetentionPolicy(changes) {
+    const { maxBytes, ...retention } = changes || {};
+    const policy = {
+      ...(await this.getRetentionPolicy()),
+      ...this.normalizeRetention(retention, { partial: true }),
+    };
+    if (maxBytes !== undefined) {
+      policy.maxBytes = this.normalizeLimit('maxBytes', maxBytes);
+    }
+
+    if (this.storage) {
+      await this.storage.set({ [POLICY_KEY]: policy });
+    }
+    return policy;
+  }
+
+  /**
+   * Archive a list. It keeps excluding its subscribers, but its change log is
+   * dropped to save space and it becomes the first candidate for deletion when
+   * storage runs over the cap. Adding buyers or messages restores it.
+   * @param {string} listId
+   * @returns {Promise<ExclusionList>}
+   * @throws {Error} If the list does not exist.
+   */
+  async archiveList(listId) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+    return this.archive(list);
+  }
+
+  /**
+   * Return an archived list to active use.
+   * @param {string} listId
+   * @returns {Promise<ExclusionList>}
+   * @throws {Error} If the list does not exist.
+   */
+  async restoreList(listId) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+    if (!list.archived) return list;
+
+    const restored = { ...list, lastUsed: Date.now() };
+    delete restored.archived;
+    await this.saveList(restored);
+    return restored;
+  }
+
+  /**
+   * Shrink a list without archiving it: its change log is dropped and its
+   * subscribers are rewritten in the packed format.
+   * @param {string} listId
+   * @returns {Promise<{listId: string, bytesBefore: number, bytesAfter: number}>}
+   * @throws {Error} If the list does not exist.
+   */
+  async compactList(listId) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+
+    const keys = [`${LIST_PREFIX}${listId}`, `${HISTORY_PREFIX}${listId}`];
+    const bytesBefore = await this.bytesInUse(keys);
+    await this.saveList(list);
+    await this.dropHistory(listId);
+    const bytesAfter = await this.bytesInUse(keys);
+    Logger.info(`Exclusion list ${listId} compacted from ${bytesBefore} to ${bytesAfter} bytes.`);
+    return { listId, bytesBefore, bytesAfter };
+  }
+
+  /**
+   * Storage used by each list and its change log, largest first.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Return at most this many lists.
+   * @returns {Promise<Array<{id: string, name: string, count: number, archived: (number|undefined), bytes: number, historyBytes: number}>>}
+   */
+  async getListSizes({ limit } = {}) {
+    const sizes = [];
+    for (const entry of Object.values(await this.getMeta())) {
+      sizes.push({
+        id: entry.id,
+        name: entry.name,
+        count: entry.count,
+        archived: entry.archived,
+        bytes: await this.bytesInUse([`${LIST_PREFIX}${entry.id}`]),
+        historyBytes: await this.bytesInUse([`${HISTORY_PREFIX}${entry.id}`]),
+      });
+    }
+
+    sizes.sort((a, b) => (b.bytes + b.historyBytes) - (a.bytes + a.historyBytes));
+    return limit > 0 ? sizes.slice(0, limit) : sizes;
+  }
+
+  /**
+   * Apply retention: expire old subscribers, archive unused lists and bring
+   * storage under the cap. Run hourly by the background alarm.
+   * @param {Object} [options]
+   * @param {number} [options.now=Date.now()] - Reference time.
+   * @returns {Promise<RetentionReport>}
+   */
+  async enforceRetention({ now = Date.now() } = {}) {
+    const policy = await this.getRetentionPolicy();
+    const report = { expired: {}, archived: [], compacted: [], deleted: [], bytesInUse: null };
+
+    for (const entry of Object.values(await this.getMeta())) {
+      let list = await this.getList(entry.id);
+      if (!list) continue;
+
+      const expireAfterDays = list.retention?.expireAfterDays ?? policy.expireAfterDays;
+      const archiveAfterMonths = list.retention?.archiveAfterMonths ?? policy.archiveAfterMonths;
+
+      if (expireAfterDays > 0) {
+        const before = list.subscribers.length;
+        list = await this.expireSubscribers(list, now - expireAfterDays * DAY_MS);
+        if (list.subscribers.length < before) {
+          report.expired[list.id] = before - list.subscribers.length;
+        }
+      }
+
+      if (archiveAfterMonths > 0 && !list.archived && this.usedAt(list) < now - archiveAfterMonths * MONTH_MS) {
+        await this.archive(list, now);
+        report.archived.push(list.id);
+      }
+    }
+
+    if (policy.maxBytes > 0) {
+      report.bytesInUse = await this.enforceStorageCap(policy.maxBytes, report);
+    }
+
+    Logger.info(`Exclusion retention: ${Object.keys(report.expired).length} lists expired entries, `
+      + `${report.archived.length} archived, ${report.compacted.length} compacted, ${report.deleted.length} deleted.`);
+    return report;
+  }
+
+  /**
+   * Delete a list, its change log and its metadata index entry.
+   * @private
+   * @param {string} listId
+   * @returns {Promise<boolean>}
+   */
+  async removeList(listId) {
+    const meta = await this.getMeta();
+    if (!meta[listId] && !this.cache.has(listId)) {
+      Logger.warn(`deleteList: exclusion list ${listId} not found.`);
+      return false;
+    }
+
+    const remaining = { ...meta };
+    delete remaining[listId];
+
+    if (this.storage) {
+      const listKey = `${LIST_PREFIX}${listId}`;
+      const historyKey = `${HISTORY_PREFIX}${listId}`;
+      try {
+        await this.storage.transaction([META_KEY, listKey, historyKey], (tx) => {
+          tx.set(META_KEY, remaining);
+          tx.remove(listKey);
+          tx.remove(historyKey);
+        });
+      } catch (error) {
+        Logger.error(`Failed to delete exclusion list ${listId}: ${error.message}`);
+        return false;
+      }
+    }
+
+    this.metaCache = remaining;
+    this.cache.delete(listId);
+    this.historyCache.delete(listId);
+    Logger.debug(`Deleted exclusion list ${listId}.`);
+    return true;
+  }
+
+  /**
+   * Storage migration for lists written before the list model. Bare subscriber
+   * arrays under `exclusion_[id]` are rewritten as full lists and added to the
+   * index, and the single list older versions kept under `RecycleContentExclusionList`
+   * becomes a list of its own. Works on a snapshot of storage and writes nothing.
+   * @param {Object<string, *>} items - Stored keys and values; changed in place.
+   * @returns {Object<string, *>} The same snapshot.
+   */
+  upgradeStoredLists(items) {
+    const meta = { ...items[META_KEY] };
+    const before = Object.keys(meta).length;
+    let changed = false;
+
+    for (const key of Object.keys(items)) {
+      if (!key.startsWith(LIST_PREFIX) || key === META_KEY) continue;
+      const listId = key.slice(LIST_PREFIX.length);
+      const raw = typeof items[key] === 'string' ? items[key] : JSON.stringify(items[key]);
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch {
+        continue;
+      }
+      if (!Array.isArray(parsed) && meta[listId]) continue;
+
+      const list = this.deserializeList(raw, listId);
+      items[key] = this.serializeList(list);
+      meta[listId] = this.toMeta(list);
+      changed = true;
+    }
+
+    const legacyKey = Constants.STORAGE_KEYS.EXCLUSION_LIST;
+    if (legacyKey in items) {
+      let subscribers = items[legacyKey];
+      if (typeof subscribers === 'string') {
+        try {
+          subscribers = JSON.parse(subscribers);
+        } catch {
+          subscribers = [];
+        }
+      }
+      if (Array.isArray(subscribers) && subscribers.length > 0 && !meta.legacy) {
+        const list = this.buildList('legacy', {
+          name: 'Legacy exclusion list',
+          subscribers: this.mergeAndDeduplicate([], subscribers.map(String)),
+          source: 'import',
+        });
+        items[`${LIST_PREFIX}legacy`] = this.serializeList(list);
+        meta.legacy = this.toMeta(list);
+      }
+      delete items[legacyKey];
+      changed = true;
+    }
+
+    if (changed) {
+      items[META_KEY] = meta;
+      Logger.info(`Upgraded legacy exclusion lists; ${Object.keys(meta).length - before} added to the index.`);
+    }
+    return items;
+  }
+
+  /**
+   * Export a list as a portable JSON document.
+   * @param {string} listId
+   * @returns {Promise<string>}
+   */
+  async exportList(listId) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: Date.now(),
+      list: {
+        name: list.name,
+        subscribers: list.subscribers,
+        messageIds: list.messageIds,
+        created: list.created,
+        updated: list.updated,
+        meta: list.meta,
+      },
+    });
+  }
+
+  /**
+   * Import a list previously produced by exportList().
+   * Imported lists never claim messages; attach them explicitly if needed.
+   * @param {string} jsonData - Export document.
+   * @param {string} [listName] - Name for the new list; defaults to the exported name.
+   * @returns {Promise<ExclusionList>}
+   * @throws {Error} If the payload is not a valid export.
+   */
+  async importList(jsonData, listName) {
+    let payload;
+    try {
+      payload = JSON.parse(jsonData);
+    } catch (error) {
+      throw new Error(`Invalid exclusion list import: ${error.message}`);
+    }
+
+    if (!payload || payload.format !== EXPORT_FORMAT || !payload.list) {
+      throw new Error('Invalid exclusion list import: unrecognized format');
+    }
+    if (payload.version > EXPORT_VERSION) {
+      throw new Error(`Invalid exclusion list import: unsupported version ${payload.version}`);
+    }
+
+    const { subscribers, name } = payload.list;
+    if (!Array.isArray(subscribers) || !subscribers.every(isSubscriberId)) {
+      throw new Error('Invalid exclusion list import: subscribers must be an array of IDs');
+    }
+
+    return this.createList({
+      name: listName || name || 'Imported list',
+      subscribers,
+      source: 'import',
+    });
+  }
+
+  /**
+   * Inspect a CSV file and suggest which columns hold subscriber IDs and usernames.
+   * This is the column-mapping step shown to the user before previewing an import.
+   * @param {string} csvText
+   * @returns {{ headers: Array<string>|null, mapping: CsvMapping, sampleRows: Array<Array<string>> }}
+   */
+  detectCsvColumns(csvText) {
+    const rows = Csv.parse(csvText);
+    const hasHeader = this.looksLikeHeader(rows[0]);
+    const headers = hasHeader ? rows[0] : null;
+    const normalized = (headers || []).map(header => header.trim().toLowerCase());
+
+    const findColumn = candidates => {
+      const index = normalized.findIndex(header => candidates.includes(header));
+      return index === -1 ? undefined : index;
+    };
+
+    return {
+      headers,
+      mapping: {
+        idColumn: hasHeader ? findColumn(CSV_ID_HEADERS) : 0,
+        usernameColumn: hasHeader ? findColumn(CSV_USERNAME_HEADERS) : undefined,
+        hasHeader,
+      },
+      sampleRows: rows.slice(hasHeader ? 1 : 0, hasHeader ? 6 : 5),
+    };
+  }
+
+  /**
+   * Work out what a CSV import would change without writing anything.
+   * @param {string} ref - Target list ID or message ID.
+   * @param {string} csvText
+   * @param {CsvMapping} [mapping] - Column mapping; detected when omitted.
+   * @returns {Promise<CsvImportPreview>}
+   */
+  async previewCsvImport(ref, csvText, mapping) {
+    const { ids, totalRows, duplicateRows, invalidRows } = this.readCsvIds(csvText, mapping);
+    const listId = await this.resolveListId(ref);
+    const list = await this.getList(listId);
+    const existing = new Set(list ? list.subscribers : []);
+    const newIds = ids.filter(id => !existing.has(id));
+
+    return {
+      listId,
+      totalRows,
+      ids,
+      duplicateRows,
+      invalidRows,
+      newCount: newIds.length,
+      existingCount: ids.length - newIds.length,
+      sample: newIds.slice(0, 10),
+    };
+  }
+
+  /**
+   * Import subscriber IDs from CSV into a list.
+   * @param {string} ref - Target list ID or message ID.
+   * @param {string} csvText
+   * @param {CsvMapping} [mapping] - Column mapping; detected when omitted.
+   * @returns {Promise<{ list: ExclusionList, preview: CsvImportPreview }>}
+   */
+  async importCsv(ref, csvText, mapping) {
+    const preview = await this.previewCsvImport(ref, csvText, mapping);
+    if (preview.newCount === 0) {
+      Logger.info(`CSV import for ${preview.listId} added no new subscribers.`);
+      return { list: await this.getOrCreateList(ref), preview };
+    }
+
+    const list = await this.updateList(ref, preview.ids, { source: 'csv' });
+    Logger.info(`CSV import added ${preview.newCount} subscribers to ${list.id}.`);
+    return { list, preview };
+  }
+
+  /**
+   * Export a list's subscriber IDs as CSV for auditing.
+   * @param {string} listId
+   * @returns {Promise<string>}
+   */
+  async exportCsv(listId) {
+    const list = await this.getList(listId);
+    if (!list) {
+      throw new Error(`Exclusion list not found: ${listId}`);
+    }
+    return Csv.stringify([['subscriber_id'], ...list.subscribers.map(id => [id])]);
+  }
+
+  /**
+   * Extract deduplicated subscriber IDs from CSV text using a column mapping.
+   * Usernames of the form `u12345` are accepted in place of a missing ID.
+   * @private
+   * @param {string} csvText
+   * @param {CsvMapping} [mapping]
+   * @returns {{ ids: Array<string>, totalRows: number, duplicateRows: number, invalidRows: Array<{ row: number, reason: string }> }}
+   */
+  readCsvIds(csvText, mapping) {
+    const detected = this.detectCsvColumns(csvText);
+    const { hasHeader = detected.mapping.hasHeader } = mapping || {};
+    const rows = Csv.parse(csvText);
+    if (rows.length === 0) {
+      return { ids: [], totalRows: 0, duplicateRows: 0, invalidRows: [] };
+    }
+    const headers = hasHeader ? rows[0].map(header => header.trim().toLowerCase()) : [];
+
+    const toIndex = column => {
+      if (column === undefined || column === null) return undefined;
+      if (Number.isInteger(column)) return column;
+      const index = headers.indexOf(String(column).trim().toLowerCase());
+      if (index === -1) {
+        throw new Error(`CSV column not found: ${column}`);
+      }
+      return index;
+    };
+
+    const idIndex = toIndex(mapping ? mapping.idColumn : detected.mapping.idColumn);
+    const usernameIndex = toIndex(mapping ? mapping.usernameColumn : detected.mapping.usernameColumn);
+    if (idIndex === undefined && usernameIndex === undefined) {
+      throw new Error('CSV mapping needs a subscriber ID or username column');
+    }
+
+    const body = hasHeader ? rows.slice(1) : rows;
+    const invalidRows = [];
+    let ids = [];
+    let valid = 0;
+
+    body.forEach((cells, index) => {
+      const rowNumber = index + (hasHeader ? 2 : 1);
+      let id = idIndex === undefined ? '' : (cells[idIndex] || '').trim();
+
+      if (!id && usernameIndex !== undefined) {
+        const match = (cells[usernameIndex] || '').trim().match(/^@?u(\d+)$/i);
+        if (match) id = match[1];
+      }
+
+      if (!id) {
+        invalidRows.push({ row: rowNumber, reason: 'missing subscriber id' });
+      } else if (!/^[\w-]+$/.test(id)) {
+        invalidRows.push({ row: rowNumber, reason: `invalid subscriber id "${id}"` });
+      } else {
+        valid++;
+        ids.push(id);
+      }
+    });
+
+    ids = this.mergeAndDeduplicate([], ids);
+    return {
+      ids,
+      totalRows: body.length,
+      duplicateRows: valid - ids.length,
+      invalidRows,
+    };
+  }
+
+  /**
+   * Whether the first CSV row is a header rather than data. Only known column
+   * names count, so a first row of usernames such as `u123` stays data.
+   * @private
+   * @param {Array<string>} [row]
+   * @returns {boolean}
+   */
+  looksLikeHeader(row) {
+    if (!row) return false;
+    const known = [...CSV_ID_HEADERS, ...CSV_USERNAME_HEADERS];
+    return row.some(cell => known.includes(cell.trim().toLowerCase()));
+  }
+
+  /**
+   * Read the metadata index of all exclusion lists.
+   * @returns {Promise<Object<string, ExclusionListMeta>>}
+   */
+  async getMeta() {
+    if (this.metaCache) return this.metaCache;
+    if (!this.storage) return {};
+
+    try {
+      const result = await this.storage.get([META_KEY]);
+      this.metaCache = result[META_KEY] || {};
+    } catch (error) {
+      if (error.code === 'STORAGE_LOCKED') throw error;
+      Logger.error(`Error retrieving exclusion list index: ${error.message}`);
+      return {};
+    }
+    return this.metaCache;
+  }
+
+  /**
+   * Run a write in this context's queue, or hand it to the background worker.
+   * Queued writes never overlap, so read-merge-write cycles cannot interleave.
+   * @private
+   * @param {string} method - Public method name, used when forwarding.
+   * @param {Array<*>} args - Arguments to forward.
+   * @param {Function} apply - Performs the write locally.
+   * @returns {Promise<*>}
+   */
+  write(method, args, apply) {
+    if (this.routesWrites()) {
+      return this.sendWrite(method, args);
+    }
+
+    const run = this.writeQueue.then(apply);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether writes from this context must go through the background worker.
+   * Extension pages and content scripts forward; the service worker applies.
+   * @private
+   * @returns {boolean}
+   */
+  routesWrites() {
+    if (this.writeMode) return this.writeMode === 'background';
+    return typeof ServiceWorkerGlobalScope === 'undefined'
+      && typeof chrome !== 'undefined'
+      && Boolean(chrome.runtime?.id && chrome.runtime?.sendMessage);
+  }
+
+  /**
+   * Forward a write to the background worker.
+   * @private
+   * @param {string} method
+   * @param {Array<*>} args
+   * @returns {Promise<*>} The background worker's result.
+   * @throws {Error} If the background worker reports an error.
+   */
+  async sendWrite(method, args) {
+    const response = await chrome.runtime.sendMessage({
+      action: Constants.ACTION_UPDATE_EXCLUSION_LIST,
+      payload: { method, args },
+    });
+    if (response?.status !== 'success') {
+      throw new Error(response?.error || `Exclusion list ${method} failed in the background worker`);
+    }
+
+    // Our copies are stale now; don't wait for storage.onChanged to say so.
+    this.clearCache();
+    return response.data;
+  }
+
+  /**
+   * Drop cached copies of lists changed by another context.
+   * @private
+   * @param {Object<string, chrome.storage.StorageChange>} changes
+   * @param {string} areaName
+   * @returns {void}
+   */
+  onStorageChanged(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    for (const key of Object.keys(changes)) {
+      if (key === META_KEY) {
+        this.metaCache = null;
+      } else if (key.startsWith(LIST_PREFIX)) {
+        this.cache.delete(key.slice(LIST_PREFIX.length));
+      } else if (key.startsWith(HISTORY_PREFIX)) {
+        this.historyCache.delete(key.slice(HISTORY_PREFIX.length));
+      }
+    }
+  }
+
+  /**
+   * Check an expression's structure without loading any list.
+   * @private
+   * @param {ListExpression} node
+   * @param {string} [path='expression'] - Location used in error messages.
+   * @returns {void}
+   * @throws {Error} If the expression is malformed.
+   */
+  validateExpression(node, path = 'expression') {
+    if (typeof node === 'string') {
+      if (node.trim() === '') throw new Error(`${path} must not be an empty list reference`);
+      return;
+    }
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error(`${path} must be a list reference or an operator object`);
+    }
+
+    const keys = Object.keys(node);
+    if (keys.length !== 1) {
+      throw new Error(`${path} must have exactly one operator, got ${keys.length}`);
+    }
+
+    const [operator] = keys;
+    const operands = node[operator];
+    if (operator === 'recent') {
+      if (!Number.isInteger(operands) || operands < 1) {
+        throw new Error(`${path}.recent must be a positive integer`);
+      }
+      return;
+    }
+    if (!SET_OPERATORS.includes(operator)) {
+      throw new Error(`${path} has unknown operator "${operator}"`);
+    }
+    if (!Array.isArray(operands) || operands.length === 0) {
+      throw new Error(`${path}.${operator} requires a non-empty array of operands`);
+    }
+    operands.forEach((operand, i) => this.validateExpression(operand, `${path}.${operator}[${i}]`));
+  }
+
+  /**
+   * @private
+   * @param {ListExpression} node - A validated expression.
+   * @param {Set<string>} resolving - Saved expression IDs being expanded, to catch cycles.
+   * @returns {Promise<Array<string>>}
+   */
+  async evaluateNode(node, resolving) {
+    if (typeof node === 'string') {
+      return node.startsWith(EXPRESSION_PREFIX)
+        ? this.evaluateSaved(node, resolving)
+        : this.subscribersOf(node);
+    }
+
+    if ('recent' in node) {
+      const recent = Object.values(await this.getMeta())
+        .filter(entry => entry.source === 'recycled')
+        .sort((a, b) => this.usedAt(b) - this.usedAt(a))
+        .slice(0, node.recent);
+      return this.evaluateNode({ union: recent.map(entry => entry.id) }, resolving);
+    }
+
+    const [operator] = Object.keys(node);
+    const operands = [];
+    for (const operand of node[operator]) {
+      operands.push(await this.evaluateNode(operand, resolving));
+    }
+
+    if (operator === 'union') {
+      return operands.reduce((result, ids) => this.mergeAndDeduplicate(result, ids), []);
+    }
+    const [first, ...rest] = operands;
+    const sets = rest.map(ids => new Set(ids));
+    if (operator === 'intersect') {
+      return this.mergeAndDeduplicate([], first.filter(id => sets.every(set => set.has(id))));
+    }
+    return this.mergeAndDeduplicate([], first.filter(id => !sets.some(set => set.has(id))));
+  }
+
+  /**
+   * @private
+   * @param {string} id - Saved expression ID.
+   * @param {Set<string>} resolving
+   * @returns {Promise<Array<string>>}
+   * @throws {Error} If the expression is missing or refers back to itself.
+   */
+  async evaluateSaved(id, resolving) {
+    const saved = (await this.getExpressionMap())[id];
+    if (!saved) {
+      throw new Error(`Saved expression not found: ${id}`);
+    }
+    if (resolving.has(id)) {
+      throw new Error(`Saved expression ${id} refers to itself`);
+    }
+    return this.evaluateNode(saved.expression, new Set([...resolving, id]));
+  }
+
+  /**
+   * Subscribers of a list reference, or none when the list is missing.
+   * @private
+   * @param {string} ref - Message ID or list ID.
+   * @returns {Promise<Array<string>>}
+   */
+  async subscribersOf(ref) {
+    const list = await this.getList(await this.resolveListId(ref));
+    if (!list) {
+      Logger.warn(`Exclusion list ${ref} not found, treating it as empty.`);
+      return [];
+    }
+    return list.subscribers;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object<string, SavedExpression>>}
+   */
+  async getExpressionMap() {
+    if (!this.storage) return {};
+    try {
+      const result = await this.storage.get([EXPRESSIONS_KEY]);
+      return result[EXPRESSIONS_KEY] || {};
+    } catch (error) {
+      Logger.error(`Error retrieving saved expressions: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object<string, SavedExpression>} expressions
+   * @returns {Promise<void>}
+   */
+  async saveExpressionMap(expressions) {
+    if (this.storage) {
+      await this.storage.set({ [EXPRESSIONS_KEY]: expressions });
+    }
+  }
+
+  /**
+   * Remove subscribers added before the cutoff and log them as expired.
+   * @private
+   * @param {ExclusionList} list
+   * @param {number} cutoff - Timestamp; older entries expire.
+   * @returns {Promise<ExclusionList>} The list after expiry.
+   */
+  async expireSubscribers(list, cutoff) {
+    const addedAt = this.getAddedAt(list);
+    const expired = list.subscribers.filter(id => addedAt.get(id) < cutoff);
+    if (expired.length === 0) return list;
+
+    const expiredSet = new Set(expired);
+    const updated = {
+      ...this.withSubscribers(list, list.subscribers.filter(id => !expiredSet.has(id))),
+      lastUsed: this.usedAt(list),
+    };
+    await this.saveList(updated, [
+      ...(await this.baselineFor(list)),
+      this.changeEntry(updated, { op: 'expire', removed: expired, source: 'retention' }),
+    ]);
+    return updated;
+  }
+
+  /**
+   * Mark a list archived and drop its change log.
+   * @private
+   * @param {ExclusionList} list
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<ExclusionList>}
+   */
+  async archive(list, now = Date.now()) {
+    const archived = { ...list, archived: now, lastUsed: this.usedAt(list) };
+    await this.saveList(archived);
+    await this.dropHistory(list.id);
+    Logger.info(`Exclusion list ${list.id} archived.`);
+    return archived;
+  }
+
+  /**
+   * Delete a list's change log.
+   * @private
+   * @param {string} listId
+   * @returns {Promise<void>}
+   */
+  async dropHistory(listId) {
+    if (this.storage) {
+      try {
+        await this.storage.remove(`${HISTORY_PREFIX}${listId}`);
+      } catch (error) {
+        Logger.error(`Failed to drop history of exclusion list ${listId}: ${error.message}`);
+      }
+    }
+    this.historyCache.set(listId, []);
+  }
+
+  /**
+   * Drop change logs, then archived lists, least recently used first, until
+   * exclusion data fits the cap. Active lists are never deleted.
+   * @private
+   * @param {number} maxBytes
+   * @param {RetentionReport} report - Filled with what was compacted or deleted.
+   * @returns {Promise<number>} Bytes in use afterwards.
+   */
+  async enforceStorageCap(maxBytes, report) {
+    const keys = () => [META_KEY, ...Object.keys(this.metaCache || {})
+      .flatMap(id => [`${LIST_PREFIX}${id}`, `${HISTORY_PREFIX}${id}`])];
+    const candidates = Object.values(await this.getMeta())
+      .sort((a, b) => Boolean(b.archived) - Boolean(a.archived) || this.usedAt(a) - this.usedAt(b));
+
+    let used = await this.bytesInUse(keys());
+    for (const entry of candidates) {
+      if (used <= maxBytes) break;
+      if ((await this.getHistory(entry.id)).length === 0) continue;
+      await this.dropHistory(entry.id);
+      report.compacted.push(entry.id);
+      used = await this.bytesInUse(keys());
+    }
+
+    for (const entry of candidates.filter(candidate => candidate.archived)) {
+      if (used <= maxBytes) break;
+      if (await this.removeList(entry.id)) report.deleted.push(entry.id);
+      used = await this.bytesInUse(keys());
+    }
+
+    if (used > maxBytes) {
+      Logger.warn(`Exclusion lists use ${used} bytes, above the ${maxBytes} byte cap, with nothing left to archive.`);
+    }
+    return used;
+  }
+
+  /**
+   * Bytes used by the given storage keys.
+   * @private
+   * @param {Array<string>} keys
+   * @returns {Promise<number>}
+   */
+  async bytesInUse(keys) {
+    if (!this.storage || keys.length === 0) return 0;
+    return this.storage.getBytesInUse(keys);
+  }
+
+  /**
+   * When a list or its index entry was last used.
+   * @private
+   * @param {ExclusionList|ExclusionListMeta} list
+   * @returns {number}
+   */
+  usedAt(list) {
+    return list.lastUsed || list.updated;
+  }
+
+  /**
+   * Validate retention settings.
+   * @private
+   * @param {RetentionSettings} retention
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Keep only the settings that were given.
+   * @returns {RetentionSettings}
+   * @throws {Error} If a setting is not a positive number or null.
+   */
+  normalizeRetention(retention, { partial = false } = {}) {
+    const normalized = {};
+    for (const name of ['expireAfterDays', 'archiveAfterMonths']) {
+      if (partial && retention?.[name] === undefined) continue;
+      normalized[name] = this.normalizeLimit(name, retention?.[name]);
+    }
+    return normalized;
+  }
+
+  /**
+   * @private
+   * @param {string} name - Setting name, for the error message.
+   * @param {*} value
+   * @returns {number|null}
+   * @throws {Error} If the value is not a positive number or null.
+   */
+  normalizeLimit(name, value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+      throw new Error(`${name} must be a positive number or null`);
+    }
+    return value;
+  }
+
+  /**
+   * Load a message's list, creating it if needed. Must run inside the write queue.
+   * @private
+   * @param {string} messageId
+   * @returns {Promise<ExclusionList>}
+   */
+  async loadOrCreateList(messageId) {
+    const list = await this.getList(await this.resolveListId(messageId));
+    if (list) return list;
+
+    return this.createNewList(messageId);
+  }
+
+  /**
+   * Initialize and persist a new empty exclusion list for a message.
+   * @private
+   * @param {string} messageId
+   * @returns {Promise<ExclusionList>}
+   */
+  async createNewList(messageId) {
+    const list = this.buildList(messageId, {
+      name: `Message ${messageId}`,
+      messageIds: [messageId],
+      source: 'recycled',
+    });
+
+    await this.saveList(list, [
+      this.changeEntry(list, { op: 'create', added: [], source: 'recycled' }),
+    ]);
+    Logger.debug(`Created new exclusion list for ${messageId}.`);
+    Events.publish('exclusionListCreated', { listId: String(list.id), name: list.name, count: 0 });
+    return list;
+  }
+
+  /**
+   * Persist a list together with its metadata index entry and change log in a single write.
+   * The caches are only updated once the write has succeeded.
+   * @private
+   * @param {ExclusionList} list
+   * @param {Array<ExclusionListChange>} [changes] - Entries to append to the change log.
+   * @returns {Promise<void>}
+   * @throws {Error} If the write fails, including `STORAGE_LOCKED`.
+   */
+  async saveList(list, changes = []) {
+    const meta = { ...(await this.getMeta()), [list.id]: this.toMeta(list) };
+    const writes = {
+      [`${LIST_PREFIX}${list.id}`]: this.serializeList(list),
+      [META_KEY]: meta,
+    };
+
+    let history = null;
+    if (changes.length > 0) {
+      history = [...(await this.getHistory(list.id)), ...changes];
+      writes[`${HISTORY_PREFIX}${list.id}`] = this.serializeHistory(history);
+    }
+
+    if (this.storage) {
+      try {
+        await this.storage.set(writes);
+        Logger.debug(`Exclusion list ${list.id} saved to storage.`);
+      } catch (error) {
+        if (error.code !== 'STORAGE_LOCKED') Logger.error(`Failed to save exclusion list ${list.id}: ${error.message}`);
+        throw error;
+      }
+    }
+
+    this.metaCache = meta;
+    this.cache.set(list.id, list);
+    if (history) this.historyCache.set(list.id, history);
+  }
+
+  /**
+   * Copy a list with new subscribers and a bumped version.
+   * @private
+   * @param {ExclusionList} list
+   * @param {Array<string>} subscribers
+   * @returns {ExclusionList}
+   */
+  withSubscribers(list, subscribers) {
+    const now = Date.now();
+    const addedAt = this.getAddedAt(list);
+    return {
+      ...list,
+      subscribers,
+      addedAt: this.packAddedAt(subscribers.map(id => addedAt.get(id) ?? now)),
+      updated: now,
+      meta: {
+        ...list.meta,
+        count: subscribers.length,
+        version: (list.meta?.version || 0) + 1,
+      },
+    };
+  }
+
+  /**
+   * When each subscriber of a list was added. Lists saved before this was
+   * recorded count every subscriber as added at the list's last update.
+   * @private
+   * @param {ExclusionList} list
+   * @returns {Map<string, number>} Timestamps keyed by subscriber ID.
+   */
+  getAddedAt(list) {
+    const times = [];
+    for (const [timestamp, count] of list.addedAt || []) {
+      for (let i = 0; i < count; i++) times.push(timestamp);
+    }
+    if (times.length !== list.subscribers.length) {
+      return new Map(list.subscribers.map(id => [id, list.updated]));
+    }
+    return new Map(list.subscribers.map((id, i) => [id, times[i]]));
+  }
+
+  /**
+   * Pack per-subscriber timestamps into `[timestamp, count]` runs.
+   * @private
+   * @param {Array<number>} times - One timestamp per subscriber, in subscriber order.
+   * @returns {Array<Array<number>>}
+   */
+  packAddedAt(times) {
+    const runs = [];
+    for (const timestamp of times) {
+      const last = runs.at(-1);
+      if (last && last[0] === timestamp) {
+        last[1]++;
+      } else {
+        runs.push([timestamp, 1]);
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Build a change log entry for the version a list has just reached.
+   * @private
+   * @param {ExclusionList} list - List after the change.
+   * @param {Object} change
+   * @returns {ExclusionListChange}
+   */
+  changeEntry(list, { op, added = [], removed = [], source = 'manual', actor = null, revertedTo }) {
+    const entry = {
+      version: list.meta.version,
+      timestamp: list.updated,
+      op,
+      added,
+      removed,
+      source,
+      actor,
+    };
+    if (revertedTo !== undefined) entry.revertedTo = revertedTo;
+    return entry;
+  }
+
+  /**
+   * Lists saved before change logging existed get a baseline entry holding
+   * their current subscribers, so later versions can be replayed from it.
+   * @private
+   * @param {ExclusionList} list - List before the change.
+   * @returns {Promise<Array<ExclusionListChange>>}
+   */
+  async baselineFor(list) {
+    const history = await this.getHistory(list.id);
+    if (history.length > 0) return [];
+    return [this.changeEntry(list, { op: 'baseline', added: list.subscribers, source: list.meta.source })];
+  }
+
+  /**
+   * Remove message IDs from whichever other lists currently claim them.
+   * @private
+   * @param {Array<string>} messageIds
+   * @param {string} keepListId - List that is taking ownership.
+   * @returns {Promise<void>}
+   */
+  async detachMessages(messageIds, keepListId) {
+    const meta = await this.getMeta();
+    for (const id of Object.keys(meta)) {
+      if (id === keepListId) continue;
+      if (!meta[id].messageIds?.some(messageId => messageIds.includes(messageId))) continue;
+
+      const list = await this.getList(id);
+      if (!list) continue;
+      await this.saveList({
+        ...list,
+        messageIds: list.messageIds.filter(messageId => !messageIds.includes(messageId)),
+        updated: Date.now(),
+      });
+    }
+  }
+
+  /**
+   * Build a list object with defaults applied.
+   * @private
+   * @param {string} id
+   * @param {Partial<ExclusionList> & { source?: string, version?: number }} fields
+   * @returns {ExclusionList}
+   */
+  buildList(id, {
+    name,
+    subscribers = [],
+    messageIds = [],
+    source = 'manual',
+    version = 1,
+    created,
+    updated,
+    retention,
+    archived,
+    lastUsed,
+    addedAt,
+  } = {}) {
+    const now = Date.now();
+    const list = {
+      id,
+      name: name || id,
+      subscribers,
+      messageIds,
+      created: created || now,
+      updated: updated || now,
+      meta: {
+        count: subscribers.length,
+        source,
+        version,
+      },
+    };
+    list.addedAt = addedAt || this.packAddedAt(subscribers.map(() => list.updated));
+    if (retention) list.retention = retention;
+    if (archived) list.archived = archived;
+    if (lastUsed) list.lastUsed = lastUsed;
+    return list;
+  }
+
+  /**
+   * Project a list onto its metadata index entry.
+   * @private
+   * @param {ExclusionList} list
+   * @returns {ExclusionListMeta}
+   */
+  toMeta(list) {
+    return {
+      id: list.id,
+      name: list.name,
+      messageIds: list.messageIds,
+      count: list.subscribers.length,
+      source: list.meta.source,
+      version: list.meta.version,
+      created: list.created,
+      updated: list.updated,
+      ...(list.retention && { retention: list.retention }),
+      ...(list.archived && { archived: list.archived }),
+      ...(list.lastUsed && { lastUsed: list.lastUsed }),
+    };
+  }
+
+  /**
+   * Generate a new unique list ID.
+   * @private
+   * @returns {string}
+   */
+  generateListId() {
+    return `list_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Deserialize a stored exclusion list.
+   * Bare JSON arrays written by earlier versions are upgraded to the list model,
+   * and packed subscriber IDs are expanded back into an array.
+   * @private
+   * @param {string} data
+   * @param {string} [id] - ID the data was stored under.
+   * @returns {ExclusionList}
+   */
+  deserializeList(data, id) {
+    try {
+      const parsed = JSON.parse(data);
+      if (Array.isArray(parsed)) {
+        return this.buildList(id, {
+          name: `Message ${id}`,
+          subscribers: parsed.map(String),
+          messageIds: [id],
+          source: 'recycled',
+        });
+      }
+      if (parsed && IdCodec.isEncoded(parsed.subscribers)) {
+        parsed.subscribers = IdCodec.decode(parsed.subscribers);
+      }
+      if (parsed && Array.isArray(parsed.subscribers)) {
+        return this.buildList(parsed.id || id, {
+          ...parsed,
+          source: parsed.meta?.source,
+          version: parsed.meta?.version,
+        });
+      }
+      Logger.warn('Deserialized data is not an exclusion list, returning empty list.');
+    } catch (error) {
+      Logger.warn(`Failed to parse exclusion list: ${error.message}`);
+    }
+    return this.buildList(id, { messageIds: [id] });
+  }
+
+  /**
+   * Serialize exclusion list to JSON string.
+   * Numeric subscriber IDs are packed with IdCodec; anything else stays a plain array.
+   * @private
+   * @param {ExclusionList} list
+   * @returns {string}
+   */
+  serializeList(list) {
+    if (list.subscribers.length > 0 && IdCodec.canEncode(list.subscribers)) {
+      return JSON.stringify({ ...list, subscribers: IdCodec.encode(list.subscribers) });
+    }
+    return JSON.stringify(list);
+  }
+
+  /**
+   * Serialize a change log, packing numeric ID arrays like the lists themselves.
+   * @private
+   * @param {Array<ExclusionListChange>} history
+   * @returns {string}
+   */
+  serializeHistory(history) {
+    const pack = ids => (ids.length > 0 && IdCodec.canEncode(ids) ? IdCodec.encode(ids) : ids);
+    return JSON.stringify(history.map(entry => ({
+      ...entry,
+      added: pack(entry.added),
+      removed: pack(entry.removed),
+    })));
+  }
+
+  /**
+   * Deserialize a change log written by serializeHistory().
+   * @private
+   * @param {string} data
+   * @returns {Array<ExclusionListChange>}
+   */
+  deserializeHistory(data) {
+    const unpack = ids => (IdCodec.isEncoded(ids) ? IdCodec.decode(ids) : ids || []);
+    try {
+      const parsed = JSON.parse(data);
+      if (!Array.isArray(parsed)) {
+        Logger.warn('Exclusion list history is not an array, ignoring it.');
+        return [];
+      }
+      return parsed.map(entry => ({
+        ...entry,
+        added: unpack(entry.added),
+        removed: unpack(entry.removed),
+      }));
+    } catch (error) {
+      Logger.warn(`Failed to parse exclusion list history: ${error.message}`);
+      return [];
+    }
   }
 
   /**
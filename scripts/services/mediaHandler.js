@@ -15,7 +15,15 @@
 
 import Logger from '../common/logger.js';
 import Constants from '../common/constants.js';
-import Storage from '../common/storage.js'; // if stores media preferences or cache
+import Storage from '../common/storage.js';
+import MediaOwnership from './mediaOwnership.js';
+import Events from '../common/events.js';
+
+const CACHE_PREFIX = Constants.STORAGE_KEYS.MEDIA_CACHE_PREFIX;
+const CACHE_INDEX_KEY = Constants.STORAGE_KEYS.MEDIA_CACHE_INDEX;
+
+/** Stored media references older than this are removed by pruneCache(). */
+const DEFAULT_CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
 
 /**
  * @class MediaHandler
@@ -35,7 +43,8 @@ class MediaHandler {
 
   /**
    * Extracts media elements from the original message by message ID.
-   * Caches the extracted media for later reuse.
+   * Caches the extracted media for later reuse and records the media IDs in the
+   * ownership index so buyers of this message are excluded wherever the media reappears.
    * 
    * @async
    * @param {string} messageId - Unique identifier for the message.
@@ -47,9 +56,29 @@ class MediaHandler {
 
     // Cache media references
     this.mediaCache.set(messageId, mediaElements);
+    await this.storeMediaCache(messageId, mediaElements);
+
+    try {
+      await MediaOwnership.recordMessageMedia(messageId, mediaElements.map(media => this.getMediaId(media)));
+    } catch (error) {
+      Logger.warn(`Could not record media ownership for ${messageId}: ${error.message}`);
+    }
+    Events.publish('mediaExtracted', { messageId: String(messageId), mediaCount: mediaElements.length });
     return mediaElements;
   }
 
+  /**
+   * Returns a stable identifier for a media element. Vault media IDs are preferred;
+   * the source URL is used when the platform does not expose one.
+   * 
+   * @param {Object} media - Media element descriptor (e.g., {id, type, src}).
+   * @returns {string|null} Media identifier, or null if none is available.
+   */
+  getMediaId(media) {
+    const id = media?.mediaId ?? media?.id ?? media?.src;
+    return id === undefined || id === null || id === '' ? null : String(id);
+  }
+
   /**
    * Retrieves cached media elements for a given message ID.
    * If cache is empty, attempts to extract media anew.
@@ -62,9 +91,94 @@ class MediaHandler {
     if (this.mediaCache.has(messageId)) {
       return this.mediaCache.get(messageId);
     }
+
+    const stored = await this.loadMediaCache(messageId);
+    if (stored) {
+      this.mediaCache.set(messageId, stored);
+      return stored;
+    }
     return this.extractMediaFromMessage(messageId);
   }
 
+  /**
+   * Persists media references for a message and stamps them in the cache index,
+   * so they survive page reloads and can be pruned by age. Like the ownership
+   * index, the cache is written by the background worker, one write at a time.
+   * 
+   * @async
+   * @param {string} messageId - Unique identifier for the message.
+   * @param {Array<Object>} mediaElements - Media element descriptors.
+   * @param {number} [now=Date.now()] - Time the media was cached.
+   * @returns {Promise<void>}
+   */
+  async storeMediaCache(messageId, mediaElements, now = Date.now()) {
+    try {
+      if (MediaOwnership.routesWrites()) {
+        await MediaOwnership.sendWrite('storeMediaCache', [messageId, mediaElements, now]);
+        return;
+      }
+      await MediaOwnership.serialize(async () => {
+        const result = await Storage.get([CACHE_INDEX_KEY]);
+        await Storage.set({
+          [`${CACHE_PREFIX}${messageId}`]: mediaElements,
+          [CACHE_INDEX_KEY]: { ...result[CACHE_INDEX_KEY], [messageId]: now },
+        });
+      });
+    } catch (error) {
+      Logger.warn(`Could not cache media for ${messageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads persisted media references for a message.
+   * 
+   * @async
+   * @param {string} messageId - Unique identifier for the message.
+   * @returns {Promise<Array<Object>|null>} Cached media, or null on a miss.
+   */
+  async loadMediaCache(messageId) {
+    const key = `${CACHE_PREFIX}${messageId}`;
+    try {
+      const result = await Storage.get([key]);
+      return Array.isArray(result?.[key]) ? result[key] : null;
+    } catch (error) {
+      Logger.warn(`Could not read cached media for ${messageId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Removes persisted media references older than `maxAgeMs`, along with their
+   * in-memory copies. Run periodically by the background maintenance scheduler.
+   * 
+   * @async
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeMs=30 days] - Maximum age of a cache entry.
+   * @param {number} [options.now=Date.now()] - Reference time.
+   * @returns {Promise<number>} Number of messages whose cached media was removed.
+   */
+  async pruneCache({ maxAgeMs = DEFAULT_CACHE_MAX_AGE_MS, now = Date.now() } = {}) {
+    return MediaOwnership.serialize(async () => {
+      const result = await Storage.get([CACHE_INDEX_KEY]);
+      const index = { ...result[CACHE_INDEX_KEY] };
+      const stale = Object.keys(index).filter(messageId => now - index[messageId] > maxAgeMs);
+      if (stale.length === 0) return 0;
+
+      for (const messageId of stale) {
+        delete index[messageId];
+        this.mediaCache.delete(messageId);
+      }
+      const staleKeys = stale.map(messageId => `${CACHE_PREFIX}${messageId}`);
+      await Storage.transaction([CACHE_INDEX_KEY, ...staleKeys], (tx) => {
+        staleKeys.forEach(key => tx.remove(key));
+        tx.set(CACHE_INDEX_KEY, index);
+      });
+
+      Logger.info(`Pruned cached media of ${stale.length} message(s).`);
+      return stale.length;
+    });
+  }
+
   /**
    * Inserts cached media elements associated with a message into a target container element.
    * Handles asynchronous insertion with error handling and fallback generation.
@@ -78,12 +192,18 @@ class MediaHandler {
     const mediaElements = await this.getMediaElements(messageId);
 
     // Create insertion queue to handle insertion in stages
-    const insertionQueue = mediaElements.map(media =>
+    const insertionQueue = await Promise.all(mediaElements.map(media =>
       this.createInsertionTask(media, targetContainer)
-    );
+    ));
 
     // Process queue with error handling
-    return this.processInsertionQueue(insertionQueue);
+    const results = await this.processInsertionQueue(insertionQueue);
+    Events.publish('mediaInserted', {
+      messageId: String(messageId),
+      mediaCount: results.filter(result => result.success).length,
+      success: results.every(result => result.success),
+    });
+    return results;
   }
 
   /**
@@ -0,0 +1,332 @@
+/**
+ * @file        mediaOwnership.js
+ * @description Links vault media to the messages that contain it, so exclusion can
+ *              follow the media rather than a single message. A fan who bought any
+ *              message carrying the same media is treated as already owning it.
+ *
+ * @author      Noelle B.
+ * @created     2025-05-21
+ * @license     MIT
+ *
+ * @module      MediaOwnership
+ */
+
+import Constants from '../common/constants.js';
+import Logger from '../common/logger.js';
+import Storage from '../common/storage.js';
+import ExclusionList from './exclusionList.js';
+
+const INDEX_KEY = Constants.STORAGE_KEYS.MEDIA_OWNERSHIP;
+
+/**
+ * @class MediaOwnershipIndex
+ * @classdesc Persists which media IDs each message contains and resolves the
+ *            exclusion lists of every message sharing media with a given one.
+ */
+class MediaOwnershipIndex {
+  constructor() {
+    /** @type {Object<string, Array<string>>|null} Media IDs keyed by message ID. */
+    this.messages = null;
+
+    /** @type {Map<string, Set<string>>} Message IDs keyed by media ID. */
+    this.byMedia = new Map();
+
+    /** @type {Promise<void>} Tail of the write chain; media writes apply one at a time. */
+    this.writeQueue = Promise.resolve();
+
+    /**
+     * Where writes run: 'local' applies them here, 'background' sends them to the
+     * service worker. Detected from the current context when null.
+     * @type {'local'|'background'|null}
+     */
+    this.writeMode = null;
+
+    this.storage = Storage;
+    this.storage.onChanged((changes) => this.onStorageChanged(changes));
+  }
+
+  /**
+   * Drop the cached index when another context, usually a content script, changed it.
+   * @param {Object<string, chrome.storage.StorageChange>} changes
+   * @returns {void}
+   */
+  onStorageChanged(changes) {
+    if (INDEX_KEY in changes) this.clearCache();
+  }
+
+  /**
+   * Drop the in-memory index so the next call reads storage again.
+   * @returns {void}
+   */
+  clearCache() {
+    this.messages = null;
+    this.byMedia.clear();
+  }
+
+  /**
+   * Record the media a message contains, replacing anything recorded before.
+   * @param {string} messageId
+   * @param {Array<string>} mediaIds
+   * @returns {Promise<void>}
+   */
+  async recordMessageMedia(messageId, mediaIds) {
+    if (!messageId || !Array.isArray(mediaIds)) {
+      throw new Error('recordMessageMedia requires a message ID and an array of media IDs');
+    }
+
+    const ids = Array.from(new Set(mediaIds.filter(Boolean).map(String))).sort();
+    return this.write('recordMessageMedia', [messageId, ids], (messages) => {
+      const previous = messages[messageId] || [];
+      if (previous.length === ids.length && previous.every((id, i) => id === ids[i])) return null;
+
+      const updated = { ...messages };
+      if (ids.length > 0) {
+        updated[messageId] = ids;
+      } else {
+        delete updated[messageId];
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Forget a message, e.g. after it was deleted.
+   * @param {string} messageId
+   * @returns {Promise<void>}
+   */
+  async forgetMessage(messageId) {
+    return this.write('forgetMessage', [messageId], (messages) => {
+      if (!messages[messageId]) return null;
+
+      const updated = { ...messages };
+      delete updated[messageId];
+      return updated;
+    });
+  }
+
+  /**
+   * Media IDs recorded for a message.
+   * @param {string} messageId
+   * @returns {Promise<Array<string>>}
+   */
+  async getMediaIds(messageId) {
+    const messages = await this.load();
+    return messages[messageId] || [];
+  }
+
+  /**
+   * Every message containing at least one of the given media IDs.
+   * @param {Array<string>} mediaIds
+   * @returns {Promise<Array<string>>}
+   */
+  async getMessagesForMedia(mediaIds) {
+    await this.load();
+    const result = new Set();
+    for (const mediaId of mediaIds || []) {
+      this.byMedia.get(String(mediaId))?.forEach(messageId => result.add(messageId));
+    }
+    return Array.from(result);
+  }
+
+  /**
+   * The message itself plus every message sharing any media with it.
+   * @param {string} messageId
+   * @returns {Promise<Array<string>>}
+   */
+  async getRelatedMessages(messageId) {
+    const related = await this.getMessagesForMedia(await this.getMediaIds(messageId));
+    return [messageId, ...related.filter(id => id !== messageId)];
+  }
+
+  /**
+   * Exclusion list IDs covering the message and every message sharing its media.
+   * @param {string} messageId
+   * @returns {Promise<Array<string>>}
+   */
+  async getExclusionListIds(messageId) {
+    const listIds = new Set();
+    for (const related of await this.getRelatedMessages(messageId)) {
+      listIds.add(await ExclusionList.resolveListId(related));
+    }
+    return Array.from(listIds);
+  }
+
+  /**
+   * Every subscriber a recycle of the message must skip: the buyers on its own
+   * exclusion list and on the lists of every message sharing its media.
+   * @param {string} messageId
+   * @param {Object} [options]
+   * @param {Array<string>} [options.listIds] - Further lists to include, e.g. a shared list or a
+   *        saved expression chosen for the recycle. Saved expressions are evaluated.
+   * @returns {Promise<Array<string>>}
+   * @throws {Error} If a saved expression is missing or malformed.
+   */
+  async getExcludedSubscribers(messageId, { listIds = [] } = {}) {
+    const excluded = new Set();
+    const expressionIds = listIds.filter(ref => ExclusionList.isExpressionId(ref));
+    const resolved = await Promise.all(listIds
+      .filter(ref => !ExclusionList.isExpressionId(ref))
+      .map(listId => ExclusionList.resolveListId(listId)));
+    for (const listId of new Set([...await this.getExclusionListIds(messageId), ...resolved])) {
+      (await ExclusionList.getList(listId))?.subscribers.forEach(id => excluded.add(String(id)));
+    }
+    for (const expressionId of expressionIds) {
+      (await ExclusionList.evaluate(expressionId)).forEach(id => excluded.add(String(id)));
+    }
+    return Array.from(excluded);
+  }
+
+  /**
+   * Whether a subscriber bought the message or any message sharing its media.
+   * @param {string} messageId - Message ID or list ID.
+   * @param {string} subscriberId
+   * @returns {Promise<boolean>}
+   */
+  async check(messageId, subscriberId) {
+    if (messageId === undefined || messageId === null) return false;
+
+    for (const listId of await this.getExclusionListIds(messageId)) {
+      if (await ExclusionList.check(listId, subscriberId)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Drop every candidate who already owns any of the message's media.
+   * @param {string} messageId
+   * @param {Array<string|number>} candidates
+   * @returns {Promise<Array<string|number>>} Remaining candidates, in their original order.
+   */
+  async filterRecipients(messageId, candidates) {
+    const listIds = [];
+    for (const listId of await this.getExclusionListIds(messageId)) {
+      if (await ExclusionList.getList(listId)) listIds.push(listId);
+    }
+    return ExclusionList.filterRecipients(listIds, candidates);
+  }
+
+  /**
+   * Apply an update to the index after the writes before it, reading storage
+   * afresh so media recorded by another context is kept. Outside the background
+   * worker the write is sent there instead.
+   * @private
+   * @param {string} method - Public method name, used when forwarding.
+   * @param {Array<*>} args - Arguments to forward.
+   * @param {function(Object<string, Array<string>>): (Object<string, Array<string>>|null)} update
+   *        Returns the new index, or null to leave it unchanged.
+   * @returns {Promise<void>}
+   */
+  write(method, args, update) {
+    if (this.routesWrites()) {
+      return this.sendWrite(method, args);
+    }
+
+    return this.serialize(async () => {
+      this.clearCache();
+      const updated = update(await this.load());
+      if (updated) await this.save(updated);
+    });
+  }
+
+  /**
+   * Run a media storage write after the ones before it. MediaHandler's cache
+   * writes share this queue, so the background worker applies every media write
+   * one at a time.
+   * @param {function(): Promise<*>} apply
+   * @returns {Promise<*>} Whatever `apply` resolved with.
+   */
+  serialize(apply) {
+    const run = this.writeQueue.then(apply);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Whether media writes from this context must go through the background worker.
+   * Extension pages and content scripts forward; the service worker applies.
+   * @returns {boolean}
+   */
+  routesWrites() {
+    if (this.writeMode) return this.writeMode === 'background';
+    return typeof ServiceWorkerGlobalScope === 'undefined'
+      && typeof chrome !== 'undefined'
+      && Boolean(chrome.runtime?.id && chrome.runtime?.sendMessage);
+  }
+
+  /**
+   * Forward a media write to the background worker.
+   * @param {string} method - `recordMessageMedia`, `forgetMessage` or MediaHandler's `storeMediaCache`.
+   * @param {Array<*>} args
+   * @returns {Promise<*>} The background worker's result.
+   * @throws {Error} If the background worker reports an error.
+   */
+  async sendWrite(method, args) {
+    const response = await chrome.runtime.sendMessage({
+      action: Constants.ACTION_UPDATE_MEDIA_INDEX,
+      payload: { method, args },
+    });
+    if (response?.status !== 'success') {
+      throw new Error(response?.error || `Media ${method} failed in the background worker`);
+    }
+
+    this.clearCache();
+    return response.data;
+  }
+
+  /**
+   * Read the index from storage on first use.
+   * @private
+   * @returns {Promise<Object<string, Array<string>>>}
+   * @throws {Error} If storage cannot be read; excluding nobody would be worse than failing.
+   */
+  async load() {
+    if (this.messages) return this.messages;
+
+    let messages = {};
+    if (this.storage) {
+      try {
+        const result = await this.storage.get([INDEX_KEY]);
+        messages = result[INDEX_KEY] || {};
+      } catch (error) {
+        Logger.error(`Error retrieving media ownership index: ${error.message}`);
+        throw error;
+      }
+    }
+
+    this.setMessages(messages);
+    return this.messages;
+  }
+
+  /**
+   * Persist the index and rebuild the reverse lookup.
+   * @private
+   * @param {Object<string, Array<string>>} messages
+   * @returns {Promise<void>}
+   * @throws {Error} If the write fails; the cached index is left as it was.
+   */
+  async save(messages) {
+    if (this.storage) {
+      await this.storage.set({ [INDEX_KEY]: messages });
+    }
+    this.setMessages(messages);
+  }
+
+  /**
+   * @private
+   * @param {Object<string, Array<string>>} messages
+   * @returns {void}
+   */
+  setMessages(messages) {
+    this.messages = messages;
+    this.byMedia.clear();
+    for (const [messageId, mediaIds] of Object.entries(messages)) {
+      for (const mediaId of mediaIds) {
+        if (!this.byMedia.has(mediaId)) this.byMedia.set(mediaId, new Set());
+        this.byMedia.get(mediaId).add(messageId);
+      }
+    }
+  }
+}
+
+const mediaOwnership = new MediaOwnershipIndex();
+export default mediaOwnership;
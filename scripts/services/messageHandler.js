@@ -9,8 +9,8 @@
 
 import MessageProcessor from './messageProcessor.js';
 import MessageParser from '../content/messageParser.js';
-import ExclusionList from './exclusionList.js';
 import MediaHandler from './mediaHandler.js';
+import MediaOwnership from './mediaOwnership.js';
 
 /**
  * Creates a default handler using standard config.
@@ -19,7 +19,8 @@ import MediaHandler from './mediaHandler.js';
 const processor = new MessageProcessor({
   parser: new MessageParser(),
   filterFunc: token => token && token.length > 1, // Example filter
-  exclusionChecker: ExclusionList.check,
+  exclusionChecker: (message, tokens, { listId, subscriberId } = {}) =>
+    MediaOwnership.check(listId, subscriberId),
   mediaAnalyzer: MediaHandler.analyze,
 });
 
@@ -27,10 +28,11 @@ const processor = new MessageProcessor({
  * Handles a single raw message string.
  * 
  * @param {string} message
+ * @param {Object} [context] - Recipient context ({ listId, subscriberId }) for exclusion checks.
  * @returns {Promise<Object>} Result of message processing.
  */
-export async function handleMessage(message) {
-  return processor.process(message);
+export async function handleMessage(message, context) {
+  return processor.process(message, context);
 }
 
 /**
@@ -25,7 +25,8 @@ class MessageProcessor {
    * @param {Object} options
    * @param {MessageParser} options.parser - Instance of the MessageParser to use.
    * @param {Function} [options.filterFunc] - Optional filter function to apply on parsed tokens.
-   * @param {Function} [options.exclusionChecker] - Optional function to check for exclusions.
+   * @param {Function} [options.exclusionChecker] - Optional sync/async function to check for exclusions.
+   *        Called with (message, tokens, context).
    * @param {Function} [options.mediaAnalyzer] - Optional async/sync function to analyze media content.
    */
   constructor({ parser, filterFunc, exclusionChecker, mediaAnalyzer } = {}) {
@@ -43,9 +44,12 @@ class MessageProcessor {
    * Processes a single message: parses, filters, checks exclusions, analyzes media.
    * 
    * @param {string} message - Raw message text.
+   * @param {Object} [context] - Optional recipient context passed to the exclusion checker.
+   * @param {string} [context.listId] - Exclusion list or message ID to check against.
+   * @param {string} [context.subscriberId] - Recipient being considered.
    * @returns {Promise<Object>} Processed result object.
    */
-  async process(message) {
+  async process(message, context = {}) {
     if (typeof message !== 'string') {
       throw new TypeError('message must be a string');
     }
@@ -59,7 +63,9 @@ class MessageProcessor {
     }
 
     // Step 3: Exclusion check
-    const excluded = this.exclusionChecker ? this.exclusionChecker(message, tokens) : false;
+    const excluded = this.exclusionChecker
+      ? Boolean(await this.exclusionChecker(message, tokens, context))
+      : false;
 
     // Step 4: Media analysis
     const mediaAnalysis = this.mediaAnalyzer
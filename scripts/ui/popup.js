@@ -16,7 +16,30 @@
 import Components from './components.js';
 import Constants from '../common/constants.js';
 import Logger from '../common/logger.js';
-import Storage from '../common/storage.js'; // wrapper around chrome.storage
+import Storage from '../common/storage.js';
+import SendRateGovernor from '../background/sendRateGovernor.js';
+import ExclusionList from '../services/exclusionList.js';
+
+/** Status line shown for each recycle progress event. */
+const PROGRESS_LABELS = {
+  recycleStarted: () => 'Recycle started',
+  buyersCollected: (data) => `Collected ${data.count} buyers`,
+  exclusionListUpdated: (data) => `Excluding ${data.totalCount} buyers (${data.addedCount} new)`,
+  mediaInserted: (data) => `Inserted ${data.mediaCount} media`,
+  recycleQueued: () => 'Queued for sending',
+  recycleCompleted: (data) => (data.success ? 'Recycle complete' : `Recycle failed: ${data.error}`),
+  recycleCancelled: () => 'Recycle cancelled',
+};
+
+/** Progress events after which a recycle is queued and can no longer be cancelled. */
+const QUEUED_EVENTS = ['recycleQueued', 'mediaInserted'];
+
+/** Human-readable byte count for the storage panel. */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
 class Popup {
   constructor() {
@@ -32,6 +55,9 @@ class Popup {
     const oldBtn = document.getElementById('toggleRecycle');
     if (oldBtn) oldBtn.remove();
 
+    // Whether recycling is on, as last reported by the background worker
+    this.isActive = null;
+
     // Create button with Components helper
     this.toggleButton = Components.createButton('Loading...', {
       id: 'toggleRecycle',
@@ -44,22 +70,261 @@ class Popup {
     const container = document.getElementById('buttonContainer') || document.body;
     container.appendChild(this.toggleButton);
 
+    // When the send-rate governor lets the next queued message go out
+    this.nextSlotElement = Components.createContainer('p', {
+      classes: ['rc-next-slot'],
+      attrs: { id: 'nextSendSlot' }
+    });
+    container.appendChild(this.nextSlotElement);
+    this.governor = new SendRateGovernor();
+
+    // The background worker updates the governor after every send
+    Storage.onChanged((changes) => {
+      if (changes[Constants.STORAGE_KEYS.SEND_RATE]) {
+        this.governor.clearCache();
+        this.loadNextSlot();
+      }
+    });
+
+    // Progress of the running recycle job, streamed by the background worker
+    this.progressElement = Components.createContainer('p', {
+      classes: ['rc-progress'],
+      attrs: { id: 'recycleProgress' }
+    });
+    this.cancelButton = Components.createButton('Cancel', {
+      id: 'cancelRecycle',
+      classes: ['rc-cancel-btn'],
+      onClick: () => this.cancelRecycle()
+    });
+    this.cancelButton.hidden = true;
+    container.appendChild(this.progressElement);
+    container.appendChild(this.cancelButton);
+    this.activeJobId = null;
+    this.connectProgress();
+
+    // Storage use, with the largest exclusion lists and actions to shrink them
+    this.storagePanel = Components.createContainer('section', {
+      classes: ['rc-storage'],
+      attrs: { id: 'storagePanel' }
+    });
+    container.appendChild(this.storagePanel);
+
+    // Encryption at rest: lock state, and the passphrase to unlock or turn it on
+    this.lockPanel = Components.createContainer('section', {
+      classes: ['rc-lock'],
+      attrs: { id: 'lockPanel' }
+    });
+    this.lockStatusElement = Components.createContainer('p', { classes: ['rc-lock-status'] });
+    this.passphraseInput = Components.createContainer('input', {
+      classes: ['rc-lock-passphrase'],
+      attrs: { type: 'password', placeholder: 'Passphrase', autocomplete: 'current-password' }
+    });
+    this.unlockButton = Components.createButton('Unlock', {
+      classes: ['rc-lock-unlock'],
+      onClick: () => this.changeLock(Constants.ACTION_UNLOCK_STORAGE)
+    });
+    this.lockButton = Components.createButton('Lock', {
+      classes: ['rc-lock-lock'],
+      onClick: () => this.changeLock(Constants.ACTION_LOCK_STORAGE)
+    });
+    this.encryptButton = Components.createButton('Encrypt', {
+      classes: ['rc-lock-encrypt'],
+      onClick: () => this.changeLock(Constants.ACTION_ENABLE_ENCRYPTION)
+    });
+    this.lockPanel.append(this.lockStatusElement, this.passphraseInput, this.unlockButton, this.lockButton, this.encryptButton);
+    container.appendChild(this.lockPanel);
+
     // Load initial state and update UI
     this.loadState();
+    this.loadNextSlot();
+    this.loadStorage();
+    this.loadLock();
+  }
+
+  async loadLock() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: Constants.ACTION_GET_ENCRYPTION_STATUS,
+        source: 'popup'
+      });
+      if (response?.status !== 'success') {
+        throw new Error(response?.error || 'No response from background');
+      }
+      this.renderLock(response.data);
+    } catch (error) {
+      Logger.error('Popup: failed to load encryption status', error);
+    }
+  }
+
+  renderLock(status) {
+    if (!status.enabled) {
+      this.lockStatusElement.textContent = 'Encryption: off';
+    } else if (status.locked) {
+      this.lockStatusElement.textContent = 'Storage locked';
+    } else {
+      this.lockStatusElement.textContent = status.autoLockMinutes
+        ? `Storage unlocked (locks after ${status.autoLockMinutes} min idle)`
+        : 'Storage unlocked';
+    }
+
+    this.passphraseInput.hidden = status.enabled && !status.locked;
+    this.unlockButton.hidden = !status.enabled || !status.locked;
+    this.lockButton.hidden = !status.enabled || status.locked;
+    this.encryptButton.hidden = status.enabled;
+  }
+
+  async changeLock(action) {
+    // Locking takes no passphrase; unlocking and enabling do
+    const payload = action === Constants.ACTION_LOCK_STORAGE ? undefined : { passphrase: this.passphraseInput.value };
+    try {
+      const response = await chrome.runtime.sendMessage({ action, payload, source: 'popup' });
+      if (response?.status !== 'success') {
+        throw new Error(response?.error || 'No response from background');
+      }
+      this.passphraseInput.value = '';
+      this.renderLock(response.data);
+      Logger.info(`Popup: ${action} succeeded`);
+    } catch (error) {
+      this.lockStatusElement.textContent = error.message;
+      Logger.error(`Popup: ${action} failed`, error);
+    }
+    this.loadStorage();
+  }
+
+  async loadStorage() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: Constants.ACTION_GET_STORAGE_STATS,
+        source: 'popup'
+      });
+      if (response?.status !== 'success') {
+        throw new Error(response?.error || 'No response from background');
+      }
+      this.renderStorage(response.data);
+    } catch (error) {
+      Logger.error('Popup: failed to load storage stats', error);
+    }
+  }
+
+  renderStorage(stats) {
+    const summary = Components.createContainer('p', { classes: ['rc-storage-usage'] });
+    summary.textContent = stats.percentUsed === null
+      ? `Storage used: ${formatBytes(stats.bytesInUse)}`
+      : `Storage used: ${stats.percentUsed}% (${formatBytes(stats.bytesInUse)} of ${formatBytes(stats.quotaBytes)})`;
+
+    const lists = Components.createContainer('ul', { classes: ['rc-storage-lists'] });
+    for (const list of stats.largestLists) {
+      const item = Components.createContainer('li', { classes: ['rc-storage-list'] });
+      const label = Components.createContainer('span');
+      label.textContent = `${list.name}${list.archived ? ' (archived)' : ''}: ${formatBytes(list.bytes + list.historyBytes)}`;
+      item.appendChild(label);
+
+      if (!list.archived) {
+        item.appendChild(Components.createButton('Archive', {
+          classes: ['rc-storage-archive'],
+          onClick: () => this.shrinkList('archiveList', list.id)
+        }));
+      }
+      if (list.historyBytes > 0) {
+        item.appendChild(Components.createButton('Compact', {
+          classes: ['rc-storage-compact'],
+          onClick: () => this.shrinkList('compactList', list.id)
+        }));
+      }
+      lists.appendChild(item);
+    }
+
+    this.storagePanel.replaceChildren(summary, lists);
+  }
+
+  async shrinkList(method, listId) {
+    try {
+      // Runs in the background worker, which serializes exclusion list writes
+      await ExclusionList[method](listId);
+      Logger.info(`Popup: ${method} ${listId}`);
+    } catch (error) {
+      Logger.error(`Popup: ${method} failed for ${listId}`, error);
+    }
+    this.loadStorage();
+  }
+
+  async loadNextSlot() {
+    try {
+      this.updateNextSlot(await this.governor.nextSlotAt());
+    } catch (error) {
+      Logger.error('Popup: failed to load next send slot', error);
+    }
+  }
+
+  updateNextSlot(slotAt, now = Date.now()) {
+    if (!this.nextSlotElement) return;
+    this.nextSlotElement.textContent = slotAt <= now
+      ? 'Next send slot: now'
+      : `Next send slot: ${new Date(slotAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  connectProgress() {
+    if (!chrome.runtime?.connect) return;
+
+    this.progressPort = chrome.runtime.connect({ name: Constants.PORT_RECYCLE_PROGRESS });
+    this.progressPort.onMessage.addListener((message) => this.onProgressMessage(message));
+    this.progressPort.onDisconnect.addListener(() => {
+      this.progressPort = null;
+    });
+  }
+
+  onProgressMessage(message) {
+    if (message.type === 'jobs') {
+      // Sent on connect: pick up a job that started before the popup opened
+      const [job] = message.jobs;
+      if (job?.lastEvent) this.updateProgress(job.jobId, job.lastEvent.event, job.lastEvent.data);
+    } else if (message.type === 'progress') {
+      this.updateProgress(message.jobId, message.event, message.data);
+    }
+  }
+
+  updateProgress(jobId, event, data = {}) {
+    const finished = event === 'recycleCompleted' || event === 'recycleCancelled';
+    this.activeJobId = finished ? null : jobId;
+    this.cancelButton.hidden = finished || QUEUED_EVENTS.includes(event);
+    this.progressElement.textContent = PROGRESS_LABELS[event]?.(data) ?? '';
+  }
+
+  cancelRecycle() {
+    if (!this.activeJobId) return;
+
+    // The port closes when the service worker is suspended
+    if (!this.progressPort) this.connectProgress();
+    this.progressPort?.postMessage({ type: 'cancel', jobId: this.activeJobId, reason: 'Cancelled from popup' });
+    Logger.info(`Popup: cancelling recycle job ${this.activeJobId}`);
   }
 
   async loadState() {
     try {
-      const result = await Storage.get(['isRecycling']);
-      const isRecycling = result.isRecycling ?? false;
-      Logger.info(`Popup: loaded recycling state: ${isRecycling}`);
-      this.updateStatus(isRecycling);
+      // The background worker's queue is the only record of whether recycling is on
+      const response = await chrome.runtime.sendMessage({
+        action: Constants.ACTION_GET_RECYCLE_STATE,
+        source: 'popup'
+      });
+      if (response?.status !== 'success') {
+        throw new Error(response?.error || 'No response from background');
+      }
+      Logger.info(`Popup: loaded recycling state: ${response.data.recycling}`);
+      this.updateStatus(response.data.recycling);
     } catch (error) {
+      this.showStatusError(error);
       Logger.error('Popup: failed to load state', error);
     }
   }
 
+  showStatusError(error) {
+    this.isActive = null;
+    if (this.statusElement) this.statusElement.textContent = error.message;
+    if (this.toggleButton) this.toggleButton.textContent = 'Retry';
+  }
+
   updateStatus(isActive) {
+    this.isActive = isActive;
     if (this.statusElement) {
       this.statusElement.textContent = isActive
         ? Constants.STATUS_RECYCLING_ON || 'Recycling: ON'
@@ -71,18 +336,25 @@ class Popup {
   }
 
   async toggleRecycle() {
-    try {
-      const result = await Storage.get(['isRecycling']);
-      const current = result.isRecycling ?? false;
-      const newState = !current;
-
-      await Storage.set({ isRecycling: newState });
-      Logger.info(`Popup: toggled recycling to ${newState}`);
-
-      this.updateStatus(newState);
+    // Without a known state, e.g. after a failed load, read it again rather than guess
+    if (typeof this.isActive !== 'boolean') {
+      await this.loadState();
+      return;
+    }
 
-      chrome.runtime.sendMessage({ action: 'toggleRecycle', state: newState });
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: Constants.ACTION_TOGGLE_RECYCLE,
+        payload: { state: !this.isActive },
+        source: 'popup'
+      });
+      if (response?.status !== 'success') {
+        throw new Error(response?.error || 'No response from background');
+      }
+      Logger.info(`Popup: toggled recycling to ${response.data.recycling}`);
+      this.updateStatus(response.data.recycling);
     } catch (error) {
+      this.showStatusError(error);
       Logger.error('Popup: failed to toggle recycling', error);
     }
   }
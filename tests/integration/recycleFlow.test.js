@@ -0,0 +1,299 @@
+/**
+ * @file recycleFlow.test.js
+ * @description Integration tests running recycles through the background worker's
+ * routes, queue and dispatcher and the content script in an OnlyFans tab.
+ */
+
+import Events from '../../scripts/common/events.js';
+import ExclusionList from '../../scripts/services/exclusionList.js';
+import Logger from '../../scripts/common/logger.js';
+import MediaHandler from '../../scripts/services/mediaHandler.js';
+import MediaOwnership from '../../scripts/services/mediaOwnership.js';
+
+describe('Recycle flow', () => {
+  let backing;
+  let background;
+  let contentListener;
+
+  const composer = (recipients) => `
+    <form data-recycle-compose>
+      <div data-compose-media></div>
+      ${recipients.map(id => `<label data-recipient-id="${id}"><input type="checkbox" checked></label>`).join('')}
+      <button type="button" data-send-message>Send</button>
+    </form>`;
+
+  beforeAll(async () => {
+    // jsdom's AbortSignal predates throwIfAborted, which service workers have
+    AbortSignal.prototype.throwIfAborted ??= function throwIfAborted() {
+      if (this.aborted) throw this.reason;
+    };
+    backing = {};
+    chrome.storage.local.get = jest.fn(async (keys) => {
+      const wanted = keys === null ? Object.keys(backing) : [].concat(keys);
+      return Object.fromEntries(wanted.filter(key => key in backing).map(key => [key, backing[key]]));
+    });
+    chrome.storage.local.set = jest.fn(async (items) => { Object.assign(backing, items); });
+    chrome.storage.local.remove = jest.fn(async (keys) => { [].concat(keys).forEach(key => delete backing[key]); });
+
+    const listeners = [];
+    chrome.runtime = { onMessage: { addListener: jest.fn(listener => listeners.push(listener)) } };
+    chrome.alarms = { create: jest.fn(), clear: jest.fn().mockResolvedValue(true), onAlarm: { addListener: jest.fn() } };
+    chrome.tabs = {
+      query: jest.fn(async () => [{ id: 1 }]),
+      // Delivers the request to the content script like chrome.tabs.sendMessage would
+      sendMessage: jest.fn((tabId, request) => new Promise((resolve) => {
+        if (!contentListener(request, {}, resolve)) resolve(undefined);
+      })),
+    };
+
+    await import('../../scripts/content/contentScript.js');
+    [contentListener] = listeners;
+    background = await import('../../scripts/background/background.js');
+    await background.governor.configure({ minGapMs: 0, randomSpacingMs: 0 });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Logger, 'info').mockImplementation(() => {});
+    jest.spyOn(Logger, 'debug').mockImplementation(() => {});
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  test('a due queue entry is sent by the content script without its excluded fans', async () => {
+    backing.media_cache_m1 = [{ mediaId: 'v1', type: 'image', src: 'https://example.com/v1.jpg' }];
+    await ExclusionList.updateList('m1', ['f2']);
+    document.body.innerHTML = composer(['f1', 'f2', 'f3']);
+    const clicked = jest.fn();
+    document.querySelector('[data-send-message]').addEventListener('click', clicked);
+    const publish = jest.spyOn(Events, 'publish');
+
+    await expect(background.dispatcher.enqueue({ id: 'recycle_m1_1', sourceMessageId: 'm1' })).resolves.toBe(true);
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(1, expect.objectContaining({
+      action: 'sendQueuedMessage',
+      payload: { excludedSubscribers: ['f2'] },
+    }));
+    expect(clicked).toHaveBeenCalledTimes(1);
+    expect([...document.querySelectorAll('[data-recipient-id] input')].map(box => box.checked)).toEqual([true, false, true]);
+    expect(document.querySelectorAll('[data-compose-media] img')).toHaveLength(1);
+    expect(publish).toHaveBeenCalledWith('messageRecycled', { messageId: 'm1', sentTo: 2, excludedCount: 1 });
+    await expect(background.messageQueue.getDeadLetters()).resolves.toEqual([]);
+    expect(await background.messageQueue.nextDueAt()).toBeNull();
+  });
+
+  test('a recycle skips buyers of every message sharing its media', async () => {
+    jest.spyOn(MediaHandler.prototype, 'parseMediaElements')
+      .mockReturnValue([{ mediaId: 'v3', type: 'image', src: 'https://example.com/v3.jpg' }]);
+    // An earlier message with the same vault media, bought by f1
+    await MediaOwnership.recordMessageMedia('m3', ['v3']);
+    await ExclusionList.updateList('m3', ['f1']);
+    document.body.innerHTML = `<div data-message-id="m4"><span data-buyer-id="f2"></span></div>${composer(['f1', 'f2', 'f3'])}`;
+
+    const response = await background.router.route({ action: 'initiateRecycle', payload: { messageId: 'm4' } }, {});
+    await background.dispatcher.schedule();
+
+    expect(response).toEqual(expect.objectContaining({ status: 'success', data: expect.objectContaining({ queued: true }) }));
+    await expect(MediaOwnership.getMediaIds('m4')).resolves.toEqual(['v3']);
+    const send = chrome.tabs.sendMessage.mock.calls.find(([, request]) => request.message?.sourceMessageId === 'm4');
+    expect(send[1].payload.excludedSubscribers.sort()).toEqual(['f1', 'f2']);
+    expect([...document.querySelectorAll('[data-recipient-id] input')].map(box => box.checked)).toEqual([false, false, true]);
+  });
+
+  test('a recycle excluding a saved expression skips its members and records buyers on the message', async () => {
+    await ExclusionList.updateList('m8', ['f1']);
+    await ExclusionList.updateList('m9', ['f2']);
+    const saved = await ExclusionList.saveExpression('Bought m8 or m9', { union: ['m8', 'm9'] });
+    const updateList = jest.spyOn(ExclusionList, 'updateList');
+    document.body.innerHTML = `<div data-message-id="m10"><span data-buyer-id="f3"></span></div>${composer(['f1', 'f2', 'f3', 'f4'])}`;
+
+    const response = await background.router.route({
+      action: 'initiateRecycle',
+      payload: { messageId: 'm10', options: { exclusionListId: saved.id } },
+    }, {});
+    await background.dispatcher.schedule();
+
+    expect(response).toEqual(expect.objectContaining({ status: 'success', data: expect.objectContaining({ queued: true }) }));
+    expect(updateList).toHaveBeenCalledWith('m10', ['f3'], expect.anything());
+    expect(updateList).not.toHaveBeenCalledWith(saved.id, expect.anything(), expect.anything());
+    const send = chrome.tabs.sendMessage.mock.calls.find(([, request]) => request.message?.sourceMessageId === 'm10');
+    expect(send[1].payload.excludedSubscribers.sort()).toEqual(['f1', 'f2', 'f3']);
+    expect([...document.querySelectorAll('[data-recipient-id] input')].map(box => box.checked)).toEqual([false, false, false, true]);
+  });
+
+  test('a recycle naming a missing saved expression fails before anything is written', async () => {
+    const updateList = jest.spyOn(ExclusionList, 'updateList');
+
+    const response = await background.router.route({
+      action: 'initiateRecycle',
+      payload: { messageId: 'm11', options: { exclusionListId: 'expr_missing' } },
+    }, {});
+
+    expect(response).toEqual({ status: 'error', error: expect.stringContaining('Saved expression not found') });
+    expect(updateList).not.toHaveBeenCalled();
+    await expect(background.router.route({
+      action: 'initiateRecycle',
+      payload: { messageId: 'm11', options: { exclusionListId: 'expr_' } },
+    }, {})).resolves.toEqual({ status: 'error', error: expect.stringContaining('Invalid payload for initiateRecycle') });
+  });
+
+  test.each([
+    [{ priority: 'asap' }, 'options.priority must be one of: urgent, normal, bulk'],
+    [{ scheduleSend: 'tomorrow' }, 'options.scheduleSend must be a timestamp in milliseconds'],
+  ])('a recycle with options %j is rejected before anything is written', async (options, error) => {
+    const updateList = jest.spyOn(ExclusionList, 'updateList');
+    const enqueue = jest.spyOn(background.messageQueue, 'enqueue');
+    document.body.innerHTML = `<div data-message-id="m12"><span data-buyer-id="f1"></span></div>`;
+
+    const response = await background.router.route({ action: 'initiateRecycle', payload: { messageId: 'm12', options } }, {});
+
+    expect(response).toEqual({ status: 'error', error: `Invalid payload for initiateRecycle: ${error}` });
+    expect(updateList).not.toHaveBeenCalled();
+    expect(enqueue).not.toHaveBeenCalled();
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalledWith(1, expect.objectContaining({ payload: expect.objectContaining({ messageId: 'm12' }) }));
+  });
+
+  test('recycling a message again to the same audience is not queued twice', async () => {
+    document.body.innerHTML = `<div data-message-id="m6"><span data-buyer-id="f1"></span></div>${composer(['f1', 'f2'])}`;
+    const recycle = () => background.router.route({ action: 'initiateRecycle', payload: { messageId: 'm6' } }, {});
+
+    await expect(recycle()).resolves.toEqual(expect.objectContaining({ data: expect.objectContaining({ queued: true }) }));
+    await background.dispatcher.schedule();
+    const version = (await ExclusionList.getList('m6')).meta.version;
+
+    await expect(recycle()).resolves.toEqual(expect.objectContaining({ data: expect.objectContaining({ queued: false }) }));
+    expect((await ExclusionList.getList('m6')).meta.version).toBe(version);
+    expect(chrome.tabs.sendMessage.mock.calls.filter(([, request]) => request.message?.sourceMessageId === 'm6')).toHaveLength(1);
+  });
+
+  test('a recycle cannot be cancelled once it is queued, and does not wait for the send', async () => {
+    document.body.innerHTML = `<div data-message-id="m7"><span data-buyer-id="f1"></span></div>${composer(['f1', 'f2'])}`;
+    const enqueue = background.messageQueue.enqueue.bind(background.messageQueue);
+    let cancelled;
+    jest.spyOn(background.messageQueue, 'enqueue').mockImplementation(async (entry) => {
+      cancelled = background.progress.cancel(background.progress.getJobs()[0].jobId);
+      return enqueue(entry);
+    });
+    const completed = jest.spyOn(Events, 'publish');
+
+    const response = await background.router.route({ action: 'initiateRecycle', payload: { messageId: 'm7' } }, {});
+
+    expect(cancelled).toBe(false);
+    expect(response).toEqual(expect.objectContaining({ status: 'success', data: expect.objectContaining({ queued: true }) }));
+    expect(completed).not.toHaveBeenCalledWith('recycleCompleted', expect.anything());
+    expect(chrome.tabs.sendMessage.mock.calls.some(([, request]) => request.message?.sourceMessageId === 'm7')).toBe(false);
+
+    await background.dispatcher.schedule();
+    expect(chrome.tabs.sendMessage.mock.calls.some(([, request]) => request.message?.sourceMessageId === 'm7')).toBe(true);
+    expect(completed).toHaveBeenCalledWith('recycleCompleted', expect.objectContaining({ messageId: 'm7', success: true }));
+  });
+
+  test('a queued recycle reports its media and completes when the copy is sent', async () => {
+    // The content script's progress port, delivered to the background worker's channel
+    chrome.runtime.connect = jest.fn(() => ({
+      postMessage: (message) => background.progress.onPortMessage(message, { sender: { tab: { id: 1 } } }),
+      onMessage: { addListener: jest.fn() },
+      onDisconnect: { addListener: jest.fn() },
+    }));
+    const popup = { name: 'recycleProgress', posted: [], onMessage: { addListener: jest.fn() }, onDisconnect: { addListener: jest.fn() } };
+    popup.postMessage = (message) => popup.posted.push(message);
+    background.progress.connect(popup);
+    const progressEvents = () => popup.posted.filter(message => message.type === 'progress').map(message => message.event);
+    document.body.innerHTML = `<div data-message-id="m13"><span data-buyer-id="f1"></span></div>${composer(['f1', 'f2'])}`;
+
+    const response = await background.router.route({ action: 'initiateRecycle', payload: { messageId: 'm13' } }, {});
+
+    expect(progressEvents().at(-1)).toBe('recycleQueued');
+    expect(background.progress.getJobs()).toEqual([expect.objectContaining({ jobId: response.data.jobId, status: 'deferred' })]);
+
+    await background.dispatcher.schedule();
+    expect(progressEvents().slice(-2)).toEqual(['mediaInserted', 'recycleCompleted']);
+    expect(popup.posted.at(-1)).toEqual(expect.objectContaining({
+      jobId: response.data.jobId,
+      data: expect.objectContaining({ messageId: 'm13', success: true }),
+    }));
+    expect(background.progress.getJobs()).toEqual([]);
+  });
+
+  test('a queued recycle fails once its copy is dead-lettered', async () => {
+    document.body.innerHTML = `<div data-message-id="m14"><span data-buyer-id="f1"></span></div>`;
+    const publish = jest.spyOn(Events, 'publish');
+
+    await background.router.route({ action: 'initiateRecycle', payload: { messageId: 'm14' } }, {});
+    await background.dispatcher.schedule();
+    expect(publish).not.toHaveBeenCalledWith('recycleCompleted', expect.anything());
+
+    const entry = (await background.messageQueue.getEntries()).find(queued => queued.sourceMessageId === 'm14');
+    entry.retryCount = background.messageQueue.retryLimit;
+    await background.messageQueue.handleRetry(entry, { error: new Error('No message composer is open') });
+
+    expect(publish).toHaveBeenCalledWith('recycleCompleted', expect.objectContaining({
+      messageId: 'm14', success: false, error: 'No message composer is open',
+    }));
+    expect(background.progress.getJobs()).toEqual([]);
+  });
+
+  test('a send without an open composer is retried rather than confirmed', async () => {
+    await background.dispatcher.enqueue({ id: 'recycle_m2_1', sourceMessageId: 'm2' });
+
+    const [entry] = await background.messageQueue.getEntries();
+    expect(entry).toEqual(expect.objectContaining({ id: 'recycle_m2_1', retryCount: 1, lastError: 'No message composer is open' }));
+  });
+
+  test('updateMediaIndex applies media writes from other contexts in the worker', async () => {
+    const route = (method, args) => background.router.route({ action: 'updateMediaIndex', payload: { method, args } }, {});
+
+    await expect(route('recordMessageMedia', ['m8', ['v8']])).resolves.toEqual(expect.objectContaining({ status: 'success' }));
+    await expect(route('storeMediaCache', ['m8', [{ mediaId: 'v8' }], 5000])).resolves.toEqual(expect.objectContaining({ status: 'success' }));
+    await expect(MediaOwnership.getMediaIds('m8')).resolves.toEqual(['v8']);
+    expect(backing.media_cache_m8).toEqual([{ mediaId: 'v8' }]);
+    expect(backing.media_cache_index.m8).toBe(5000);
+
+    await expect(route('recordMessageMedia', ['m8', 'v8'])).resolves.toEqual(expect.objectContaining({
+      error: 'Invalid payload for updateMediaIndex: recordMessageMedia: mediaIds must be an array of media IDs',
+    }));
+    await expect(route('clearCache', [])).resolves.toEqual(expect.objectContaining({
+      error: 'Invalid payload for updateMediaIndex: unsupported media write: clearCache',
+    }));
+  });
+
+  test('updateExclusionList checks the arguments of each write before it runs', async () => {
+    const route = (method, args) => background.router.route({ action: 'updateExclusionList', payload: { method, args } }, {});
+    const updateList = jest.spyOn(ExclusionList, 'updateList');
+
+    await expect(route('updateList', ['m5', 'f1'])).resolves.toEqual(expect.objectContaining({
+      status: 'error',
+      error: 'Invalid payload for updateExclusionList: updateList: subscribers must be an array of subscriber IDs',
+    }));
+    await expect(route('revertTo', ['m5', '2'])).resolves.toEqual(expect.objectContaining({ status: 'error' }));
+    await expect(route('setRetentionPolicy', [null])).resolves.toEqual(expect.objectContaining({ status: 'error' }));
+    await expect(route('clearCache', [])).resolves.toEqual(expect.objectContaining({
+      error: 'Invalid payload for updateExclusionList: unsupported exclusion list write: clearCache',
+    }));
+    expect(updateList).not.toHaveBeenCalled();
+
+    await expect(route('updateList', ['m5', ['f1', 2], { source: 'csv' }])).resolves.toEqual(expect.objectContaining({
+      status: 'success',
+      data: expect.objectContaining({ subscribers: expect.arrayContaining(['2', 'f1']) }),
+    }));
+  });
+
+  test('the recycling switch reads and sets the queue\'s pause state', async () => {
+    const route = (action, payload) => background.router.route({ action, payload }, {});
+
+    await expect(route('getRecycleState')).resolves.toEqual({ status: 'success', data: { recycling: true, pause: null } });
+    await expect(route('toggleRecycle', { state: false })).resolves.toEqual({
+      status: 'success',
+      data: { recycling: false, pause: expect.objectContaining({ reason: 'Recycling turned off' }) },
+    });
+    await expect(background.messageQueue.getPauseState()).resolves.toEqual(expect.objectContaining({ reason: 'Recycling turned off' }));
+    await expect(route('getRecycleState')).resolves.toEqual(expect.objectContaining({ data: expect.objectContaining({ recycling: false }) }));
+
+    await expect(route('toggleRecycle', { state: true })).resolves.toEqual({ status: 'success', data: { recycling: true, pause: null } });
+    await expect(route('toggleRecycle', { state: 'on' })).resolves.toEqual(expect.objectContaining({ status: 'error' }));
+  });
+});
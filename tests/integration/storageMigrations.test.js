@@ -0,0 +1,80 @@
+/**
+ * @file storageMigrations.test.js
+ * @description Integration tests running the background worker's storage migrations
+ * from runtime.onInstalled, and the cleanup of the legacy chrome.storage.sync keys.
+ */
+
+import Logger from '../../scripts/common/logger.js';
+
+describe('Storage migrations on install', () => {
+  let backing;
+  let background;
+  let onInstalled;
+
+  /** Lets the fire-and-forget migration run in the onInstalled listener finish. */
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeAll(async () => {
+    backing = {};
+    chrome.storage.local.get = jest.fn(async (keys) => {
+      const wanted = keys === null ? Object.keys(backing) : [].concat(keys);
+      return Object.fromEntries(wanted.filter(key => key in backing).map(key => [key, backing[key]]));
+    });
+    chrome.storage.local.set = jest.fn(async (items) => { Object.assign(backing, items); });
+    chrome.storage.local.remove = jest.fn(async (keys) => { [].concat(keys).forEach(key => delete backing[key]); });
+    chrome.runtime = {
+      onMessage: { addListener: jest.fn() },
+      onInstalled: { addListener: jest.fn((listener) => { onInstalled = listener; }) },
+    };
+    chrome.alarms = { create: jest.fn(), clear: jest.fn().mockResolvedValue(true), onAlarm: { addListener: jest.fn() } };
+
+    background = await import('../../scripts/background/background.js');
+  });
+
+  beforeEach(() => {
+    chrome.storage.sync = { remove: jest.fn().mockResolvedValue() };
+    jest.spyOn(Logger, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete chrome.storage.sync;
+    jest.restoreAllMocks();
+  });
+
+  test('an update migrates storage, then removes the legacy sync keys', async () => {
+    backing.exclusion_m1 = JSON.stringify(['1', '2']);
+
+    onInstalled({ reason: 'update' });
+    await settle();
+
+    expect(backing.schema_version).toBe(background.migrations.getLatestVersion());
+    expect(chrome.storage.sync.remove).toHaveBeenCalledWith(['exclusionList', 'userOptions']);
+  });
+
+  test('a failed migration keeps the legacy sync keys', async () => {
+    jest.spyOn(background.migrations, 'run').mockRejectedValue(new Error('bad data'));
+
+    onInstalled({ reason: 'update' });
+    await settle();
+
+    expect(console.error).toHaveBeenCalledWith('Storage migration error:', expect.any(Error));
+    expect(chrome.storage.sync.remove).not.toHaveBeenCalled();
+  });
+
+  test('a run deferred until storage is unlocked keeps the legacy sync keys', async () => {
+    jest.spyOn(background.migrations, 'run').mockResolvedValue({ from: 0, to: 0, applied: [], dryRun: false, deferred: true });
+
+    onInstalled({ reason: 'update' });
+    await settle();
+
+    expect(chrome.storage.sync.remove).not.toHaveBeenCalled();
+  });
+
+  test('a dry run never touches sync storage', async () => {
+    await expect(background.migrations.run({ dryRun: true })).resolves.toEqual(expect.objectContaining({ dryRun: true }));
+
+    expect(chrome.storage.sync.remove).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @file actionRouter.test.js
+ * @description Unit tests for the ActionRouter module.
+ */
+
+import ActionRouter from '../../scripts/background/actionRouter.js';
+import Logger from '../../scripts/common/logger.js';
+
+describe('ActionRouter', () => {
+  let router;
+  let handle;
+
+  beforeEach(() => {
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    handle = jest.fn(async payload => ({ echoed: payload }));
+    router = new ActionRouter().register('echo', {
+      validate: payload => (payload && typeof payload.value === 'string' ? null : 'value must be a string'),
+      handle,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('wraps the handler result in a success envelope and echoes the requestId', async () => {
+    const message = { action: 'echo', payload: { value: 'hi' }, requestId: 'r1', source: 'popup' };
+    const sender = { id: 'ext' };
+
+    await expect(router.route(message, sender)).resolves.toEqual({
+      status: 'success', data: { echoed: { value: 'hi' } }, requestId: 'r1',
+    });
+    expect(handle).toHaveBeenCalledWith({ value: 'hi' }, message, sender);
+  });
+
+  test('omits requestId when the request has none', async () => {
+    const response = await router.route({ action: 'echo', payload: { value: 'hi' } });
+    expect(response).not.toHaveProperty('requestId');
+  });
+
+  test('rejects malformed messages and unknown actions', async () => {
+    await expect(router.route(null)).resolves.toEqual({ status: 'error', error: 'Invalid message format' });
+    await expect(router.route({ action: 42 })).resolves.toEqual({ status: 'error', error: 'Invalid message format' });
+    await expect(router.route({ action: 'echo', requestId: 7 })).resolves.toEqual(
+      expect.objectContaining({ error: 'requestId must be a string' }),
+    );
+    await expect(router.route({ action: 'echo', source: 'iframe' })).resolves.toEqual(
+      expect.objectContaining({ error: expect.stringContaining('source must be one of') }),
+    );
+    await expect(router.route({ action: 'nope', requestId: 'r2' })).resolves.toEqual({
+      status: 'error', error: 'Unknown action: nope', requestId: 'r2',
+    });
+  });
+
+  test('reports an invalid payload without calling the handler', async () => {
+    await expect(router.route({ action: 'echo', payload: { value: 1 } })).resolves.toEqual({
+      status: 'error', error: 'Invalid payload for echo: value must be a string',
+    });
+    expect(handle).not.toHaveBeenCalled();
+  });
+
+  test('reports handler errors in the envelope', async () => {
+    handle.mockRejectedValue(new Error('storage offline'));
+
+    await expect(router.route({ action: 'echo', payload: { value: 'x' }, requestId: 'r3' })).resolves.toEqual({
+      status: 'error', error: 'storage offline', requestId: 'r3',
+    });
+    expect(Logger.warn).toHaveBeenCalledWith('Action echo failed: storage offline');
+  });
+
+  test('register rejects duplicates and missing handlers', () => {
+    expect(() => router.register('echo', { handle })).toThrow('Action already registered: echo');
+    expect(() => router.register('other', {})).toThrow('Action other requires a handle function');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @file csv.test.js
+ * @description Unit tests for the Csv module.
+ */
+
+import Csv from '../../scripts/common/csv.js';
+
+describe('Csv', () => {
+  describe('parse()', () => {
+    test('parses simple rows and skips blank lines', () => {
+      expect(Csv.parse('id,name\n1,alice\n\n2,bob\n')).toEqual([
+        ['id', 'name'],
+        ['1', 'alice'],
+        ['2', 'bob'],
+      ]);
+    });
+
+    test('handles quoted fields, escaped quotes and embedded line breaks', () => {
+      const text = 'id,note\r\n1,"says ""hi"", twice"\r\n2,"line one\nline two"';
+      expect(Csv.parse(text)).toEqual([
+        ['id', 'note'],
+        ['1', 'says "hi", twice'],
+        ['2', 'line one\nline two'],
+      ]);
+    });
+
+    test('strips a leading byte order mark', () => {
+      expect(Csv.parse('\uFEFFid\n1')).toEqual([['id'], ['1']]);
+    });
+
+    test('detects semicolon and tab delimiters', () => {
+      expect(Csv.parse('id;name\n1;a')).toEqual([['id', 'name'], ['1', 'a']]);
+      expect(Csv.parse('id\tname\n1\ta')).toEqual([['id', 'name'], ['1', 'a']]);
+    });
+
+    test('throws on non-string input', () => {
+      expect(() => Csv.parse(null)).toThrow(TypeError);
+    });
+  });
+
+  describe('stringify()', () => {
+    test('quotes cells that need it and round-trips through parse', () => {
+      const rows = [['id', 'note'], ['1', 'a, "b"'], ['2', 'x\ny']];
+      const text = Csv.stringify(rows);
+
+      expect(text).toBe('id,note\r\n1,"a, ""b"""\r\n2,"x\ny"');
+      expect(Csv.parse(text)).toEqual(rows);
+    });
+
+    test('writes empty cells for null and undefined', () => {
+      expect(Csv.stringify([[null, undefined, 0]])).toBe(',,0');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * @file events.test.js
+ * @description Unit tests for the Events module (RecycleContent.events).
+ */
+
+import Events from '../../scripts/common/events.js';
+import Logger from '../../scripts/common/logger.js';
+
+const listUpdated = { listId: 'list123', addedCount: 15, totalCount: 40 };
+
+describe('Events', () => {
+  let unsubscribes;
+
+  beforeEach(() => {
+    unsubscribes = [];
+    Events.role = 'local';
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+    Events.role = null;
+    delete chrome.runtime;
+    delete chrome.tabs;
+    jest.restoreAllMocks();
+  });
+
+  const subscribe = (name, handler) => unsubscribes.push(Events.subscribe(name, handler));
+
+  test('is exposed as RecycleContent.events', () => {
+    expect(globalThis.RecycleContent.events).toBe(Events);
+  });
+
+  test('publish logs and drops an invalid payload instead of throwing', () => {
+    const handler = jest.fn();
+    subscribe('exclusionListUpdated', handler);
+
+    expect(Events.publish('exclusionListUpdated', { listId: 'a', addedCount: 1 })).toBe(false);
+    expect(Events.publish('listRenamed', {})).toBe(false);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(Logger.error).toHaveBeenCalledWith('Dropping published event: exclusionListUpdated.totalCount is required');
+    expect(Events.publish('exclusionListUpdated', listUpdated)).toBe(true);
+    expect(handler).toHaveBeenCalledWith(listUpdated);
+  });
+
+  test('delivers published events to subscribers until they unsubscribe', () => {
+    const handler = jest.fn();
+    const unsubscribe = Events.subscribe('exclusionListUpdated', handler);
+
+    Events.publish('exclusionListUpdated', listUpdated);
+    unsubscribe();
+    Events.publish('exclusionListUpdated', listUpdated);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(listUpdated);
+  });
+
+  test('validates payloads against the event table', () => {
+    expect(Events.validate('listRenamed', {})).toBe('Unknown event: listRenamed');
+    expect(() => Events.subscribe('listRenamed', jest.fn())).toThrow('Unknown event: listRenamed');
+    expect(Events.validate('exclusionListUpdated', null)).toBe('exclusionListUpdated payload must be an object');
+    expect(Events.validate('exclusionListUpdated', { listId: 'a', addedCount: 1 }))
+      .toBe('exclusionListUpdated.totalCount is required');
+    expect(Events.validate('mediaInserted', { messageId: 'm', mediaCount: '2', success: true }))
+      .toBe('mediaInserted.mediaCount must be a number');
+    expect(Events.validate('recycleStarted', { messageId: 'm', timestamp: 1, extra: true }))
+      .toBe('recycleStarted.extra is not a known field');
+
+    expect(Events.validate('error', { source: 'popup', message: 'boom' })).toBeNull();
+    expect(Events.validate('error', { source: 'popup', message: 'boom', details: { code: 1 } })).toBeNull();
+  });
+
+  test('a failing subscriber does not stop the others', async () => {
+    const after = jest.fn();
+    subscribe('mediaExtracted', () => { throw new Error('bad handler'); });
+    subscribe('mediaExtracted', async () => { throw new Error('bad async handler'); });
+    subscribe('mediaExtracted', after);
+
+    Events.publish('mediaExtracted', { messageId: 'm1', mediaCount: 2 });
+    await Promise.resolve();
+
+    expect(after).toHaveBeenCalled();
+    expect(Logger.error).toHaveBeenCalledWith('Handler for mediaExtracted failed: bad handler');
+    expect(Logger.error).toHaveBeenCalledWith('Handler for mediaExtracted failed: bad async handler');
+  });
+
+  test('popup and content scripts relay their events to the background worker', () => {
+    Events.role = 'relay';
+    chrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ status: 'success' }) };
+
+    Events.publish('exclusionListUpdated', listUpdated);
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'publishEvent',
+      payload: { name: 'exclusionListUpdated', data: listUpdated, origin: Events.contextId, relayed: false },
+    });
+  });
+
+  test('the background worker delivers relayed events and fans them out to pages and tabs', async () => {
+    Events.role = 'hub';
+    chrome.runtime = { sendMessage: jest.fn().mockResolvedValue() };
+    chrome.tabs = {
+      query: jest.fn().mockResolvedValue([{ id: 3 }, { id: 4 }]),
+      sendMessage: jest.fn().mockRejectedValue(new Error('Receiving end does not exist')),
+    };
+    const handler = jest.fn();
+    subscribe('mediaInserted', handler);
+    const data = { messageId: 'm1', mediaCount: 1, success: true };
+
+    expect(Events.receive({ name: 'mediaInserted', data, origin: 'ctx_popup', relayed: false })).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(handler).toHaveBeenCalledWith(data);
+    const fanned = { action: 'publishEvent', payload: { name: 'mediaInserted', data, origin: 'ctx_popup', relayed: true } };
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(fanned);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(3, fanned);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, fanned);
+  });
+
+  test('other contexts only deliver events fanned out by the hub, and skip their own', () => {
+    Events.role = 'relay';
+    const handler = jest.fn();
+    subscribe('recycleStarted', handler);
+    const data = { messageId: 'm1', timestamp: 1 };
+
+    expect(Events.receive({ name: 'recycleStarted', data, origin: 'ctx_other', relayed: false })).toBe(false);
+    expect(Events.receive({ name: 'recycleStarted', data, origin: Events.contextId, relayed: true })).toBe(false);
+    expect(Events.receive({ name: 'recycleStarted', data, origin: 'ctx_other', relayed: true })).toBe(true);
+    expect(Events.receive({ name: 'recycleStarted', data: { messageId: 1 }, origin: 'ctx_other', relayed: true })).toBe(false);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('Dropping relayed event'));
+  });
+});
@@ -1,12 +1,12 @@
 /**
  * exclusionList.test.js
- * 
+ *
  * author: Noelle Bhaduri
  * date: 2025-05-21
- * 
+ *
  * description:
  * Complete unit tests for exclusionList.js covering state, storage,
- * error handling, caching, and input validation.
+ * error handling, caching, the metadata index, and input validation.
  */
 
 /**
@@ -15,12 +15,14 @@
 
 import exclusionListManager from '../../scripts/services/exclusionList.js';
 import Logger from '../../scripts/common/logger.js';
+import Events from '../../scripts/common/events.js';
 
 const STORAGE_KEY_PREFIX = 'exclusion_';
+const META_KEY = 'exclusion_meta';
 
 beforeEach(() => {
   // Clear cache and reset mocks
-  exclusionListManager.cache.clear();
+  exclusionListManager.clearCache();
 
   jest.clearAllMocks();
 
@@ -39,33 +41,46 @@ afterEach(() => {
 });
 
 describe('ExclusionListManager', () => {
+  const existing = (id, subscribers) =>
+    exclusionListManager.buildList(id, { subscribers, messageIds: [id] });
+
   describe('getOrCreateList()', () => {
-    test('returns empty array and caches it when storage has no data', async () => {
-      expect.assertions(3);
+    test('creates an empty list model and caches it when storage has no data', async () => {
+      expect.assertions(5);
       chrome.storage.local.get.mockResolvedValue({});
 
       const id = 'msg1';
       const list = await exclusionListManager.getOrCreateList(id);
 
-      expect(list).toEqual([]);
-      expect(exclusionListManager.cache.get(id)).toEqual([]);
+      expect(list).toEqual(expect.objectContaining({
+        id,
+        subscribers: [],
+        messageIds: [id],
+        meta: { count: 0, source: 'recycled', version: 1 },
+      }));
+      expect(exclusionListManager.cache.get(id)).toBe(list);
+      expect(chrome.storage.local.get).toHaveBeenCalledWith([META_KEY]);
       expect(chrome.storage.local.get).toHaveBeenCalledWith([`${STORAGE_KEY_PREFIX}${id}`]);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(expect.objectContaining({
+        [META_KEY]: { [id]: expect.objectContaining({ id, count: 0, messageIds: [id] }) },
+      }));
     });
 
-    test('returns cached list without calling storage again', async () => {
+    test('returns cached list without reading it from storage again', async () => {
       expect.assertions(2);
       const id = 'msg2';
-      const cachedList = ['a', 'b'];
+      const cachedList = existing(id, ['a', 'b']);
       exclusionListManager.cache.set(id, cachedList);
+      exclusionListManager.metaCache = {};
 
       const list = await exclusionListManager.getOrCreateList(id);
 
-      expect(list).toEqual(cachedList);
+      expect(list).toBe(cachedList);
       expect(chrome.storage.local.get).not.toHaveBeenCalled();
     });
 
-    test('returns stored list if present and caches it', async () => {
-      expect.assertions(2);
+    test('upgrades a legacy bare-array list from storage and caches it', async () => {
+      expect.assertions(3);
       const id = 'msg3';
       const storedList = ['x', 'y'];
 
@@ -75,8 +90,23 @@ describe('ExclusionListManager', () => {
 
       const list = await exclusionListManager.getOrCreateList(id);
 
-      expect(list).toEqual(storedList);
-      expect(exclusionListManager.cache.get(id)).toEqual(storedList);
+      expect(list.subscribers).toEqual(storedList);
+      expect(list.meta.count).toBe(2);
+      expect(exclusionListManager.cache.get(id)).toBe(list);
+    });
+
+    test('resolves a message to the shared list that claims it', async () => {
+      const shared = exclusionListManager.buildList('list_shared', {
+        name: 'Shared',
+        subscribers: ['1'],
+        messageIds: ['msgA', 'msgB'],
+      });
+      exclusionListManager.metaCache = { list_shared: exclusionListManager.toMeta(shared) };
+      exclusionListManager.cache.set('list_shared', shared);
+
+      const list = await exclusionListManager.getOrCreateList('msgB');
+
+      expect(list).toBe(shared);
     });
 
     test('handles storage.get errors gracefully and logs error', async () => {
@@ -87,7 +117,7 @@ describe('ExclusionListManager', () => {
 
       const list = await exclusionListManager.getOrCreateList(id);
 
-      expect(list).toEqual([]);
+      expect(list.subscribers).toEqual([]);
       expect(Logger.error).toHaveBeenCalledWith(
         expect.stringContaining('Error retrieving exclusion list')
       );
@@ -96,29 +126,57 @@ describe('ExclusionListManager', () => {
 
   describe('updateList()', () => {
     test('merges and deduplicates new buyers correctly, persists and caches', async () => {
-      expect.assertions(4);
+      expect.assertions(5);
       const id = 'msgMergeDedup';
-      const initial = ['a', 'b', 'c'];
+      const initial = existing(id, ['a', 'b', 'c']);
       const newBuyers = ['b', 'c', 'd'];
 
-      jest.spyOn(exclusionListManager, 'getOrCreateList').mockResolvedValue(initial);
+      jest.spyOn(exclusionListManager, 'loadOrCreateList').mockResolvedValue(initial);
 
       const result = await exclusionListManager.updateList(id, newBuyers);
 
       const expected = ['a', 'b', 'c', 'd'];
 
-      expect(result.sort()).toEqual(expected.sort());
-      expect(exclusionListManager.cache.get(id).sort()).toEqual(expected.sort());
+      expect(result.subscribers.sort()).toEqual(expected.sort());
+      expect(result.meta).toEqual(expect.objectContaining({ count: 4, version: 2 }));
+      expect(exclusionListManager.cache.get(id)).toBe(result);
       expect(chrome.storage.local.set).toHaveBeenCalledWith(
         expect.objectContaining({
-          [`${STORAGE_KEY_PREFIX}${id}`]: JSON.stringify(expected),
+          [`${STORAGE_KEY_PREFIX}${id}`]: JSON.stringify(result),
+          [META_KEY]: expect.objectContaining({ [id]: expect.objectContaining({ count: 4 }) }),
         })
       );
-      expect(exclusionListManager.getOrCreateList).toHaveBeenCalledWith(id);
+      expect(exclusionListManager.loadOrCreateList).toHaveBeenCalledWith(id);
     });
 
-    test('returns input list and skips storage.set if storage is null', async () => {
-      expect.assertions(2);
+    test('publishes exclusionListUpdated with the added and total counts', async () => {
+      const handler = jest.fn();
+      const unsubscribe = Events.subscribe('exclusionListUpdated', handler);
+      exclusionListManager.cache.set('msgEvents', existing('msgEvents', ['1', '2']));
+
+      await exclusionListManager.updateList('msgEvents', ['2', '3', '4']);
+      unsubscribe();
+
+      expect(handler).toHaveBeenCalledWith({ listId: 'msgEvents', addedCount: 2, totalCount: 4 });
+    });
+
+    test('publishes a numeric message ID as a string list ID', async () => {
+      const created = jest.fn();
+      const updated = jest.fn();
+      const unsubscribes = [
+        Events.subscribe('exclusionListCreated', created),
+        Events.subscribe('exclusionListUpdated', updated),
+      ];
+
+      await exclusionListManager.updateList(4711, ['1']);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+
+      expect(created).toHaveBeenCalledWith(expect.objectContaining({ listId: '4711' }));
+      expect(updated).toHaveBeenCalledWith({ listId: '4711', addedCount: 1, totalCount: 1 });
+    });
+
+    test('returns updated list and skips storage.set if storage is null', async () => {
+      expect.assertions(3);
       const id = 'msgNoStorage';
       const buyers = ['x'];
 
@@ -126,58 +184,50 @@ describe('ExclusionListManager', () => {
       const originalStorage = exclusionListManager.storage;
       exclusionListManager.storage = null;
 
-      jest.spyOn(exclusionListManager, 'getOrCreateList').mockResolvedValue([]);
+      jest.spyOn(exclusionListManager, 'loadOrCreateList').mockResolvedValue(existing(id, []));
 
       const result = await exclusionListManager.updateList(id, buyers);
 
-      expect(result).toEqual(buyers);
-      expect(exclusionListManager.cache.get(id)).toEqual(buyers);
-      // no call to chrome.storage.local.set expected
+      expect(result.subscribers).toEqual(buyers);
+      expect(exclusionListManager.cache.get(id).subscribers).toEqual(buyers);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
 
       // Restore storage after test
       exclusionListManager.storage = originalStorage;
     });
 
-    test('handles storage.set errors gracefully and logs error', async () => {
-      expect.assertions(2);
+    test('rejects on storage.set errors and keeps the cache in step with storage', async () => {
       const id = 'msgErrorSet';
-      const buyers = ['buyer1'];
-
-      jest.spyOn(exclusionListManager, 'getOrCreateList').mockResolvedValue([]);
+      exclusionListManager.cache.set(id, existing(id, ['old']));
 
       chrome.storage.local.set.mockRejectedValue(new Error('storage set failure'));
 
-      const result = await exclusionListManager.updateList(id, buyers);
-
-      expect(result).toEqual(buyers);
+      await expect(exclusionListManager.updateList(id, ['buyer1'])).rejects.toThrow('storage set failure');
       expect(Logger.error).toHaveBeenCalledWith(
         expect.stringContaining('storage set failure')
       );
+      expect(exclusionListManager.cache.get(id).subscribers).toEqual(['old']);
+      await expect(exclusionListManager.createList({ name: 'New', id: 'new' })).rejects.toThrow('storage set failure');
+      expect(exclusionListManager.cache.has('new')).toBe(false);
     });
 
-    test('logs warning and returns existing list if newBuyers argument is invalid', async () => {
+    test('logs warning and keeps existing subscribers if newBuyers argument is invalid', async () => {
       expect.assertions(3);
 
       const id = 'msgInvalidNewBuyers';
-      const existingList = ['existing'];
-
-      // Mock the getOrCreateList to return the existing list
-      jest.spyOn(exclusionListManager, 'getOrCreateList').mockResolvedValue(existingList);
+      const existingList = existing(id, ['existing']);
 
-      // Mock the logger warn method
-      jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+      // Mock loadOrCreateList to return the existing list
+      jest.spyOn(exclusionListManager, 'loadOrCreateList').mockResolvedValue(existingList);
 
       // Call updateList with invalid newBuyers (not an array)
       const result = await exclusionListManager.updateList(id, 'notAnArray');
 
-      expect(result).toEqual(existingList);
-
-      // Adjusted expected warning message string:
+      expect(result.subscribers).toEqual(['existing']);
       expect(Logger.warn).toHaveBeenCalledWith(
         'updateList called with non-array newBuyers'
       );
-
-      expect(exclusionListManager.getOrCreateList).toHaveBeenCalledWith(id);
+      expect(exclusionListManager.loadOrCreateList).toHaveBeenCalledWith(id);
     });
   });
 
@@ -188,39 +238,928 @@ describe('ExclusionListManager', () => {
 
       const result = await exclusionListManager.createNewList(id);
 
-      expect(result).toEqual([]);
-      expect(exclusionListManager.cache.get(id)).toEqual([]);
+      expect(result.subscribers).toEqual([]);
+      expect(exclusionListManager.cache.get(id)).toBe(result);
       expect(chrome.storage.local.set).toHaveBeenCalledWith(
         expect.objectContaining({
-          [`${STORAGE_KEY_PREFIX}${id}`]: JSON.stringify([]),
+          [`${STORAGE_KEY_PREFIX}${id}`]: JSON.stringify(result),
         })
       );
     });
   });
 
+  describe('createList()', () => {
+    test('creates a named list shared by several messages', async () => {
+      const list = await exclusionListManager.createList({
+        name: 'Summer set',
+        subscribers: ['1', '2', '2'],
+        messageIds: ['msgA', 'msgB'],
+      });
+
+      expect(list.id).toMatch(/^list_/);
+      expect(list.name).toBe('Summer set');
+      expect(list.subscribers).toEqual(['1', '2']);
+      expect(list.meta).toEqual({ count: 2, source: 'manual', version: 1 });
+
+      await expect(exclusionListManager.resolveListId('msgB')).resolves.toBe(list.id);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith(expect.objectContaining({
+        [META_KEY]: { [list.id]: expect.objectContaining({ name: 'Summer set', count: 2 }) },
+      }));
+    });
+
+    test('publishes exclusionListCreated', async () => {
+      const handler = jest.fn();
+      const unsubscribe = Events.subscribe('exclusionListCreated', handler);
+
+      const list = await exclusionListManager.createList({ name: 'Launch', subscribers: ['1', '2'] });
+      await exclusionListManager.getOrCreateList('msgFresh');
+      unsubscribe();
+
+      expect(handler).toHaveBeenCalledWith({ listId: list.id, name: 'Launch', count: 2 });
+      expect(handler).toHaveBeenCalledWith({ listId: 'msgFresh', name: 'Message msgFresh', count: 0 });
+    });
+
+    test('moves messages away from the lists that previously claimed them', async () => {
+      const first = await exclusionListManager.createList({ name: 'First', messageIds: ['msgA'] });
+      const second = await exclusionListManager.createList({ name: 'Second', messageIds: ['msgA'] });
+
+      const meta = await exclusionListManager.getMeta();
+      expect(meta[first.id].messageIds).toEqual([]);
+      expect(meta[second.id].messageIds).toEqual(['msgA']);
+    });
+
+    test('rejects a missing name or the reserved meta id', async () => {
+      await expect(exclusionListManager.createList({})).rejects.toThrow('requires a list name');
+      await expect(exclusionListManager.createList({ name: 'x', id: 'meta' }))
+        .rejects.toThrow('reserved');
+    });
+  });
+
+  describe('attachMessage()', () => {
+    test('links a message to an existing list', async () => {
+      const list = await exclusionListManager.createList({ name: 'Reuse', subscribers: ['9'] });
+
+      await exclusionListManager.attachMessage(list.id, 'msgC');
+      const resolved = await exclusionListManager.getOrCreateList('msgC');
+
+      expect(resolved.id).toBe(list.id);
+      expect(resolved.subscribers).toEqual(['9']);
+    });
+
+    test('throws when the list does not exist', async () => {
+      await expect(exclusionListManager.attachMessage('missing', 'msgC'))
+        .rejects.toThrow('Exclusion list not found: missing');
+    });
+  });
+
+  describe('mergeLists()', () => {
+    test('merges message lists into a new named list that takes over their messages', async () => {
+      await exclusionListManager.updateList('msgA', ['1', '2']);
+      await exclusionListManager.updateList('msgB', ['2', '3']);
+
+      const merged = await exclusionListManager.mergeLists(['msgA', 'msgB'], 'Bundle');
+
+      expect(merged.name).toBe('Bundle');
+      expect(merged.subscribers.sort()).toEqual(['1', '2', '3']);
+      expect(merged.messageIds).toEqual(['msgA', 'msgB']);
+      expect(merged.meta.source).toBe('merged');
+      await expect(exclusionListManager.resolveListId('msgA')).resolves.toBe(merged.id);
+    });
+
+    test('optionally deletes the source lists', async () => {
+      chrome.storage.local.remove = jest.fn().mockResolvedValue();
+      await exclusionListManager.updateList('msgA', ['1']);
+
+      const merged = await exclusionListManager.mergeLists(['msgA'], 'Solo', { deleteSources: true });
+
+      const ids = (await exclusionListManager.getAllLists()).map(meta => meta.id);
+      expect(ids).toEqual([merged.id]);
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith([`${STORAGE_KEY_PREFIX}msgA`, `exclusionlog_msgA`]);
+    });
+
+    test('rejects unknown lists and empty input', async () => {
+      await expect(exclusionListManager.mergeLists([], 'x')).rejects.toThrow('at least one');
+      await expect(exclusionListManager.mergeLists(['nope'], 'x'))
+        .rejects.toThrow('Exclusion list not found: nope');
+    });
+  });
+
+  describe('check()', () => {
+    test('reports membership by message ID or list ID', async () => {
+      const list = await exclusionListManager.createList({
+        name: 'Buyers',
+        subscribers: ['1', '2'],
+        messageIds: ['msgA'],
+      });
+
+      await expect(exclusionListManager.check('msgA', '1')).resolves.toBe(true);
+      await expect(exclusionListManager.check(list.id, 2)).resolves.toBe(true);
+      await expect(exclusionListManager.check('msgA', '3')).resolves.toBe(false);
+    });
+
+    test('does not create lists for unknown references', async () => {
+      await expect(exclusionListManager.check('ghost', '1')).resolves.toBe(false);
+      await expect(exclusionListManager.check(undefined, '1')).resolves.toBe(false);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('works when detached from the manager', async () => {
+      await exclusionListManager.updateList('msgA', ['1']);
+      const { check } = exclusionListManager;
+
+      await expect(check('msgA', '1')).resolves.toBe(true);
+    });
+
+    test('sees subscribers added after the index was built', async () => {
+      await exclusionListManager.updateList('msgA', ['1']);
+      await exclusionListManager.check('msgA', '1');
+
+      await exclusionListManager.updateList('msgA', ['2']);
+
+      await expect(exclusionListManager.check('msgA', '2')).resolves.toBe(true);
+    });
+  });
+
+  describe('filterRecipients()', () => {
+    test('drops candidates excluded by any list and keeps order', async () => {
+      await exclusionListManager.updateList('msgA', ['1', '2']);
+      const other = await exclusionListManager.createList({ name: 'Other', subscribers: ['4'] });
+
+      const result = await exclusionListManager.filterRecipients(
+        ['msgA', other.id, 'ghost'],
+        ['5', 4, '3', '2', '1']
+      );
+
+      expect(result).toEqual(['5', '3']);
+      expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('ghost'));
+    });
+
+    test('returns a copy of the candidates when no lists apply', async () => {
+      const candidates = ['1'];
+      const result = await exclusionListManager.filterRecipients([], candidates);
+
+      expect(result).toEqual(['1']);
+      expect(result).not.toBe(candidates);
+      await expect(exclusionListManager.filterRecipients([], 'x')).rejects.toThrow(TypeError);
+    });
+
+    test('rejects a null or undefined list reference', async () => {
+      await expect(exclusionListManager.filterRecipients([null], ['1'])).rejects.toThrow('invalid list reference null');
+      await expect(exclusionListManager.filterRecipients(['msgA', undefined], ['1'])).rejects.toThrow(TypeError);
+    });
+
+    test('filters a 50k audience against several large lists quickly', async () => {
+      const ids = (start, count) => Array.from({ length: count }, (_, i) => String(start + i));
+      for (let n = 0; n < 3; n++) {
+        await exclusionListManager.updateList(`big${n}`, ids(n * 10000, 20000));
+      }
+      const audience = ids(0, 50000);
+
+      const started = Date.now();
+      const result = await exclusionListManager.filterRecipients(['big0', 'big1', 'big2'], audience);
+
+      expect(result).toHaveLength(50000 - 40000);
+      expect(result[0]).toBe('40000');
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+  });
+
+  describe('set algebra and saved expressions', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = {};
+      chrome.storage.local.get = jest.fn(async keys =>
+        Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]])));
+      chrome.storage.local.set = jest.fn(async items => Object.assign(store, items));
+
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1000);
+      await exclusionListManager.updateList('A', ['1', '2', '3']);
+      nowSpy.mockReturnValue(2000);
+      await exclusionListManager.updateList('B', ['3', '4']);
+      nowSpy.mockReturnValue(3000);
+      await exclusionListManager.updateList('C', ['2', '5']);
+      nowSpy.mockRestore();
+    });
+
+    test('union, intersection and difference across lists', async () => {
+      await expect(exclusionListManager.union(['A', 'B'])).resolves.toEqual(['1', '2', '3', '4']);
+      await expect(exclusionListManager.intersection(['A', 'B'])).resolves.toEqual(['3']);
+      await expect(exclusionListManager.difference('A', ['C'])).resolves.toEqual(['1', '3']);
+    });
+
+    test('evaluates nested expressions: bought A or B but not C', async () => {
+      const expression = { difference: [{ union: ['A', 'B'] }, 'C'] };
+
+      await expect(exclusionListManager.evaluate(expression)).resolves.toEqual(['1', '3', '4']);
+    });
+
+    test('recent selects the most recently used recycled lists', async () => {
+      await exclusionListManager.createList({ name: 'Manual', id: 'manual', subscribers: ['9'] });
+
+      await expect(exclusionListManager.evaluate({ recent: 2 })).resolves.toEqual(['2', '5', '3', '4']);
+    });
+
+    test('missing lists count as empty', async () => {
+      await expect(exclusionListManager.union(['A', 'nope'])).resolves.toEqual(['1', '2', '3']);
+      expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('nope'));
+    });
+
+    test.each([
+      [{}, 'exactly one operator'],
+      [{ union: [], intersect: [] }, 'exactly one operator'],
+      [{ xor: ['A'] }, 'unknown operator "xor"'],
+      [{ union: [] }, 'non-empty array'],
+      [{ union: ['A', { recent: 0 }] }, 'expression.union[1].recent must be a positive integer'],
+      [42, 'list reference or an operator object'],
+    ])('rejects malformed expression %p', async (expression, message) => {
+      await expect(exclusionListManager.evaluate(expression)).rejects.toThrow(message);
+    });
+
+    test('saves, lists, reuses and deletes expressions', async () => {
+      const saved = await exclusionListManager.saveExpression('A or B', { union: ['A', 'B'] });
+      const nested = await exclusionListManager.saveExpression('A or B, not C', { difference: [saved.id, 'C'] });
+
+      expect(saved.id).toMatch(/^expr_/);
+      expect((await exclusionListManager.getExpressions()).map(e => e.name).sort()).toEqual(['A or B', 'A or B, not C']);
+      await expect(exclusionListManager.evaluate(nested.id)).resolves.toEqual(['1', '3', '4']);
+
+      await expect(exclusionListManager.deleteExpression(saved.id)).resolves.toBe(true);
+      await expect(exclusionListManager.evaluate(nested.id)).rejects.toThrow(`Saved expression not found: ${saved.id}`);
+    });
+
+    test('detects saved expressions that refer to themselves', async () => {
+      await exclusionListManager.saveExpression('Loop', 'expr_loop', { id: 'expr_loop' });
+
+      await expect(exclusionListManager.evaluate('expr_loop')).rejects.toThrow('refers to itself');
+    });
+
+    test('filterRecipients accepts expressions and saved expression IDs', async () => {
+      const saved = await exclusionListManager.saveExpression('Recent buyers', { recent: 1 });
+
+      await expect(exclusionListManager.filterRecipients([saved.id], ['1', '2', '5', '6'])).resolves.toEqual(['1', '6']);
+      await expect(exclusionListManager.filterRecipients([{ intersect: ['A', 'C'] }, 'B'], ['1', '2', '3', '4', '6']))
+        .resolves.toEqual(['1', '6']);
+    });
+  });
+
+  describe('retention', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let store;
+    let now;
+
+    beforeEach(() => {
+      store = {};
+      now = 400 * DAY;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      jest.spyOn(Logger, 'info').mockImplementation(() => {});
+      chrome.storage.local.get = jest.fn(async keys =>
+        Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]])));
+      chrome.storage.local.set = jest.fn(async items => Object.assign(store, items));
+      chrome.storage.local.remove = jest.fn(async keys => [].concat(keys).forEach(key => delete store[key]));
+    });
+
+    test('expires subscribers added more than N days ago and logs them', async () => {
+      await exclusionListManager.createList({ name: 'Old', id: 'old', subscribers: ['1', '2'], retention: { expireAfterDays: 30 } });
+      now += 20 * DAY;
+      await exclusionListManager.updateList('old', ['3']);
+      now += 15 * DAY;
+
+      const report = await exclusionListManager.enforceRetention();
+      const list = await exclusionListManager.getList('old');
+
+      expect(report.expired).toEqual({ old: 2 });
+      expect(list.subscribers).toEqual(['3']);
+      expect((await exclusionListManager.getHistory('old')).at(-1)).toEqual(expect.objectContaining({
+        op: 'expire', removed: ['1', '2'], source: 'retention',
+      }));
+    });
+
+    test('expiry keeps each subscriber\'s age after the change log is dropped', async () => {
+      await exclusionListManager.createList({ name: 'Old', id: 'old', subscribers: ['1', '2'], retention: { expireAfterDays: 30 } });
+      now += 20 * DAY;
+      await exclusionListManager.updateList('old', ['3']);
+      await exclusionListManager.compactList('old');
+      now += 15 * DAY;
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.expired).toEqual({ old: 2 });
+      expect((await exclusionListManager.getList('old')).subscribers).toEqual(['3']);
+    });
+
+    test('per-list settings override the global policy', async () => {
+      await exclusionListManager.setRetentionPolicy({ expireAfterDays: 10 });
+      await exclusionListManager.createList({ name: 'Kept', id: 'kept', subscribers: ['1'], retention: { expireAfterDays: 90 } });
+      await exclusionListManager.createList({ name: 'Default', id: 'default', subscribers: ['1'] });
+      now += 30 * DAY;
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.expired).toEqual({ default: 1 });
+    });
+
+    test('archives lists unused for N months, drops their log and keeps excluding', async () => {
+      await exclusionListManager.setRetentionPolicy({ archiveAfterMonths: 6 });
+      await exclusionListManager.updateList('stale', ['1']);
+      await exclusionListManager.updateList('fresh', ['2']);
+      now += 200 * DAY;
+      await exclusionListManager.updateList('fresh', ['3']);
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.archived).toEqual(['stale']);
+      expect(store).not.toHaveProperty('exclusionlog_stale');
+      expect(store.exclusion_meta.stale.archived).toBe(now);
+      await expect(exclusionListManager.check('stale', '1')).resolves.toBe(true);
+    });
+
+    test('expiring entries does not count as using the list', async () => {
+      await exclusionListManager.setRetentionPolicy({ expireAfterDays: 30, archiveAfterMonths: 2 });
+      await exclusionListManager.updateList('quiet', ['1']);
+      await exclusionListManager.updateList('quiet', ['2']);
+      now += 40 * DAY;
+      await exclusionListManager.enforceRetention();
+      now += 30 * DAY;
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.archived).toEqual(['quiet']);
+    });
+
+    test('adding buyers to an archived list restores it', async () => {
+      await exclusionListManager.updateList('msgA', ['1']);
+      await exclusionListManager.archiveList('msgA');
+
+      const list = await exclusionListManager.updateList('msgA', ['2']);
+
+      expect(list.archived).toBeUndefined();
+      expect((await exclusionListManager.getHistory('msgA')).map(entry => entry.op)).toEqual(['baseline', 'add']);
+    });
+
+    test('restoreList clears the archived flag', async () => {
+      await exclusionListManager.createList({ name: 'A', id: 'a' });
+      await exclusionListManager.archiveList('a');
+
+      const restored = await exclusionListManager.restoreList('a');
+
+      expect(restored.archived).toBeUndefined();
+      expect(store.exclusion_meta.a.archived).toBeUndefined();
+    });
+
+    test('compactList drops the change log but keeps the list active', async () => {
+      await exclusionListManager.createList({ name: 'Chatty', id: 'chatty', subscribers: ['1', '2'] });
+      await exclusionListManager.updateList('chatty', ['3']);
+
+      const result = await exclusionListManager.compactList('chatty');
+
+      expect(result.listId).toBe('chatty');
+      expect(result.bytesAfter).toBeLessThan(result.bytesBefore);
+      expect(store).not.toHaveProperty('exclusionlog_chatty');
+      expect(store.exclusion_meta.chatty.archived).toBeUndefined();
+      expect((await exclusionListManager.getList('chatty')).subscribers).toEqual(['1', '2', '3']);
+      await expect(exclusionListManager.compactList('missing')).rejects.toThrow('not found');
+    });
+
+    test('getListSizes reports list and log bytes, largest first', async () => {
+      await exclusionListManager.createList({ name: 'Small', id: 'small', subscribers: ['1'] });
+      await exclusionListManager.createList({ name: 'Large', id: 'large', subscribers: ['a', 'b', 'c', 'd'] });
+
+      const sizes = await exclusionListManager.getListSizes();
+
+      expect(sizes.map(size => size.id)).toEqual(['large', 'small']);
+      expect(sizes[0]).toEqual(expect.objectContaining({ name: 'Large', count: 4 }));
+      expect(sizes[0].bytes).toBeGreaterThan(0);
+      expect(sizes[0].historyBytes).toBeGreaterThan(0);
+      await expect(exclusionListManager.getListSizes({ limit: 1 })).resolves.toHaveLength(1);
+    });
+
+    test('fits the storage cap by dropping logs, then archived lists, never active lists', async () => {
+      const ids = count => Array.from({ length: count }, (_, i) => `user-${i}`);
+      await exclusionListManager.createList({ name: 'Archived', id: 'gone', subscribers: ids(200) });
+      await exclusionListManager.archiveList('gone');
+      now += DAY;
+      await exclusionListManager.createList({ name: 'Active', id: 'active', subscribers: ids(300) });
+      const activeSize = store.exclusion_active.length;
+      await exclusionListManager.setRetentionPolicy({ maxBytes: activeSize + 1000 });
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.compacted).toEqual(['active']);
+      expect(report.deleted).toEqual(['gone']);
+      expect(report.bytesInUse).toBeLessThanOrEqual(activeSize + 1000);
+      expect(store).toHaveProperty('exclusion_active');
+      expect(store).not.toHaveProperty('exclusion_gone');
+    });
+
+    test('warns when active lists alone exceed the cap', async () => {
+      await exclusionListManager.createList({ name: 'Big', id: 'big', subscribers: ['x', 'y'] });
+      await exclusionListManager.setRetentionPolicy({ maxBytes: 10 });
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.deleted).toEqual([]);
+      expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('above the 10 byte cap'));
+    });
+
+    test('prefers storage.getBytesInUse when available', async () => {
+      chrome.storage.local.getBytesInUse = jest.fn().mockResolvedValue(42);
+      await exclusionListManager.createList({ name: 'A', id: 'a' });
+      await exclusionListManager.setRetentionPolicy({ maxBytes: 100 });
+
+      const report = await exclusionListManager.enforceRetention();
+
+      expect(report.bytesInUse).toBe(42);
+      delete chrome.storage.local.getBytesInUse;
+    });
+
+    test('rejects invalid settings', async () => {
+      await exclusionListManager.createList({ name: 'A', id: 'a' });
+
+      await expect(exclusionListManager.setRetention('a', { expireAfterDays: -1 })).rejects.toThrow('expireAfterDays must be a positive number');
+      await expect(exclusionListManager.setRetentionPolicy({ maxBytes: 'lots' })).rejects.toThrow('maxBytes must be');
+      await expect(exclusionListManager.setRetention('missing', {})).rejects.toThrow('not found');
+    });
+
+    test('setRetentionPolicy keeps settings that were not given', async () => {
+      await exclusionListManager.setRetentionPolicy({ expireAfterDays: 30, maxBytes: 1000 });
+
+      await expect(exclusionListManager.setRetentionPolicy({ archiveAfterMonths: 3 })).resolves.toEqual({
+        expireAfterDays: 30, archiveAfterMonths: 3, maxBytes: 1000,
+      });
+    });
+  });
+
+  describe('write serialization and cross-context routing', () => {
+    afterEach(() => {
+      exclusionListManager.writeMode = null;
+      delete chrome.runtime;
+    });
+
+    test('concurrent updates to one list never overwrite each other', async () => {
+      const store = {};
+      chrome.storage.local.get = jest.fn(async keys => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        return Object.fromEntries(keys.filter(key => key in store).map(key => [key, store[key]]));
+      });
+      chrome.storage.local.set = jest.fn(async items => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        Object.assign(store, items);
+      });
+
+      await Promise.all([
+        exclusionListManager.updateList('race', ['1']),
+        exclusionListManager.updateList('race', ['2']),
+        exclusionListManager.updateList('race', ['3']),
+      ]);
+      exclusionListManager.clearCache();
+
+      const list = await exclusionListManager.getList('race');
+      expect(list.subscribers.sort()).toEqual(['1', '2', '3']);
+      expect(list.meta.version).toBe(4);
+    });
+
+    test('a failed write does not block the writes queued behind it', async () => {
+      await expect(exclusionListManager.attachMessage('missing', 'm1')).rejects.toThrow('not found');
+      await expect(exclusionListManager.updateList('after', ['1'])).resolves.toEqual(
+        expect.objectContaining({ subscribers: ['1'] })
+      );
+    });
+
+    test('forwards writes to the background worker and drops stale caches', async () => {
+      const remote = existing('msgRemote', ['1', '2']);
+      chrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ status: 'success', data: remote }) };
+      exclusionListManager.writeMode = 'background';
+      exclusionListManager.cache.set('msgRemote', existing('msgRemote', ['1']));
+
+      const result = await exclusionListManager.updateList('msgRemote', ['2'], { source: 'csv' });
+
+      expect(result).toBe(remote);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'updateExclusionList',
+        payload: { method: 'updateList', args: ['msgRemote', ['2'], { source: 'csv' }] },
+      });
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      expect(exclusionListManager.cache.has('msgRemote')).toBe(false);
+    });
+
+    test('forwards list creation from getOrCreateList only when the list is missing', async () => {
+      chrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ status: 'success', data: existing('msgNew', []) }) };
+      exclusionListManager.writeMode = 'background';
+
+      await exclusionListManager.getOrCreateList('msgNew');
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        payload: { method: 'getOrCreateList', args: ['msgNew'] },
+      }));
+    });
+
+    test('rejects with the background worker error', async () => {
+      chrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ status: 'error', error: 'quota exceeded' }) };
+      exclusionListManager.writeMode = 'background';
+
+      await expect(exclusionListManager.deleteList('x')).rejects.toThrow('quota exceeded');
+    });
+
+    test('handleWriteRequest applies supported writes and rejects anything else', async () => {
+      const list = await exclusionListManager.handleWriteRequest({ method: 'updateList', args: ['msgBg', ['9']] });
+
+      expect(list.subscribers).toEqual(['9']);
+      await expect(exclusionListManager.handleWriteRequest({ method: 'clearCache', args: [] }))
+        .rejects.toThrow('Unsupported exclusion list write: clearCache');
+      await expect(exclusionListManager.handleWriteRequest({ method: 'updateList' }))
+        .rejects.toThrow('args array');
+    });
+
+    test('storage changes from other contexts invalidate cached lists, index and history', () => {
+      exclusionListManager.cache.set('a', existing('a', ['1']));
+      exclusionListManager.cache.set('b', existing('b', ['2']));
+      exclusionListManager.historyCache.set('a', []);
+      exclusionListManager.metaCache = {};
+
+      exclusionListManager.onStorageChanged({ exclusion_a: {}, exclusionlog_a: {}, exclusion_meta: {} }, 'local');
+
+      expect(exclusionListManager.cache.has('a')).toBe(false);
+      expect(exclusionListManager.cache.has('b')).toBe(true);
+      expect(exclusionListManager.historyCache.has('a')).toBe(false);
+      expect(exclusionListManager.metaCache).toBeNull();
+    });
+
+    test('ignores changes to other storage areas', () => {
+      exclusionListManager.cache.set('a', existing('a', ['1']));
+
+      exclusionListManager.onStorageChanged({ exclusion_a: {} }, 'sync');
+
+      expect(exclusionListManager.cache.has('a')).toBe(true);
+    });
+  });
+
+  describe('history, diff() and revertTo()', () => {
+    test('records who added which IDs, the source and the timestamp', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(5000);
+      await exclusionListManager.createList({ name: 'Audit', id: 'audit', subscribers: ['1'], actor: 'popup' });
+      await exclusionListManager.updateList('audit', ['2', '1', '3'], { source: 'csv', actor: 'alice' });
+
+      const history = await exclusionListManager.getHistory('audit');
+
+      expect(history).toEqual([
+        expect.objectContaining({ version: 1, op: 'create', added: ['1'], source: 'manual', actor: 'popup' }),
+        { version: 2, timestamp: 5000, op: 'add', added: ['2', '3'], removed: [], source: 'csv', actor: 'alice' },
+      ]);
+    });
+
+    test('writes the change log in the same storage call as the list, packing numeric IDs', async () => {
+      await exclusionListManager.createList({ name: 'Packed', id: 'packed', subscribers: ['10', '20'] });
+
+      const writes = chrome.storage.local.set.mock.calls.at(-1)[0];
+      const stored = JSON.parse(writes.exclusionlog_packed);
+
+      expect(writes).toHaveProperty(`${STORAGE_KEY_PREFIX}packed`);
+      expect(stored[0].added).toMatch(/^dv1:/);
+    });
+
+    test('adding only known IDs keeps the version and the change log', async () => {
+      await exclusionListManager.updateList('same', ['1', '2']);
+      const history = await exclusionListManager.getHistory('same');
+
+      const list = await exclusionListManager.updateList('same', ['2', '1']);
+
+      expect(list.meta.version).toBe(2);
+      await expect(exclusionListManager.getHistory('same')).resolves.toEqual(history);
+    });
+
+    test('adds a baseline entry for lists saved before history existed', async () => {
+      chrome.storage.local.get.mockImplementation(async keys => (
+        keys[0] === `${STORAGE_KEY_PREFIX}legacy` ? { [keys[0]]: JSON.stringify(['a', 'b']) } : {}
+      ));
+
+      await exclusionListManager.updateList('legacy', ['c']);
+      const history = await exclusionListManager.getHistory('legacy');
+
+      expect(history.map(entry => [entry.op, entry.version, entry.added])).toEqual([
+        ['baseline', 1, ['a', 'b']],
+        ['add', 2, ['c']],
+      ]);
+    });
+
+    test('diff() reports IDs added and removed between versions', async () => {
+      await exclusionListManager.createList({ name: 'D', id: 'd', subscribers: ['a'] });
+      await exclusionListManager.updateList('d', ['b']);
+      await exclusionListManager.updateList('d', ['c']);
+
+      await expect(exclusionListManager.diff('d', 1)).resolves.toEqual({
+        fromVersion: 1, toVersion: 3, added: ['b', 'c'], removed: [],
+      });
+      await expect(exclusionListManager.diff('d', 3, 1)).resolves.toEqual({
+        fromVersion: 3, toVersion: 1, added: [], removed: ['b', 'c'],
+      });
+    });
+
+    test('revertTo() restores an earlier version as a new, undoable version', async () => {
+      await exclusionListManager.createList({ name: 'R', id: 'r', subscribers: ['a'] });
+      await exclusionListManager.updateList('r', ['b', 'c']);
+
+      const reverted = await exclusionListManager.revertTo('r', 1, { actor: 'bob' });
+
+      expect(reverted.subscribers).toEqual(['a']);
+      expect(reverted.meta).toEqual(expect.objectContaining({ version: 3, count: 1 }));
+      expect((await exclusionListManager.getHistory('r')).at(-1)).toEqual(expect.objectContaining({
+        op: 'revert', revertedTo: 1, added: [], removed: ['b', 'c'], actor: 'bob',
+      }));
+
+      const redone = await exclusionListManager.revertTo('r', 2);
+      expect(redone.subscribers.sort()).toEqual(['a', 'b', 'c']);
+      await expect(exclusionListManager.check('r', 'b')).resolves.toBe(true);
+    });
+
+    test('revertTo() rejects unknown lists and versions', async () => {
+      await exclusionListManager.createList({ name: 'X', id: 'x' });
+
+      await expect(exclusionListManager.revertTo('missing', 1)).rejects.toThrow('Exclusion list not found');
+      await expect(exclusionListManager.revertTo('x', 9)).rejects.toThrow('Version 9 not found');
+    });
+  });
+
+  describe('getAllLists()', () => {
+    test('returns metadata for every list, most recently updated first', async () => {
+      const nowSpy = jest.spyOn(Date, 'now');
+      nowSpy.mockReturnValue(1000);
+      await exclusionListManager.createList({ name: 'Old', id: 'old' });
+      nowSpy.mockReturnValue(2000);
+      await exclusionListManager.createList({ name: 'New', id: 'new', subscribers: ['1'] });
+
+      const lists = await exclusionListManager.getAllLists();
+
+      expect(lists.map(meta => meta.name)).toEqual(['New', 'Old']);
+      expect(lists[0]).toEqual(expect.objectContaining({ id: 'new', count: 1, updated: 2000 }));
+    });
+  });
+
+  describe('deleteList()', () => {
+    beforeEach(() => {
+      chrome.storage.local.remove = jest.fn().mockResolvedValue();
+    });
+
+    test('removes the list data and its index entry', async () => {
+      const list = await exclusionListManager.createList({ name: 'Doomed' });
+
+      await expect(exclusionListManager.deleteList(list.id)).resolves.toBe(true);
+
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith([`${STORAGE_KEY_PREFIX}${list.id}`, `exclusionlog_${list.id}`]);
+      expect(chrome.storage.local.set).toHaveBeenLastCalledWith(expect.objectContaining({ [META_KEY]: {} }));
+      expect(exclusionListManager.cache.has(list.id)).toBe(false);
+    });
+
+    test('returns false for an unknown list', async () => {
+      await expect(exclusionListManager.deleteList('ghost')).resolves.toBe(false);
+      expect(chrome.storage.local.remove).not.toHaveBeenCalled();
+    });
+
+    test('returns false and logs when storage fails', async () => {
+      const list = await exclusionListManager.createList({ name: 'Sticky' });
+      chrome.storage.local.remove.mockRejectedValue(new Error('remove failure'));
+
+      await expect(exclusionListManager.deleteList(list.id)).resolves.toBe(false);
+      expect(Logger.error).toHaveBeenCalledWith(expect.stringContaining('remove failure'));
+    });
+  });
+
+  describe('upgradeStoredLists()', () => {
+    test('indexes bare-array lists and imports the legacy single list, without writing', () => {
+      const indexed = JSON.stringify({ id: 'known', name: 'Known', subscribers: ['9'], messageIds: [] });
+      const items = {
+        [`${STORAGE_KEY_PREFIX}msgOld`]: JSON.stringify(['1', '2']),
+        [`${STORAGE_KEY_PREFIX}known`]: indexed,
+        [META_KEY]: { known: { id: 'known', name: 'Known', count: 1 } },
+        RecycleContentExclusionList: JSON.stringify(['5', '5', '6']),
+      };
+
+      const upgraded = exclusionListManager.upgradeStoredLists(items);
+
+      expect(upgraded).toBe(items);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      expect(items.RecycleContentExclusionList).toBeUndefined();
+      expect(items[`${STORAGE_KEY_PREFIX}known`]).toBe(indexed);
+      expect(Object.keys(items[META_KEY]).sort()).toEqual(['known', 'legacy', 'msgOld']);
+      expect(items[META_KEY].msgOld).toEqual(expect.objectContaining({ count: 2, messageIds: ['msgOld'] }));
+      expect(items[META_KEY].legacy).toEqual(expect.objectContaining({ name: 'Legacy exclusion list', count: 2, source: 'import' }));
+      expect(exclusionListManager.deserializeList(items[`${STORAGE_KEY_PREFIX}legacy`], 'legacy').subscribers).toEqual(['5', '6']);
+    });
+
+    test('leaves current data alone', () => {
+      const items = { [META_KEY]: {}, send_rate: { limits: {} } };
+
+      expect(exclusionListManager.upgradeStoredLists({ ...items })).toEqual(items);
+    });
+  });
+
+  describe('exportList() / importList()', () => {
+    test('round-trips a list through JSON under a new name without claiming messages', async () => {
+      const original = await exclusionListManager.createList({
+        name: 'Original',
+        subscribers: ['1', '2'],
+        messageIds: ['msgA'],
+      });
+
+      const json = await exclusionListManager.exportList(original.id);
+      const imported = await exclusionListManager.importList(json, 'Copy');
+
+      expect(JSON.parse(json)).toEqual(expect.objectContaining({
+        format: 'recyclecontent-exclusion-list',
+        version: 1,
+      }));
+      expect(imported.id).not.toBe(original.id);
+      expect(imported.name).toBe('Copy');
+      expect(imported.subscribers).toEqual(['1', '2']);
+      expect(imported.messageIds).toEqual([]);
+      expect(imported.meta.source).toBe('import');
+    });
+
+    test('exportList throws for an unknown list', async () => {
+      await expect(exclusionListManager.exportList('ghost'))
+        .rejects.toThrow('Exclusion list not found: ghost');
+    });
+
+    test.each([
+      ['not json', 'Invalid exclusion list import'],
+      [JSON.stringify(['1', '2']), 'unrecognized format'],
+      [JSON.stringify({ format: 'recyclecontent-exclusion-list', version: 99, list: {} }), 'unsupported version'],
+      [JSON.stringify({ format: 'recyclecontent-exclusion-list', version: 1, list: { subscribers: 'abc' } }), 'array of IDs'],
+      [JSON.stringify({ format: 'recyclecontent-exclusion-list', version: 1, list: { subscribers: ['1', {}] } }), 'array of IDs'],
+    ])('importList rejects malformed payload %s', async (payload, message) => {
+      await expect(exclusionListManager.importList(payload, 'Bad')).rejects.toThrow(message);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CSV import/export', () => {
+    const csv = [
+      '\uFEFFUsername,Subscriber ID,Spent',
+      'alice,101,"$1,000"',
+      'bob,102,5',
+      'alice,101,9',
+      'u103,,0',
+      'carol,,0',
+      'dave,"10 4",1',
+    ].join('\r\n');
+
+    test('detectCsvColumns suggests the ID and username columns', () => {
+      const { headers, mapping, sampleRows } = exclusionListManager.detectCsvColumns(csv);
+
+      expect(headers).toEqual(['Username', 'Subscriber ID', 'Spent']);
+      expect(mapping).toEqual({ idColumn: 1, usernameColumn: 0, hasHeader: true });
+      expect(sampleRows[0]).toEqual(['alice', '101', '$1,000']);
+    });
+
+    test('detectCsvColumns treats a headerless file as IDs in the first column', () => {
+      const { headers, mapping } = exclusionListManager.detectCsvColumns('1\n2\n');
+
+      expect(headers).toBeNull();
+      expect(mapping).toEqual({ idColumn: 0, usernameColumn: undefined, hasHeader: false });
+    });
+
+    test('detectCsvColumns keeps a first row of usernames as data', () => {
+      const { headers, mapping, sampleRows } = exclusionListManager.detectCsvColumns('u123,fan_9\nu456,fan_10\n');
+
+      expect(headers).toBeNull();
+      expect(mapping.hasHeader).toBe(false);
+      expect(sampleRows[0]).toEqual(['u123', 'fan_9']);
+    });
+
+    test('previewCsvImport reports new, existing, duplicate and invalid rows without writing', async () => {
+      await exclusionListManager.updateList('msgCsv', ['102']);
+      chrome.storage.local.set.mockClear();
+
+      const preview = await exclusionListManager.previewCsvImport('msgCsv', csv, {
+        idColumn: 'subscriber id',
+        usernameColumn: 'Username',
+      });
+
+      expect(preview).toEqual(expect.objectContaining({
+        listId: 'msgCsv',
+        totalRows: 6,
+        ids: ['101', '102', '103'],
+        duplicateRows: 1,
+        newCount: 2,
+        existingCount: 1,
+        sample: ['101', '103'],
+      }));
+      expect(preview.invalidRows).toEqual([
+        { row: 6, reason: 'missing subscriber id' },
+        { row: 7, reason: 'invalid subscriber id "10 4"' },
+      ]);
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('previewCsvImport rejects an unknown column', async () => {
+      await expect(exclusionListManager.previewCsvImport('msgCsv', csv, { idColumn: 'Fan' }))
+        .rejects.toThrow('CSV column not found: Fan');
+    });
+
+    test('previewCsvImport of an empty file with a header mapping imports nothing', async () => {
+      for (const text of ['', '\n\n']) {
+        const preview = await exclusionListManager.previewCsvImport('msgCsv', text, { idColumn: 'id', hasHeader: true });
+        expect(preview).toEqual(expect.objectContaining({ totalRows: 0, ids: [], invalidRows: [], newCount: 0 }));
+      }
+    });
+
+    test('importCsv commits the new IDs through updateList', async () => {
+      const spy = jest.spyOn(exclusionListManager, 'updateList');
+
+      const { list, preview } = await exclusionListManager.importCsv('msgCsv', csv);
+
+      expect(spy).toHaveBeenCalledWith('msgCsv', ['101', '102', '103'], { source: 'csv' });
+      expect(list.subscribers).toEqual(['101', '102', '103']);
+      expect(preview.newCount).toBe(3);
+    });
+
+    test('importCsv skips the write when nothing is new', async () => {
+      await exclusionListManager.updateList('msgCsv', ['1']);
+      const spy = jest.spyOn(exclusionListManager, 'updateList');
+
+      const { list } = await exclusionListManager.importCsv('msgCsv', 'id\n1\n1');
+
+      expect(spy).not.toHaveBeenCalled();
+      expect(list.subscribers).toEqual(['1']);
+    });
+
+    test('exportCsv writes one subscriber per row', async () => {
+      await exclusionListManager.updateList('msgCsv', ['1', '2']);
+
+      await expect(exclusionListManager.exportCsv('msgCsv'))
+        .resolves.toBe('subscriber_id\r\n1\r\n2');
+      await expect(exclusionListManager.exportCsv('ghost')).rejects.toThrow('not found');
+    });
+  });
+
   describe('deserializeList()', () => {
-    test('returns empty array and logs warning on invalid JSON string', () => {
+    test('returns empty list and logs warning on invalid JSON string', () => {
       const badJson = '{invalid: json}';
-      const warnSpy = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
 
-      const result = exclusionListManager.deserializeList(badJson);
+      const result = exclusionListManager.deserializeList(badJson, 'msgBad');
+
+      expect(result.subscribers).toEqual([]);
+      expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to parse exclusion list'));
+    });
+
+    test('returns empty list and logs warning if parsed data is not a list', () => {
+      const nonListJson = JSON.stringify({ key: 'value' });
+
+      const result = exclusionListManager.deserializeList(nonListJson, 'msgOdd');
+
+      expect(result.subscribers).toEqual([]);
+      expect(Logger.warn).toHaveBeenCalledWith(
+        'Deserialized data is not an exclusion list, returning empty list.'
+      );
+    });
+
+    test('stores numeric subscriber IDs packed and restores them on load', async () => {
+      const ids = Array.from({ length: 5000 }, (_, i) => String(90000000 + i * 13));
+      const list = await exclusionListManager.updateList('msgPacked', ids);
+
+      const key = `${STORAGE_KEY_PREFIX}msgPacked`;
+      const stored = chrome.storage.local.set.mock.calls.pop()[0][key];
+      expect(JSON.parse(stored).subscribers).toMatch(/^dv1:/);
+      expect(stored.length).toBeLessThan(JSON.stringify(ids).length / 4);
+
+      exclusionListManager.clearCache();
+      chrome.storage.local.get.mockResolvedValue({ [key]: stored });
+      const restored = await exclusionListManager.getList('msgPacked');
+
+      expect(restored).toEqual(list);
+    });
 
-      expect(result).toEqual([]);
-      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Failed to parse exclusion list'));
+    test('keeps non-numeric subscriber IDs as a plain array', () => {
+      const list = existing('msgMixed', ['12', 'abc']);
 
-      warnSpy.mockRestore();
+      expect(JSON.parse(exclusionListManager.serializeList(list)).subscribers).toEqual(['12', 'abc']);
     });
 
-    test('returns empty array and logs warning if parsed data is not an array', () => {
-      const nonArrayJson = JSON.stringify({ key: 'value' });
-      const warnSpy = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    test('migrates a legacy JSON array to the packed format on the next write', async () => {
+      const key = `${STORAGE_KEY_PREFIX}msgLegacy`;
+      chrome.storage.local.get.mockResolvedValue({ [key]: JSON.stringify([3, 1, 2]) });
+
+      await exclusionListManager.updateList('msgLegacy', ['4']);
 
-      const result = exclusionListManager.deserializeList(nonArrayJson);
+      const stored = JSON.parse(chrome.storage.local.set.mock.calls.pop()[0][key]);
+      expect(exclusionListManager.deserializeList(JSON.stringify(stored)).subscribers)
+        .toEqual(['1', '2', '3', '4']);
+      expect(stored.subscribers).toMatch(/^dv1:/);
+    });
+
+    test('round-trips a serialized list model', () => {
+      const list = exclusionListManager.buildList('list_rt', {
+        name: 'Round trip',
+        subscribers: ['1', '2'],
+        messageIds: ['m1'],
+        source: 'import',
+        version: 4,
+      });
 
-      expect(result).toEqual([]);
-      expect(warnSpy).toHaveBeenCalledWith('Deserialized data is not an array, returning empty list.');
+      const restored = exclusionListManager.deserializeList(exclusionListManager.serializeList(list));
 
-      warnSpy.mockRestore();
+      expect(restored).toEqual(list);
     });
   });
 
@@ -0,0 +1,51 @@
+/**
+ * @file idCodec.test.js
+ * @description Unit tests for the IdCodec module.
+ */
+
+import IdCodec from '../../scripts/common/idCodec.js';
+
+describe('IdCodec', () => {
+  test('round-trips IDs in ascending order without duplicates', () => {
+    const packed = IdCodec.encode(['300', '5', '128', '5', '0']);
+
+    expect(IdCodec.isEncoded(packed)).toBe(true);
+    expect(IdCodec.decode(packed)).toEqual(['0', '5', '128', '300']);
+  });
+
+  test('round-trips IDs up to the safe integer limit', () => {
+    const ids = ['1', '2147483648', '4294967296', String(Number.MAX_SAFE_INTEGER)];
+
+    expect(IdCodec.decode(IdCodec.encode(ids))).toEqual(ids);
+  });
+
+  test('packs 40k dense IDs into a small fraction of their JSON size', () => {
+    const ids = Array.from({ length: 40000 }, (_, i) => String(100000000 + i * 37));
+
+    const packed = IdCodec.encode(ids);
+
+    expect(IdCodec.decode(packed)).toEqual(ids);
+    expect(packed.length).toBeLessThan(JSON.stringify(ids).length / 5);
+  });
+
+  test('round-trips an empty list', () => {
+    expect(IdCodec.decode(IdCodec.encode([]))).toEqual([]);
+  });
+
+  test.each([
+    [['12', 'abc']],
+    [['007']],
+    [['-1']],
+    [['1.5']],
+    [[String(Number.MAX_SAFE_INTEGER + 2)]],
+    [[12]],
+  ])('refuses to encode %p', ids => {
+    expect(IdCodec.canEncode(ids)).toBe(false);
+    expect(() => IdCodec.encode(ids)).toThrow('canonical numeric IDs');
+  });
+
+  test('rejects values that are not packed or are truncated', () => {
+    expect(() => IdCodec.decode('[1,2]')).toThrow('not an encoded ID list');
+    expect(() => IdCodec.decode(`dv1:${btoa(String.fromCharCode(0x81))}`)).toThrow('truncated');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @file maintenanceScheduler.test.js
+ * @description Unit tests for the MaintenanceScheduler module.
+ */
+
+import MaintenanceScheduler from '../../scripts/background/maintenanceScheduler.js';
+import Logger from '../../scripts/common/logger.js';
+
+const KEY = 'maintenance_runs';
+const HOUR = 60 * 60 * 1000;
+
+describe('MaintenanceScheduler', () => {
+  let backing;
+  let scheduler;
+
+  beforeEach(() => {
+    backing = {};
+    chrome.storage.local.get = jest.fn(async ([key]) => ({ [key]: backing[key] }));
+    chrome.storage.local.set = jest.fn(async data => { Object.assign(backing, data); });
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+
+    scheduler = new MaintenanceScheduler();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('register validates jobs and rejects duplicate names', () => {
+    const run = jest.fn();
+    scheduler.register('stats', { intervalMinutes: 60, run });
+
+    expect(() => scheduler.register('stats', { intervalMinutes: 60, run })).toThrow('already registered: stats');
+    expect(() => scheduler.register('', { intervalMinutes: 60, run })).toThrow('requires a name');
+    expect(() => scheduler.register('x', { intervalMinutes: 0, run })).toThrow('positive intervalMinutes');
+    expect(() => scheduler.register('y', { intervalMinutes: 5 })).toThrow('requires a run function');
+  });
+
+  test('runs each job on its own interval and records the last run in storage', async () => {
+    const hourly = jest.fn();
+    const daily = jest.fn();
+    scheduler.register('hourly', { intervalMinutes: 60, run: hourly });
+    scheduler.register('daily', { intervalMinutes: 24 * 60, run: daily });
+
+    await scheduler.runDue(10 * HOUR);
+    await scheduler.runDue(11 * HOUR);
+    await scheduler.runDue(12 * HOUR);
+
+    expect(hourly).toHaveBeenCalledTimes(3);
+    expect(hourly).toHaveBeenLastCalledWith(12 * HOUR);
+    expect(daily).toHaveBeenCalledTimes(1);
+    expect(backing[KEY]).toEqual({
+      hourly: expect.objectContaining({ lastRun: 12 * HOUR, lastStatus: 'ok', lastSuccess: 12 * HOUR }),
+      daily: expect.objectContaining({ lastRun: 10 * HOUR, lastStatus: 'ok' }),
+    });
+  });
+
+  test('tolerates an alarm firing slightly early', async () => {
+    const run = jest.fn();
+    scheduler.register('hourly', { intervalMinutes: 60, run });
+
+    await scheduler.runDue(10 * HOUR);
+    await scheduler.runDue(11 * HOUR - 30 * 1000);
+
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps intervals across restarts', async () => {
+    backing[KEY] = { stats: { lastRun: 10 * HOUR, lastStatus: 'ok' } };
+    const run = jest.fn();
+    scheduler.register('stats', { intervalMinutes: 60, run });
+
+    await expect(scheduler.runDue(10 * HOUR + 1000)).resolves.toEqual({});
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('a failing job is recorded without stopping the others', async () => {
+    const after = jest.fn();
+    scheduler.register('broken', { intervalMinutes: 60, run: () => { throw new Error('disk full'); } });
+    scheduler.register('after', { intervalMinutes: 60, run: after });
+
+    const ran = await scheduler.runDue(HOUR);
+
+    expect(after).toHaveBeenCalled();
+    expect(ran.broken).toEqual(expect.objectContaining({ lastStatus: 'error', lastError: 'disk full' }));
+    expect(ran.after.lastStatus).toBe('ok');
+    expect(Logger.error).toHaveBeenCalledWith(expect.stringContaining('broken failed: disk full'));
+  });
+
+  test('runJob forces a run and getStatus reports the next due time', async () => {
+    const run = jest.fn();
+    scheduler.register('stats', { intervalMinutes: 60, run });
+    await scheduler.runDue(HOUR);
+
+    await scheduler.runJob('stats', HOUR + 1000);
+    await expect(scheduler.runJob('missing')).rejects.toThrow('Unknown maintenance job: missing');
+
+    expect(run).toHaveBeenCalledTimes(2);
+    await expect(scheduler.getStatus()).resolves.toEqual([
+      expect.objectContaining({ name: 'stats', intervalMinutes: 60, lastRun: HOUR + 1000, nextRun: 2 * HOUR + 1000 }),
+    ]);
+  });
+
+  test('overlapping ticks share one run', async () => {
+    let finish;
+    const run = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    scheduler.register('slow', { intervalMinutes: 60, run });
+
+    const first = scheduler.runDue(HOUR);
+    const second = scheduler.runDue(HOUR);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    finish();
+
+    expect(await first).toBe(await second);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
@@ -27,12 +27,16 @@
 
 import MediaHandler from '../../scripts/services/mediaHandler';
 import Logger from '../../scripts/common/logger';
+import MediaOwnership from '../../scripts/services/mediaOwnership';
+import Events from '../../scripts/common/events';
 
 describe('MediaHandler', () => {
   let mediaHandler;
 
   beforeEach(() => {
     mediaHandler = new MediaHandler();
+    chrome.storage.local.get = jest.fn().mockResolvedValue({});
+    chrome.storage.local.set = jest.fn().mockResolvedValue();
     jest.spyOn(Logger, 'error').mockImplementation(() => {});
     // Mock createElement to simulate DOM elements with needed props/methods
     document.createElement = jest.fn().mockImplementation(tag => ({
@@ -62,6 +66,43 @@ describe('MediaHandler', () => {
     expect(mediaHandler.mediaCache.get(messageId)).toEqual(mediaElements);
   });
 
+  test('extractMediaFromMessage publishes mediaExtracted', async () => {
+    const handler = jest.fn();
+    const unsubscribe = Events.subscribe('mediaExtracted', handler);
+    jest.spyOn(mediaHandler, 'parseMediaElements').mockReturnValue([{ type: 'image', src: 'a.jpg' }, { type: 'image', src: 'b.jpg' }]);
+
+    await mediaHandler.extractMediaFromMessage('msgEv');
+    unsubscribe();
+
+    expect(handler).toHaveBeenCalledWith({ messageId: 'msgEv', mediaCount: 2 });
+  });
+
+  test('extractMediaFromMessage records media IDs in the ownership index', async () => {
+    const mediaElements = [{ type: 'image', id: 'vault1', src: 'img.jpg' }, { type: 'video', src: 'vid.mp4' }];
+    jest.spyOn(mediaHandler, 'parseMediaElements').mockReturnValue(mediaElements);
+    const record = jest.spyOn(MediaOwnership, 'recordMessageMedia').mockResolvedValue();
+
+    await mediaHandler.extractMediaFromMessage('msgOwn');
+
+    expect(record).toHaveBeenCalledWith('msgOwn', ['vault1', 'vid.mp4']);
+  });
+
+  test('extractMediaFromMessage still returns media when the index cannot be updated', async () => {
+    const warn = jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(MediaOwnership, 'recordMessageMedia').mockRejectedValue(new Error('quota'));
+
+    const result = await mediaHandler.extractMediaFromMessage('msgFail');
+
+    expect(result).toHaveLength(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('quota'));
+  });
+
+  test('getMediaId prefers vault IDs and falls back to the source URL', () => {
+    expect(mediaHandler.getMediaId({ mediaId: 7, id: 'x', src: 'a.jpg' })).toBe('7');
+    expect(mediaHandler.getMediaId({ src: 'a.jpg' })).toBe('a.jpg');
+    expect(mediaHandler.getMediaId({ type: 'image' })).toBeNull();
+  });
+
   test('getMediaElements returns cached media if present', async () => {
     const messageId = 'msg2';
     const cachedMedia = [{ type: 'video', src: 'vid.mp4', alt: 'video alt' }];
@@ -83,6 +124,58 @@ describe('MediaHandler', () => {
     expect(result).toEqual(extractedMedia);
   });
 
+  test('extractMediaFromMessage persists media references with a cache timestamp', async () => {
+    jest.spyOn(mediaHandler, 'fetchOriginalMessage').mockResolvedValue('<message>...</message>');
+    jest.spyOn(mediaHandler, 'parseMediaElements').mockReturnValue([{ id: 'v1', type: 'image', src: 'a.jpg' }]);
+    jest.spyOn(MediaOwnership, 'recordMessageMedia').mockResolvedValue();
+    jest.spyOn(Date, 'now').mockReturnValue(5000);
+    chrome.storage.local.get = jest.fn().mockResolvedValue({ media_cache_index: { older: 1000 } });
+    chrome.storage.local.set = jest.fn().mockResolvedValue();
+
+    await mediaHandler.extractMediaFromMessage('msg7');
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      media_cache_msg7: [{ id: 'v1', type: 'image', src: 'a.jpg' }],
+      media_cache_index: { older: 1000, msg7: 5000 },
+    });
+  });
+
+  test('storeMediaCache sends the write to the background worker from other contexts', async () => {
+    jest.spyOn(MediaOwnership, 'routesWrites').mockReturnValue(true);
+    const send = jest.spyOn(MediaOwnership, 'sendWrite').mockResolvedValue();
+    chrome.storage.local.set = jest.fn();
+
+    await mediaHandler.storeMediaCache('msg9', [{ id: 'v9' }], 5000);
+
+    expect(send).toHaveBeenCalledWith('storeMediaCache', ['msg9', [{ id: 'v9' }], 5000]);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test('getMediaElements uses persisted media before extracting again', async () => {
+    const stored = [{ type: 'image', src: 'stored.jpg' }];
+    chrome.storage.local.get = jest.fn().mockResolvedValue({ media_cache_msg8: stored });
+    const extract = jest.spyOn(mediaHandler, 'extractMediaFromMessage');
+
+    await expect(mediaHandler.getMediaElements('msg8')).resolves.toEqual(stored);
+    expect(extract).not.toHaveBeenCalled();
+    expect(mediaHandler.mediaCache.get('msg8')).toEqual(stored);
+  });
+
+  test('pruneCache removes persisted media older than the maximum age', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    chrome.storage.local.get = jest.fn().mockResolvedValue({ media_cache_index: { old: 0, recent: 40 * day } });
+    chrome.storage.local.remove = jest.fn().mockResolvedValue();
+    mediaHandler.mediaCache.set('old', []);
+
+    await expect(mediaHandler.pruneCache({ now: 45 * day })).resolves.toBe(1);
+
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith(['media_cache_old']);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith(expect.objectContaining({ media_cache_index: { recent: 40 * day } }));
+    expect(mediaHandler.mediaCache.has('old')).toBe(false);
+    await expect(mediaHandler.pruneCache({ now: 45 * day, maxAgeMs: 10 * day })).resolves.toBe(1);
+    delete chrome.storage.local.remove;
+  });
+
   test('insertMediaIntoNewMessage inserts all media elements', async () => {
     const messageId = 'msg4';
     const targetContainer = { appendChild: jest.fn() };
@@ -122,6 +215,21 @@ describe('MediaHandler', () => {
     ]);
   });
 
+  test('insertMediaIntoNewMessage publishes mediaInserted with the media that made it in', async () => {
+    const handler = jest.fn();
+    const unsubscribe = Events.subscribe('mediaInserted', handler);
+    jest.spyOn(mediaHandler, 'getMediaElements').mockResolvedValue([{ type: 'image' }, { type: 'video' }]);
+    jest.spyOn(mediaHandler, 'processInsertionQueue').mockResolvedValue([
+      { success: true, element: { tagName: 'IMG' } },
+      { success: false, error: new Error('gone') },
+    ]);
+
+    await mediaHandler.insertMediaIntoNewMessage('msgIns', { appendChild: jest.fn() });
+    unsubscribe();
+
+    expect(handler).toHaveBeenCalledWith({ messageId: 'msgIns', mediaCount: 1, success: false });
+  });
+
   test('createInsertionTask inserts media successfully', async () => {
     const media = { type: 'image', src: 'img.jpg', alt: 'alt text' };
     const targetContainer = { appendChild: jest.fn() };
@@ -0,0 +1,178 @@
+/**
+ * @file mediaOwnership.test.js
+ * @description Unit tests for the media ownership index.
+ */
+
+import mediaOwnership from '../../scripts/services/mediaOwnership.js';
+import exclusionListManager from '../../scripts/services/exclusionList.js';
+import Logger from '../../scripts/common/logger.js';
+
+const INDEX_KEY = 'media_ownership';
+
+let backing;
+
+beforeEach(() => {
+  mediaOwnership.clearCache();
+  exclusionListManager.clearCache();
+
+  backing = {};
+  chrome.storage.local.get = jest.fn(async (keys) => {
+    const wanted = keys === null ? Object.keys(backing) : [].concat(keys);
+    return Object.fromEntries(wanted.filter(key => key in backing).map(key => [key, backing[key]]));
+  });
+  chrome.storage.local.set = jest.fn(async (items) => { Object.assign(backing, items); });
+
+  jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(Logger, 'error').mockImplementation(() => {});
+  jest.spyOn(Logger, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MediaOwnershipIndex', () => {
+  test('records media per message and persists the index', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v2', 'v1', 'v1']);
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({ [INDEX_KEY]: { msgA: ['v1', 'v2'] } });
+    await expect(mediaOwnership.getMediaIds('msgA')).resolves.toEqual(['v1', 'v2']);
+  });
+
+  test('skips the write when the media did not change', async () => {
+    backing[INDEX_KEY] = { msgA: ['v1'] };
+
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test('finds every message sharing any media with a message', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1', 'v2']);
+    await mediaOwnership.recordMessageMedia('msgB', ['v2']);
+    await mediaOwnership.recordMessageMedia('msgC', ['v3']);
+
+    await expect(mediaOwnership.getRelatedMessages('msgA')).resolves.toEqual(['msgA', 'msgB']);
+    await expect(mediaOwnership.getMessagesForMedia(['v3'])).resolves.toEqual(['msgC']);
+  });
+
+  test('forgetMessage removes a message from the reverse lookup', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    await mediaOwnership.recordMessageMedia('msgB', ['v1']);
+
+    await mediaOwnership.forgetMessage('msgB');
+
+    await expect(mediaOwnership.getMessagesForMedia(['v1'])).resolves.toEqual(['msgA']);
+  });
+
+  test('check() excludes buyers of any message containing the same media', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    await mediaOwnership.recordMessageMedia('msgB', ['v1', 'v9']);
+    await exclusionListManager.updateList('msgA', ['buyer']);
+
+    await expect(mediaOwnership.check('msgB', 'buyer')).resolves.toBe(true);
+    await expect(mediaOwnership.check('msgB', 'fan')).resolves.toBe(false);
+    await expect(mediaOwnership.check('msgC', 'buyer')).resolves.toBe(false);
+  });
+
+  test('check() follows messages into shared named lists', async () => {
+    await exclusionListManager.createList({ name: 'Bundle', id: 'bundle', subscribers: ['b1'], messageIds: ['msgA'] });
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    await mediaOwnership.recordMessageMedia('msgB', ['v1']);
+
+    await expect(mediaOwnership.getExclusionListIds('msgB')).resolves.toEqual(['msgB', 'bundle']);
+    await expect(mediaOwnership.check('msgB', 'b1')).resolves.toBe(true);
+  });
+
+  test('filterRecipients() drops owners of shared media without warning about missing lists', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    await mediaOwnership.recordMessageMedia('msgB', ['v1']);
+    await exclusionListManager.updateList('msgA', ['1', '3']);
+
+    const result = await mediaOwnership.filterRecipients('msgB', ['1', '2', '3', '4']);
+
+    expect(result).toEqual(['2', '4']);
+    expect(Logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('concurrent recordMessageMedia() calls keep each other\'s media', async () => {
+    await Promise.all([
+      mediaOwnership.recordMessageMedia('msgA', ['v1']),
+      mediaOwnership.recordMessageMedia('msgB', ['v2']),
+    ]);
+
+    expect(backing[INDEX_KEY]).toEqual({ msgA: ['v1'], msgB: ['v2'] });
+  });
+
+  test('writes keep media recorded by another context', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    backing[INDEX_KEY] = { ...backing[INDEX_KEY], msgB: ['v1'] };
+
+    await mediaOwnership.recordMessageMedia('msgC', ['v3']);
+
+    await expect(mediaOwnership.getRelatedMessages('msgA')).resolves.toEqual(['msgA', 'msgB']);
+  });
+
+  test('a change made by another context replaces the cached index', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    backing[INDEX_KEY] = { msgA: ['v1'], msgB: ['v1'] };
+
+    mediaOwnership.onStorageChanged({ other_key: {} });
+    await expect(mediaOwnership.getRelatedMessages('msgA')).resolves.toEqual(['msgA']);
+
+    mediaOwnership.onStorageChanged({ [INDEX_KEY]: {} });
+    await expect(mediaOwnership.getRelatedMessages('msgA')).resolves.toEqual(['msgA', 'msgB']);
+  });
+
+  test('getExcludedSubscribers() joins the buyers of every message sharing media, plus extra lists', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    await mediaOwnership.recordMessageMedia('msgB', ['v1']);
+    await exclusionListManager.updateList('msgA', ['1', '3']);
+    await exclusionListManager.updateList('msgB', ['3', '5']);
+    await exclusionListManager.createList({ name: 'VIP', id: 'vip', subscribers: ['7'] });
+
+    const excluded = await mediaOwnership.getExcludedSubscribers('msgB', { listIds: ['vip'] });
+
+    expect(excluded.sort()).toEqual(['1', '3', '5', '7']);
+    await expect(mediaOwnership.getExcludedSubscribers('msgZ')).resolves.toEqual([]);
+  });
+
+  test('a storage read error fails the lookup instead of excluding nobody', async () => {
+    chrome.storage.local.get = jest.fn().mockRejectedValue(new Error('IO error'));
+
+    await expect(mediaOwnership.getExcludedSubscribers('msgA')).rejects.toThrow('IO error');
+    await expect(mediaOwnership.recordMessageMedia('msgA', ['v1'])).rejects.toThrow('IO error');
+  });
+
+  test('a failed write leaves the cached index as it was', async () => {
+    await mediaOwnership.recordMessageMedia('msgA', ['v1']);
+    chrome.storage.local.set = jest.fn().mockRejectedValue(new Error('quota'));
+
+    await expect(mediaOwnership.recordMessageMedia('msgB', ['v1'])).rejects.toThrow('quota');
+    await expect(mediaOwnership.getRelatedMessages('msgA')).resolves.toEqual(['msgA']);
+  });
+
+  test('outside the background worker, writes are sent there', async () => {
+    mediaOwnership.writeMode = 'background';
+    chrome.runtime = { sendMessage: jest.fn().mockResolvedValue({ status: 'success', data: undefined }) };
+
+    try {
+      await mediaOwnership.recordMessageMedia('msgA', ['v2', 'v1']);
+      await mediaOwnership.forgetMessage('msgB');
+    } finally {
+      mediaOwnership.writeMode = null;
+    }
+
+    expect(chrome.runtime.sendMessage.mock.calls.map(([request]) => request)).toEqual([
+      { action: 'updateMediaIndex', payload: { method: 'recordMessageMedia', args: ['msgA', ['v1', 'v2']] } },
+      { action: 'updateMediaIndex', payload: { method: 'forgetMessage', args: ['msgB'] } },
+    ]);
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    delete chrome.runtime;
+  });
+
+  test('recordMessageMedia() rejects invalid input', async () => {
+    await expect(mediaOwnership.recordMessageMedia('', [])).rejects.toThrow('requires a message ID');
+    await expect(mediaOwnership.recordMessageMedia('msgA', 'v1')).rejects.toThrow('array of media IDs');
+  });
+});
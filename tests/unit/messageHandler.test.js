@@ -24,6 +24,7 @@
 
 import { handleMessage, handleBatch } from '../../scripts/services/messageHandler.js';
 import MediaHandler from '../../scripts/services/mediaHandler';
+import ExclusionList from '../../scripts/services/exclusionList.js';
 import Logger from '../../scripts/common/logger.js';
 
 let mediaHandler;
@@ -65,6 +66,19 @@ describe('messageHandler', () => {
     }
   });
 
+  test('handleMessage checks the recipient against the exclusion list', async () => {
+    jest.spyOn(ExclusionList, 'check').mockImplementation(async (listId, subscriberId) =>
+      listId === 'msg1' && subscriberId === 'buyer'
+    );
+
+    const excluded = await handleMessage('Hello again', { listId: 'msg1', subscriberId: 'buyer' });
+    const included = await handleMessage('Hello again', { listId: 'msg1', subscriberId: 'fan' });
+
+    expect(excluded.excluded).toBe(true);
+    expect(included.excluded).toBe(false);
+    expect(ExclusionList.check).toHaveBeenCalledWith('msg1', 'buyer');
+  });
+
   test('handleMessage throws when input is not a string', async () => {
     await expect(handleMessage(42)).rejects.toThrow('message must be a string');
   });
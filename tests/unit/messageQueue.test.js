@@ -81,6 +81,383 @@ jest.mock('../../scripts/common/logger.js', () => ({
       expect(onDrop).toHaveBeenCalledWith(expect.objectContaining({ id: 'msg-1' }));
     });
   
+    test('enqueue orders entries by notBefore, keeping FIFO order for ties', async () => {
+      await queue.enqueue({ id: 'late', notBefore: 3000 });
+      await queue.enqueue({ id: 'now-1' });
+      await queue.enqueue({ id: 'early', notBefore: 1000 });
+      await queue.enqueue({ id: 'now-2' });
+      await queue.enqueue({ id: 'early-2', notBefore: 1000 });
+
+      expect(queue.queue.map(msg => msg.id)).toEqual(['now-1', 'now-2', 'early', 'early-2', 'late']);
+    });
+
+    test('enqueue falls back to scheduleSend and rejects invalid times', async () => {
+      await queue.enqueue({ id: 'scheduled', scheduleSend: 5000 });
+      expect(queue.peek().notBefore).toBe(5000);
+
+      await expect(queue.enqueue({ id: 'bad', notBefore: 'tonight' })).rejects.toThrow('notBefore must be a timestamp');
+    });
+
+    test('dequeueDue only returns messages whose time has come', async () => {
+      await queue.enqueue({ id: 'later', notBefore: 2000 });
+
+      expect(await queue.dequeueDue(1999)).toBeNull();
+      expect(queue.size()).toBe(1);
+      expect((await queue.dequeueDue(2000)).id).toBe('later');
+      expect(queue.size()).toBe(0);
+    });
+
+    test('nextDueAt reports the earliest due time', async () => {
+      expect(await queue.nextDueAt()).toBeNull();
+
+      await queue.enqueue({ id: 'b', notBefore: 9000 });
+      await queue.enqueue({ id: 'a', notBefore: 4000 });
+      expect(await queue.nextDueAt()).toBe(4000);
+
+      await queue.enqueue({ id: 'c' });
+      expect(await queue.nextDueAt()).toBe(0);
+    });
+
+    test('handleRetry puts the message behind other due messages', async () => {
+      await queue.enqueue({ id: 'first' });
+      await queue.enqueue({ id: 'second' });
+      await queue.enqueue({ id: 'future', notBefore: Date.now() + 60000 });
+
+      const msg = await queue.dequeue();
+      await queue.handleRetry(msg);
+
+      expect(queue.queue.map(m => m.id)).toEqual(['second', 'first', 'future']);
+    });
+
+    test('loads saved entries in due order', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        messageQueue: JSON.stringify([{ id: 'x', notBefore: 500 }, { id: 'legacy' }, { id: 'y', notBefore: 100 }]),
+      });
+
+      const loaded = new MessageQueue();
+
+      expect(await loaded.nextDueAt()).toBe(0);
+      expect(loaded.queue.map(msg => msg.id)).toEqual(['legacy', 'y', 'x']);
+    });
+
+    test('handleRetry backs off exponentially with jitter, capped at maxDelay', async () => {
+      queue = new MessageQueue({ retryLimit: 10, baseDelay: 1000, maxDelay: 5000 });
+      const random = jest.spyOn(Math, 'random').mockReturnValue(1);
+      const msg = { id: 'flaky' };
+
+      await queue.handleRetry(msg, { now: 0 });
+      expect(msg.nextAttemptAt).toBe(1000);
+      await queue.dequeue();
+      await queue.handleRetry(msg, { now: 0 });
+      expect(msg.nextAttemptAt).toBe(2000);
+      await queue.dequeue();
+      msg.retryCount = 5;
+      await queue.handleRetry(msg, { now: 0 });
+      expect(msg.nextAttemptAt).toBe(5000);
+
+      random.mockReturnValue(0);
+      expect(queue.backoffDelay(2)).toBe(1000);
+      random.mockRestore();
+    });
+
+    test('backed-off messages are not due before nextAttemptAt', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      await queue.enqueue({ id: 'retry' });
+      const msg = await queue.dequeue();
+      await queue.handleRetry(msg, { now: 1000 });
+
+      expect(await queue.nextDueAt()).toBe(1000 + 15000);
+      expect(await queue.dequeueDue(1000)).toBeNull();
+      expect((await queue.dequeueDue(16000)).id).toBe('retry');
+      Math.random.mockRestore();
+    });
+
+    test('handleRetry moves exhausted messages to the persisted dead-letter store', async () => {
+      const msg = { id: 'msg-1', content: 'Hello', retryCount: 2, nextAttemptAt: 500 };
+
+      await queue.handleRetry(msg, { now: 4000, error: new Error('tab closed') });
+
+      expect(await queue.getDeadLetters()).toEqual([
+        { id: 'msg-1', content: 'Hello', retryCount: 3, failedAt: 4000, lastError: 'tab closed' },
+      ]);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        messageQueueDeadLetters: expect.stringContaining('"failedAt":4000'),
+      });
+    });
+
+    test('loads saved dead letters', async () => {
+      chrome.storage.local.get.mockImplementation(async key => (
+        key === 'messageQueueDeadLetters' ? { [key]: JSON.stringify([{ id: 'gone', retryCount: 3 }]) } : {}
+      ));
+
+      const loaded = new MessageQueue();
+
+      expect(await loaded.getDeadLetters()).toEqual([{ id: 'gone', retryCount: 3 }]);
+      chrome.storage.local.get.mockImplementation(() => Promise.resolve({ messageQueue: null }));
+    });
+
+    test('dead letters can be edited, replayed and discarded', async () => {
+      await queue.handleRetry({ id: 'a', content: 'typo', retryCount: 2 }, { now: 1, error: 'bad' });
+      await queue.handleRetry({ id: 'b', retryCount: 2 }, { now: 2 });
+
+      const edited = await queue.updateDeadLetter('a', { id: 'other', content: 'fixed' });
+      expect(edited).toEqual(expect.objectContaining({ id: 'a', content: 'fixed' }));
+      expect(await queue.updateDeadLetter('missing', {})).toBeNull();
+
+      expect(await queue.replayDeadLetter('a', { notBefore: 9000 })).toBe(true);
+      expect(queue.peek()).toEqual({ id: 'a', content: 'fixed', retryCount: 0, notBefore: 9000, priority: 'normal' });
+      expect(await queue.replayDeadLetter('a')).toBe(false);
+
+      expect(await queue.discardDeadLetter('b')).toBe(true);
+      expect(await queue.discardDeadLetter('b')).toBe(false);
+      expect(await queue.getDeadLetters()).toEqual([]);
+    });
+
+    test('dequeueDue takes due messages from the most urgent lane first', async () => {
+      await queue.enqueue({ id: 'bulk-1', priority: 'bulk' });
+      await queue.enqueue({ id: 'normal-1' });
+      await queue.enqueue({ id: 'urgent-later', priority: 'urgent', notBefore: 5000 });
+      await queue.enqueue({ id: 'urgent-1', priority: 'urgent', notBefore: 1000 });
+
+      const order = [];
+      for (let msg = await queue.dequeueDue(2000); msg; msg = await queue.dequeueDue(2000)) {
+        order.push(msg.id);
+        queue.release(msg);
+      }
+
+      expect(order).toEqual(['urgent-1', 'normal-1', 'bulk-1']);
+      expect(queue.peek().id).toBe('urgent-later');
+    });
+
+    test('enqueue rejects unknown priorities', async () => {
+      await expect(queue.enqueue({ id: 'x', priority: 'asap' })).rejects.toThrow('priority must be one of: urgent, normal, bulk');
+    });
+
+    test('each lane holds back messages once its concurrency is used up', async () => {
+      queue = new MessageQueue({ concurrency: { normal: 2 } });
+      await queue.enqueue({ id: 'n1' });
+      await queue.enqueue({ id: 'n2' });
+      await queue.enqueue({ id: 'n3' });
+      await queue.enqueue({ id: 'b1', priority: 'bulk' });
+
+      const n1 = await queue.dequeueDue();
+      await queue.dequeueDue();
+      expect((await queue.dequeueDue()).id).toBe('b1');
+      expect(await queue.dequeueDue()).toBeNull();
+
+      queue.release(n1);
+      expect((await queue.dequeueDue()).id).toBe('n3');
+    });
+
+    test('pause stops dequeueDue, persists, and fires onPause/onResume', async () => {
+      const onPause = jest.fn();
+      const onResume = jest.fn();
+      queue = new MessageQueue({ eventHandlers: { onPause, onResume } });
+      await queue.enqueue({ id: 'a' });
+
+      expect(await queue.pause({ reason: 'looks wrong', now: 7000 })).toBe(true);
+      expect(await queue.pause()).toBe(false);
+      expect(onPause).toHaveBeenCalledWith({ pausedAt: 7000, reason: 'looks wrong' });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        messageQueueState: JSON.stringify({ paused: { pausedAt: 7000, reason: 'looks wrong' } }),
+      });
+      expect(await queue.dequeueDue()).toBeNull();
+
+      expect(await queue.resume()).toBe(true);
+      expect(await queue.resume()).toBe(false);
+      expect(onResume).toHaveBeenCalledTimes(1);
+      expect(await queue.getPauseState()).toBeNull();
+      expect((await queue.dequeueDue()).id).toBe('a');
+    });
+
+    test('restores the paused state on load', async () => {
+      chrome.storage.local.get.mockImplementation(async key => (
+        key === 'messageQueueState' ? { [key]: JSON.stringify({ paused: { pausedAt: 1, reason: null } }) } : {}
+      ));
+
+      const loaded = new MessageQueue();
+
+      expect(await loaded.getPauseState()).toEqual({ pausedAt: 1, reason: null });
+      chrome.storage.local.get.mockImplementation(() => Promise.resolve({ messageQueue: null }));
+    });
+
+    test('derives idempotency keys from source message, list version and schedule', async () => {
+      await queue.enqueue({ id: 'r1', sourceMessageId: 'm1', exclusionListVersion: 4, notBefore: 5000 });
+      await queue.enqueue({ id: 'r2' });
+
+      expect(queue.queue.map(msg => msg.idempotencyKey)).toEqual(['r2|-|-', 'm1|4|5000']);
+      expect(MessageQueue.idempotencyKey({ id: 'x', sourceMessageId: 'm1' })).toBe('m1|-|-');
+    });
+
+    test('enqueue rejects a second recycle of the same message, audience and schedule', async () => {
+      await queue.enqueue({ id: 'r1', sourceMessageId: 'm1', exclusionListVersion: 4 });
+
+      expect(await queue.enqueue({ id: 'r2', sourceMessageId: 'm1', exclusionListVersion: 4 })).toBe(false);
+      expect(await queue.enqueue({ id: 'r3', sourceMessageId: 'm1', exclusionListVersion: 5 })).toBe(true);
+      expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('duplicates m1|4|-'));
+    });
+
+    test('looks up the exclusion list version when the message does not carry one', async () => {
+      const resolveListVersion = jest.fn().mockResolvedValue(7);
+      queue = new MessageQueue({ resolveListVersion });
+
+      await queue.enqueue({ id: 'r1', sourceMessageId: 'm1' });
+
+      expect(resolveListVersion).toHaveBeenCalledWith(expect.objectContaining({ sourceMessageId: 'm1' }));
+      expect(queue.peek()).toEqual(expect.objectContaining({ exclusionListVersion: 7, idempotencyKey: 'm1|7|-' }));
+    });
+
+    test('the ledger blocks re-enqueueing once a message was handed to the sender', async () => {
+      await queue.enqueue({ id: 'r1', sourceMessageId: 'm1' });
+      const msg = await queue.dequeueDue(1000);
+
+      // Simulates a worker restart mid-send: no markSent, no handleRetry.
+      expect(await queue.wasSent('m1|-|-')).toBe(true);
+      expect(await queue.enqueue({ id: 'r1', sourceMessageId: 'm1' })).toBe(false);
+
+      await queue.markSent(msg, 2000);
+      expect(queue.ledger['m1|-|-']).toEqual({ id: 'r1', status: 'sent', at: 2000 });
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        messageQueueSentLedger: JSON.stringify({ 'm1|-|-': { id: 'r1', status: 'sent', at: 2000 } }),
+      });
+    });
+
+    test('a failed send frees its key for the retry', async () => {
+      await queue.enqueue({ id: 'r1' });
+      const msg = await queue.dequeueDue(1000);
+      await queue.handleRetry(msg, { now: 1000 });
+
+      expect(await queue.wasSent('r1|-|-')).toBe(false);
+      expect(queue.size()).toBe(1);
+    });
+
+    test('dequeueDue drops due entries that were already sent', async () => {
+      chrome.storage.local.get.mockImplementation(async key => {
+        if (key === 'messageQueue') return { [key]: JSON.stringify([{ id: 'old', idempotencyKey: 'k1' }, { id: 'new' }]) };
+        if (key === 'messageQueueSentLedger') return { [key]: JSON.stringify({ k1: { id: 'old', status: 'sent', at: 1 } }) };
+        return {};
+      });
+      const loaded = new MessageQueue();
+
+      expect((await loaded.dequeueDue()).id).toBe('new');
+      expect(loaded.size()).toBe(0);
+      expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('already sent as k1'));
+      chrome.storage.local.get.mockImplementation(() => Promise.resolve({ messageQueue: null }));
+    });
+
+    test('markSent prunes ledger entries past the retention period', async () => {
+      queue = new MessageQueue({ ledgerRetention: 1000 });
+      await queue.markSent({ id: 'a' }, 0);
+      await queue.markSent({ id: 'b' }, 5000);
+
+      expect(Object.keys(queue.ledger)).toEqual(['b|-|-']);
+    });
+
+    describe('persistence', () => {
+      let backing;
+
+      beforeEach(() => {
+        backing = {};
+        chrome.storage.local.get.mockImplementation(async key => ({ [key]: backing[key] }));
+        chrome.storage.local.set.mockImplementation(async data => { Object.assign(backing, data); });
+      });
+
+      afterEach(() => {
+        chrome.storage.local.get.mockImplementation(() => Promise.resolve({ messageQueue: null }));
+        chrome.storage.local.set.mockImplementation(() => Promise.resolve());
+      });
+
+      test('saves a versioned format with a revision per save', async () => {
+        queue = new MessageQueue();
+        await queue.enqueue({ id: 'a' });
+        await queue.enqueue({ id: 'b' });
+
+        const stored = JSON.parse(backing.messageQueue);
+        expect(stored).toEqual({ format: 2, revision: 2, entries: [expect.objectContaining({ id: 'a' }), expect.objectContaining({ id: 'b' })] });
+      });
+
+      test('ready() resolves once the stored queue is loaded', async () => {
+        backing.messageQueue = JSON.stringify({ format: 2, revision: 5, entries: [{ id: 'stored' }] });
+        queue = new MessageQueue();
+
+        await queue.ready();
+
+        expect(queue.size()).toBe(1);
+        expect(queue.revision).toBe(5);
+      });
+
+      test('changes made during a cold start are merged with the stored queue', async () => {
+        backing.messageQueue = JSON.stringify({ format: 2, revision: 3, entries: [{ id: 'stored' }] });
+        let finishLoad;
+        chrome.storage.local.get.mockImplementationOnce(key => new Promise(resolve => {
+          finishLoad = () => resolve({ [key]: backing[key] });
+        }));
+
+        queue = new MessageQueue();
+        queue._insertByDueTime({ id: 'early' });
+        const enqueued = queue.enqueue({ id: 'fresh' });
+        finishLoad();
+        await enqueued;
+
+        expect(queue.queue.map(msg => msg.id)).toEqual(['stored', 'early', 'fresh']);
+        expect(JSON.parse(backing.messageQueue).entries.map(msg => msg.id)).toEqual(['stored', 'early', 'fresh']);
+      });
+
+      test('nothing is saved before the load finishes, so the stored queue is not overwritten', async () => {
+        backing.messageQueue = JSON.stringify([{ id: 'legacy-1' }, { id: 'legacy-2' }]);
+        queue = new MessageQueue();
+
+        const first = await queue.dequeue();
+
+        expect(first.id).toBe('legacy-1');
+        expect(JSON.parse(backing.messageQueue)).toEqual({ format: 2, revision: 1, entries: [{ id: 'legacy-2' }] });
+      });
+
+      test('replays local changes on top of a revision saved by another instance', async () => {
+        const background = new MessageQueue();
+        const other = new MessageQueue();
+        await Promise.all([background.ready(), other.ready()]);
+
+        await background.enqueue({ id: 'from-background' });
+        await other.enqueue({ id: 'from-other' });
+        await background.dequeue();
+        await background.enqueue({ id: 'later' });
+
+        const stored = JSON.parse(backing.messageQueue);
+        expect(stored.revision).toBe(4);
+        expect(stored.entries.map(msg => msg.id)).toEqual(['from-other', 'later']);
+        expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('merging changes'));
+      });
+
+      test('keeps unsaved changes for the next save when a write fails', async () => {
+        queue = new MessageQueue();
+        await queue.ready();
+        chrome.storage.local.set.mockRejectedValueOnce(new Error('quota'));
+
+        await queue.enqueue({ id: 'a' });
+        expect(queue.journal).toEqual([expect.objectContaining({ op: 'put', id: 'a' })]);
+
+        await queue.enqueue({ id: 'b' });
+        expect(queue.journal).toEqual([]);
+        expect(JSON.parse(backing.messageQueue).entries.map(msg => msg.id)).toEqual(['a', 'b']);
+      });
+    });
+
+    test('getStats summarizes queued, in-flight, dead-lettered and sent messages', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      await queue.enqueue({ id: 'due' });
+      await queue.enqueue({ id: 'later', notBefore: 10 * day });
+      await queue.enqueue({ id: 'sending', priority: 'urgent' });
+      await queue.dequeueDue(2 * day);
+      await queue.handleRetry({ id: 'dead', retryCount: 2 }, { now: 1 });
+      await queue.markSent({ id: 'old' }, 0);
+      await queue.markSent({ id: 'recent' }, 2 * day - 1000);
+
+      expect(await queue.getStats(2 * day)).toEqual({
+        queued: 2, due: 1, inFlight: 1, deadLetters: 1, sent: 2, sentLast24h: 1, paused: false,
+      });
+    });
+
     test('clear empties the queue', async () => {
       await queue.enqueue(testMessage);
       await queue.clear();
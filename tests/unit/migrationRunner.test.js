@@ -0,0 +1,140 @@
+/**
+ * @file migrationRunner.test.js
+ * @description Unit tests for the MigrationRunner module.
+ */
+
+import MigrationRunner from '../../scripts/background/migrationRunner.js';
+import Logger from '../../scripts/common/logger.js';
+import Events from '../../scripts/common/events.js';
+import Storage from '../../scripts/common/storage.js';
+
+describe('MigrationRunner', () => {
+  let backing;
+  let runner;
+
+  beforeEach(() => {
+    backing = {};
+    chrome.storage.local.get = jest.fn(async (keys) => {
+      const wanted = keys === null ? Object.keys(backing) : [].concat(keys);
+      return Object.fromEntries(wanted.filter(key => key in backing).map(key => [key, backing[key]]));
+    });
+    chrome.storage.local.set = jest.fn(async (items) => { Object.assign(backing, items); });
+    chrome.storage.local.remove = jest.fn(async (keys) => { [].concat(keys).forEach(key => delete backing[key]); });
+    jest.spyOn(Logger, 'info').mockImplementation(() => {});
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+
+    runner = new MigrationRunner();
+    runner.register(1, {
+      description: 'Rename settings',
+      migrate: (items) => {
+        if ('settings' in items) {
+          items.options = items.settings;
+          delete items.settings;
+        }
+      },
+    });
+    runner.register(2, {
+      description: 'Add a theme',
+      migrate: (items) => ({ ...items, options: { ...items.options, theme: 'light' } }),
+    });
+  });
+
+  afterEach(() => {
+    delete chrome.storage.local.remove;
+    jest.restoreAllMocks();
+  });
+
+  test('register only accepts increasing versions with a description and function', () => {
+    const migrate = jest.fn();
+
+    expect(runner.getLatestVersion()).toBe(2);
+    expect(() => runner.register(2, { description: 'again', migrate })).toThrow('integer above 2, got 2');
+    expect(() => runner.register(1.5, { description: 'half', migrate })).toThrow('integer above 2');
+    expect(() => runner.register(3, { migrate })).toThrow('Migration 3 requires a description');
+    expect(() => runner.register(3, { description: 'no-op' })).toThrow('Migration 3 requires a migrate function');
+  });
+
+  test('runs pending migrations in order, backs up what they change and stores the version', async () => {
+    backing = { settings: { lang: 'en' }, untouched: 1 };
+
+    const report = await runner.run();
+
+    expect(report).toEqual({
+      from: 0,
+      to: 2,
+      applied: [{ version: 1, description: 'Rename settings' }, { version: 2, description: 'Add a theme' }],
+      written: ['options'],
+      removed: ['settings'],
+      dryRun: false,
+    });
+    expect(backing).toEqual(expect.objectContaining({
+      options: { lang: 'en', theme: 'light' },
+      untouched: 1,
+      schema_version: 2,
+      schema_backup: expect.objectContaining({
+        fromVersion: 0,
+        toVersion: 2,
+        items: { settings: { lang: 'en' } },
+        created: ['options'],
+      }),
+    }));
+    expect('settings' in backing).toBe(false);
+    expect(Object.keys(backing).some(key => key.startsWith('storage_tx_'))).toBe(false);
+  });
+
+  test('only runs migrations above the stored version', async () => {
+    backing = { schema_version: 1, options: { lang: 'en' } };
+
+    const report = await runner.run();
+
+    expect(report.applied.map(migration => migration.version)).toEqual([2]);
+    expect(backing.options).toEqual({ lang: 'en', theme: 'light' });
+    await expect(runner.run()).resolves.toEqual(expect.objectContaining({ from: 2, to: 2, applied: [] }));
+  });
+
+  test('a dry run reports the changes without writing anything', async () => {
+    backing = { settings: { lang: 'en' } };
+
+    const report = await runner.run({ dryRun: true });
+
+    expect(report).toEqual(expect.objectContaining({ to: 2, written: ['options'], removed: ['settings'], dryRun: true }));
+    expect(backing).toEqual({ settings: { lang: 'en' } });
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test('a failing migration leaves storage and the version untouched', async () => {
+    const publish = jest.spyOn(Events, 'publish').mockImplementation(() => {});
+    runner.register(3, { description: 'Broken', migrate: () => { throw new Error('bad data'); } });
+    backing = { settings: { lang: 'en' } };
+
+    await expect(runner.run()).rejects.toThrow('bad data');
+
+    expect(backing).toEqual({ settings: { lang: 'en' } });
+    expect(Logger.error).toHaveBeenCalledWith('Migration 3 (Broken) failed: bad data');
+    expect(publish).toHaveBeenCalledWith('error', expect.objectContaining({ source: 'migrations' }));
+  });
+
+  test('defers migrations while encrypted storage is locked', async () => {
+    backing = { settings: { lang: 'en' }, storage_encryption: { version: 1, autoLockMinutes: 15 } };
+    Storage.use('chrome');
+
+    await expect(runner.run()).resolves.toEqual(expect.objectContaining({ from: 0, applied: [], deferred: true }));
+
+    expect(backing.settings).toEqual({ lang: 'en' });
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    Storage.use(null);
+  });
+
+  test('restoreBackup puts back the pre-migration values and version', async () => {
+    await expect(runner.restoreBackup()).resolves.toBe(false);
+    backing = { schema_version: 0, settings: { lang: 'en' } };
+    await runner.run();
+
+    await expect(runner.restoreBackup()).resolves.toBe(true);
+
+    expect(backing).toEqual(expect.objectContaining({ schema_version: 0, settings: { lang: 'en' } }));
+    expect('options' in backing).toBe(false);
+    await expect(runner.getVersion()).resolves.toBe(0);
+  });
+});
@@ -93,5 +93,16 @@ jest.mock('../../scripts/common/logger.js', () => ({
       );
       expect(id).toMatch(/^rc-notif-/);
     });
+
+    test('showStorageWarning names the usage and the largest namespace', async () => {
+      await NotificationManager.showStorageWarning(81.6, 'exclusion lists');
+      expect(browser.notifications.create).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          title: 'RecycleContent Storage Almost Full',
+          message: expect.stringContaining('Storage is 82% full, mostly exclusion lists.'),
+        })
+      );
+    });
   });
   
\ No newline at end of file
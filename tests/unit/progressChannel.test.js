@@ -0,0 +1,198 @@
+/**
+ * @file progressChannel.test.js
+ * @description Unit tests for the ProgressChannel module.
+ */
+
+import ProgressChannel from '../../scripts/background/progressChannel.js';
+import Logger from '../../scripts/common/logger.js';
+
+/** Minimal runtime.Port double that records what the background posts. */
+function createPort({ name = 'recycleProgress', tab } = {}) {
+  const listeners = { message: [], disconnect: [] };
+  return {
+    name,
+    sender: tab ? { tab } : {},
+    posted: [],
+    postMessage: jest.fn(function (message) { this.posted.push(message); }),
+    onMessage: { addListener: (fn) => listeners.message.push(fn) },
+    onDisconnect: { addListener: (fn) => listeners.disconnect.push(fn) },
+    send(message) { listeners.message.forEach(fn => fn(message)); },
+    disconnect() { listeners.disconnect.forEach(fn => fn()); },
+  };
+}
+
+const events = (port) => port.posted.filter(m => m.type === 'progress').map(m => m.event);
+
+describe('ProgressChannel', () => {
+  let channel;
+  let popup;
+
+  beforeEach(() => {
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Logger, 'debug').mockImplementation(() => {});
+    channel = new ProgressChannel();
+    popup = createPort();
+    channel.connect(popup);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only adopts ports with the channel name and greets them with running jobs', () => {
+    expect(channel.connect(createPort({ name: 'other' }))).toBe(false);
+    expect(popup.posted).toEqual([{ type: 'jobs', jobs: [] }]);
+  });
+
+  test('streams typed progress events from start to completion', async () => {
+    const result = await channel.run('msg1', async ({ jobId, report }) => {
+      report('buyersCollected', { messageId: 'msg1', count: 3 });
+      return { jobId, queued: true };
+    });
+
+    expect(events(popup)).toEqual(['recycleStarted', 'buyersCollected', 'recycleCompleted']);
+    const jobId = popup.posted[1].jobId;
+    expect(result).toEqual({ jobId, queued: true });
+    expect(popup.posted.slice(1).every(m => m.jobId === jobId)).toBe(true);
+    expect(popup.posted[3].data).toEqual(expect.objectContaining({ messageId: 'msg1', success: true }));
+    expect(channel.getJobs()).toEqual([]);
+  });
+
+  test('reports a failed job as completed without success', async () => {
+    await expect(channel.run('msg1', async () => { throw new Error('tab closed'); })).rejects.toThrow('tab closed');
+
+    expect(popup.posted.at(-1)).toEqual(expect.objectContaining({
+      event: 'recycleCompleted',
+      data: expect.objectContaining({ success: false, error: 'tab closed' }),
+    }));
+  });
+
+  test('the popup can cancel a running job, and content scripts are told to stop', async () => {
+    const content = createPort({ tab: { id: 7 } });
+    channel.connect(content);
+
+    let proceed;
+    const job = channel.run('msg1', async ({ signal, report }) => {
+      await new Promise(resolve => { proceed = resolve; });
+      signal.throwIfAborted();
+      report('recycleQueued', { messageId: 'msg1' });
+    });
+    const { jobId } = channel.getJobs()[0];
+
+    popup.send({ type: 'cancel', jobId, reason: 'Cancelled from popup' });
+    expect(channel.getJobs()[0].status).toBe('cancelling');
+    proceed();
+
+    await expect(job).rejects.toThrow('Recycle cancelled');
+    expect(content.posted).toContainEqual({ type: 'cancel', jobId });
+    expect(events(popup)).toEqual(['recycleStarted', 'recycleCancelled']);
+    expect(popup.posted.at(-1).data.reason).toBe('Cancelled from popup');
+  });
+
+  test('a job cancelled after its last step still ends as cancelled', async () => {
+    const job = channel.run('msg1', async () => {
+      channel.cancel(channel.getJobs()[0].jobId);
+      return 'done';
+    });
+
+    await expect(job).rejects.toThrow('Recycle cancelled');
+  });
+
+  test('a committed job refuses a late cancel and completes', async () => {
+    const job = channel.run('msg1', async ({ commit }) => {
+      commit();
+      expect(channel.cancel(channel.getJobs()[0].jobId)).toBe(false);
+      return 'queued';
+    });
+
+    await expect(job).resolves.toBe('queued');
+    expect(events(popup)).toEqual(['recycleStarted', 'recycleCompleted']);
+  });
+
+  test('commit throws when the job was already cancelled', async () => {
+    const job = channel.run('msg1', async ({ commit }) => {
+      channel.cancel(channel.getJobs()[0].jobId);
+      commit();
+    });
+
+    await expect(job).rejects.toThrow('Recycle cancelled');
+  });
+
+  test('a deferred job stays open after its task returns until it is completed', async () => {
+    const content = createPort({ tab: { id: 7 } });
+    channel.connect(content);
+
+    const result = await channel.run('msg1', async ({ jobId, commit, defer }) => {
+      commit();
+      defer();
+      return jobId;
+    });
+
+    expect(channel.getJobs()).toEqual([expect.objectContaining({ jobId: result, status: 'deferred' })]);
+    expect(channel.cancel(result)).toBe(false);
+    content.send({ type: 'progress', jobId: result, event: 'mediaInserted', data: { messageId: 'msg1', mediaCount: 1, success: true } });
+    expect(events(popup)).toEqual(['recycleStarted', 'mediaInserted']);
+
+    expect(channel.complete(result, { messageId: 'msg1', success: true })).toBe(true);
+    expect(events(popup)).toEqual(['recycleStarted', 'mediaInserted', 'recycleCompleted']);
+    expect(channel.getJobs()).toEqual([]);
+  });
+
+  test('only a committed job can be deferred', async () => {
+    await expect(channel.run('msg1', async ({ defer }) => defer())).rejects.toThrow('Only a committed job can be deferred');
+  });
+
+  test('completing a job it no longer tracks still tells the ports', () => {
+    expect(channel.complete('job_gone', { messageId: 'msg1', success: false, error: 'Send failed' })).toBe(false);
+
+    expect(popup.posted.at(-1)).toEqual({
+      type: 'progress',
+      jobId: 'job_gone',
+      event: 'recycleCompleted',
+      data: expect.objectContaining({ messageId: 'msg1', success: false, error: 'Send failed' }),
+    });
+  });
+
+  test('accepts progress from content scripts only, and only known events', async () => {
+    const content = createPort({ tab: { id: 7 } });
+    channel.connect(content);
+
+    let proceed;
+    const job = channel.run('msg1', () => new Promise(resolve => { proceed = resolve; }));
+    const { jobId } = channel.getJobs()[0];
+
+    content.send({ type: 'progress', jobId, event: 'mediaInserted', data: { messageId: 'msg1', mediaCount: 2, success: true } });
+    popup.send({ type: 'progress', jobId, event: 'mediaInserted', data: {} });
+    content.send({ type: 'progress', jobId, event: 'madeUp', data: {} });
+
+    expect(channel.getJobs()[0].lastEvent).toEqual({
+      event: 'mediaInserted', data: { messageId: 'msg1', mediaCount: 2, success: true },
+    });
+    expect(events(popup)).toEqual(['recycleStarted', 'mediaInserted']);
+    expect(Logger.warn).toHaveBeenCalledWith('Ignoring unknown progress event: madeUp');
+
+    proceed();
+    await job;
+  });
+
+  test('late subscribers receive running jobs, and disconnected ports are dropped', async () => {
+    let proceed;
+    const job = channel.run('msg1', () => new Promise(resolve => { proceed = resolve; }));
+
+    const late = createPort();
+    channel.connect(late);
+    expect(late.posted[0]).toEqual({
+      type: 'jobs',
+      jobs: [expect.objectContaining({ messageId: 'msg1', status: 'running', lastEvent: expect.objectContaining({ event: 'recycleStarted' }) })],
+    });
+
+    late.disconnect();
+    const broken = createPort();
+    channel.connect(broken);
+    broken.postMessage.mockImplementation(() => { throw new Error('Attempting to use a disconnected port object'); });
+
+    proceed();
+    await job;
+    expect(channel.ports).toEqual(new Set([popup]));
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @file queueDispatcher.test.js
+ * @description Unit tests for the QueueDispatcher module.
+ */
+
+import MessageQueue from '../../scripts/background/messageQueue.js';
+import QueueDispatcher from '../../scripts/background/queueDispatcher.js';
+import Logger from '../../scripts/common/logger.js';
+
+describe('QueueDispatcher', () => {
+  let queue;
+  let send;
+  let dispatcher;
+
+  beforeEach(() => {
+    chrome.storage.local.get = jest.fn().mockResolvedValue({});
+    chrome.storage.local.set = jest.fn().mockResolvedValue();
+    chrome.alarms = { create: jest.fn(), clear: jest.fn().mockResolvedValue(true) };
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Logger, 'debug').mockImplementation(() => {});
+
+    queue = new MessageQueue({ retryLimit: 2 });
+    send = jest.fn().mockResolvedValue();
+    dispatcher = new QueueDispatcher({ queue, send });
+  });
+
+  afterEach(() => {
+    delete chrome.alarms;
+    jest.restoreAllMocks();
+  });
+
+  test('requires a queue and a send function', () => {
+    expect(() => new QueueDispatcher({ queue })).toThrow('requires a queue and a send function');
+  });
+
+  test('sets a one-shot alarm for exactly when the next message is due', async () => {
+    const tonight = Date.now() + 6 * 60 * 60 * 1000;
+
+    await dispatcher.enqueue({ id: 'peak', notBefore: tonight });
+
+    expect(send).not.toHaveBeenCalled();
+    expect(chrome.alarms.create).toHaveBeenCalledWith('recycleContentDispatch', { when: tonight });
+  });
+
+  test('sends immediately when the message is already due', async () => {
+    await dispatcher.enqueue({ id: 'now' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: 'now' }));
+    expect(queue.size()).toBe(0);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('recycleContentDispatch');
+  });
+
+  test('on its alarm sends every due message in order and re-arms for the rest', async () => {
+    await queue.enqueue({ id: 'b', notBefore: 2000 });
+    await queue.enqueue({ id: 'a', notBefore: 1000 });
+    await queue.enqueue({ id: 'c', notBefore: 9000 });
+
+    const sent = await dispatcher.dispatchDue(5000);
+
+    expect(sent).toBe(2);
+    expect(send.mock.calls.map(([msg]) => msg.id)).toEqual(['a', 'b']);
+    expect(chrome.alarms.create).toHaveBeenCalledWith('recycleContentDispatch', { when: 9000 });
+  });
+
+  test('ignores alarms it does not own', async () => {
+    await queue.enqueue({ id: 'a' });
+
+    await expect(dispatcher.handleAlarm({ name: 'recycleContentAlarm' })).resolves.toBe(false);
+    expect(send).not.toHaveBeenCalled();
+    await expect(dispatcher.handleAlarm({ name: 'recycleContentDispatch' })).resolves.toBe(true);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed send is retried after its backoff without blocking other due messages', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    send.mockImplementation(async msg => {
+      if (msg.id === 'broken') throw new Error('tab closed');
+    });
+    await queue.enqueue({ id: 'broken' });
+    await queue.enqueue({ id: 'fine' });
+
+    const sent = await dispatcher.dispatchDue(1000);
+
+    expect(sent).toBe(1);
+    expect(queue.peek()).toEqual(expect.objectContaining({
+      id: 'broken', retryCount: 1, nextAttemptAt: 1000 + 30000, lastError: 'tab closed',
+    }));
+    expect(chrome.alarms.create).toHaveBeenCalledWith('recycleContentDispatch', { when: 1000 + 30000 });
+    expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('tab closed'));
+  });
+
+  test('does not dispatch or keep an alarm while the queue is paused', async () => {
+    await queue.enqueue({ id: 'a' });
+    await queue.pause();
+
+    await dispatcher.schedule(1000);
+    expect(await dispatcher.dispatchDue(1000)).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('recycleContentDispatch');
+
+    await queue.resume();
+    await dispatcher.schedule(1000);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('holds sends without using up retries while isHeld is true', async () => {
+    let held = true;
+    dispatcher = new QueueDispatcher({ queue, send, isHeld: async () => held });
+    await queue.enqueue({ id: 'a' });
+
+    await dispatcher.schedule(1000);
+    expect(await dispatcher.dispatchDue(1000)).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('recycleContentDispatch');
+    expect((await queue.getEntries())[0].retryCount ?? 0).toBe(0);
+
+    held = false;
+    await dispatcher.schedule(1000);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('sends urgent messages first and runs lanes in parallel', async () => {
+    const pending = [];
+    send.mockImplementation(msg => new Promise(resolve => pending.push({ id: msg.id, resolve })));
+    await queue.enqueue({ id: 'bulk', priority: 'bulk' });
+    await queue.enqueue({ id: 'normal-1' });
+    await queue.enqueue({ id: 'normal-2' });
+    await queue.enqueue({ id: 'urgent', priority: 'urgent' });
+
+    const run = dispatcher.dispatchDue(1000);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    // One slot per lane by default: normal-2 waits for normal-1.
+    expect(pending.map(p => p.id)).toEqual(['urgent', 'normal-1', 'bulk']);
+    pending.forEach(p => p.resolve());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(pending.map(p => p.id)).toEqual(['urgent', 'normal-1', 'bulk', 'normal-2']);
+    pending[3].resolve();
+
+    await expect(run).resolves.toBe(4);
+  });
+
+  test('holds back sends until the governor opens the next slot', async () => {
+    const governor = { nextSlotAt: jest.fn(), tryAcquire: jest.fn().mockResolvedValue(true) };
+    governor.nextSlotAt.mockResolvedValueOnce(1000).mockResolvedValue(5000);
+    dispatcher = new QueueDispatcher({ queue, send, governor });
+    await queue.enqueue({ id: 'a' });
+    await queue.enqueue({ id: 'b' });
+
+    await expect(dispatcher.dispatchDue(1000)).resolves.toBe(1);
+
+    expect(send.mock.calls.map(([msg]) => msg.id)).toEqual(['a']);
+    expect(governor.tryAcquire).toHaveBeenCalledTimes(1);
+    expect(chrome.alarms.create).toHaveBeenCalledWith('recycleContentDispatch', { when: 5000 });
+  });
+
+  test('does not take a send slot when nothing is due', async () => {
+    const governor = { nextSlotAt: jest.fn().mockResolvedValue(1000), tryAcquire: jest.fn() };
+    dispatcher = new QueueDispatcher({ queue, send, governor });
+    await queue.enqueue({ id: 'later', notBefore: 9000 });
+
+    await dispatcher.dispatchDue(1000);
+
+    expect(governor.tryAcquire).not.toHaveBeenCalled();
+    expect(chrome.alarms.create).toHaveBeenCalledWith('recycleContentDispatch', { when: 9000 });
+  });
+
+  test('records successful sends in the sent-ledger so they cannot be queued again', async () => {
+    await queue.enqueue({ id: 'a', sourceMessageId: 'm1', exclusionListVersion: 2 });
+
+    await dispatcher.dispatchDue(1000);
+
+    expect(queue.ledger['m1|2|-']).toEqual({ id: 'a', status: 'sent', at: 1000 });
+    await expect(dispatcher.enqueue({ id: 'a', sourceMessageId: 'm1', exclusionListVersion: 2 })).resolves.toBe(false);
+  });
+
+  test('overlapping dispatches share one run', async () => {
+    await queue.enqueue({ id: 'a' });
+
+    const [first, second] = await Promise.all([dispatcher.dispatchDue(), dispatcher.dispatchDue()]);
+
+    expect(first).toBe(1);
+    expect(second).toBe(1);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
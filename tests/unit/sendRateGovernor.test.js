@@ -0,0 +1,97 @@
+/**
+ * @file sendRateGovernor.test.js
+ * @description Unit tests for the SendRateGovernor module.
+ */
+
+import SendRateGovernor from '../../scripts/background/sendRateGovernor.js';
+import Logger from '../../scripts/common/logger.js';
+
+const KEY = 'send_rate';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('SendRateGovernor', () => {
+  let governor;
+
+  beforeEach(() => {
+    chrome.storage.local.get = jest.fn().mockResolvedValue({});
+    chrome.storage.local.set = jest.fn().mockResolvedValue();
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    governor = new SendRateGovernor();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allows the first send right away and then waits the gap plus random spacing', async () => {
+    const now = 10 * HOUR;
+
+    await expect(governor.nextSlotAt(now)).resolves.toBe(now);
+    await expect(governor.tryAcquire(now)).resolves.toBe(true);
+
+    // 3 min minimum gap + half of the 2 min random spacing
+    await expect(governor.nextSlotAt(now)).resolves.toBe(now + 4 * MINUTE);
+    await expect(governor.tryAcquire(now + 4 * MINUTE - 1)).resolves.toBe(false);
+    await expect(governor.tryAcquire(now + 4 * MINUTE)).resolves.toBe(true);
+  });
+
+  test('the hourly bucket runs dry and refills gradually', async () => {
+    await governor.configure({ perHour: 2, minGapMs: 0, randomSpacingMs: 0 });
+    const now = 10 * HOUR;
+
+    await governor.tryAcquire(now);
+    await governor.tryAcquire(now);
+    await expect(governor.tryAcquire(now)).resolves.toBe(false);
+
+    // One token takes half an hour to come back at 2 per hour
+    await expect(governor.nextSlotAt(now)).resolves.toBe(now + 30 * MINUTE);
+    await expect(governor.tryAcquire(now + 30 * MINUTE)).resolves.toBe(true);
+  });
+
+  test('the daily bucket caps sends even when the hourly one has room', async () => {
+    await governor.configure({ perHour: 10, perDay: 3, minGapMs: 0, randomSpacingMs: 0 });
+    const now = 10 * HOUR;
+
+    for (let i = 0; i < 3; i++) {
+      await expect(governor.tryAcquire(now + i * HOUR)).resolves.toBe(true);
+    }
+    await expect(governor.tryAcquire(now + 3 * HOUR)).resolves.toBe(false);
+    // A quarter token is left after the third send, and each hour adds an eighth
+    await expect(governor.nextSlotAt(now + 3 * HOUR)).resolves.toBe(now + 8 * HOUR);
+  });
+
+  test('persists bucket state and restores it in a new instance', async () => {
+    const now = 10 * HOUR;
+    await governor.tryAcquire(now);
+
+    const [[saved]] = chrome.storage.local.set.mock.calls.slice(-1);
+    expect(saved[KEY].state).toEqual({
+      hourTokens: 11, dayTokens: 99, refilledAt: now, lastSentAt: now, nextGapMs: 4 * MINUTE,
+    });
+
+    chrome.storage.local.get.mockResolvedValue(saved);
+    const restarted = new SendRateGovernor();
+    await expect(restarted.nextSlotAt(now + MINUTE)).resolves.toBe(now + 4 * MINUTE);
+  });
+
+  test('configure validates limits and clamps the buckets', async () => {
+    await expect(governor.configure({ perWeek: 5 })).rejects.toThrow('Unknown send rate limit: perWeek');
+    await expect(governor.configure({ minGapMs: -1 })).rejects.toThrow('minGapMs must be a non-negative number');
+    await expect(governor.configure({ perHour: 0 })).rejects.toThrow('perHour must be at least 1');
+
+    await governor.configure({ perHour: 1 });
+    await governor.tryAcquire(10 * HOUR);
+    await expect(governor.getLimits()).resolves.toEqual(expect.objectContaining({ perHour: 1, perDay: 100 }));
+    await expect(governor.nextSlotAt(10 * HOUR)).resolves.toBe(11 * HOUR);
+  });
+
+  test('works without persisted storage when reading fails', async () => {
+    chrome.storage.local.get.mockRejectedValue(new Error('quota'));
+
+    await expect(governor.tryAcquire(HOUR)).resolves.toBe(true);
+    expect(Logger.error).toHaveBeenCalledWith(expect.stringContaining('quota'));
+  });
+});
@@ -59,9 +59,12 @@ describe('Storage', () => {
                 },
             },
         };
+        // chrome.storage is detected first; these tests cover the Firefox backend
+        Storage.use('browser');
     });
 
     afterEach(() => {
+        Storage.use(null);
         jest.restoreAllMocks();
     });
 
@@ -259,3 +262,203 @@ describe('Storage', () => {
         expect(() => Storage.isListSortedInReverseOrder([], 'invalid')).toThrow('Invalid order: invalid');
     });
 });
+
+describe('Storage drivers', () => {
+    const originalChrome = global.chrome;
+    const originalBrowser = global.browser;
+
+    beforeEach(() => {
+        jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        global.chrome = originalChrome;
+        global.browser = originalBrowser;
+        Storage.use(null);
+        jest.restoreAllMocks();
+    });
+
+    test('detects chrome, then browser, then localStorage', () => {
+        expect(Storage.getDriver().name).toBe('chrome');
+
+        delete global.chrome;
+        expect(Storage.getDriver().name).toBe('browser');
+
+        delete global.browser;
+        expect(Storage.getDriver().name).toBe('localStorage');
+    });
+
+    test('supports multi-key get and set with one call to the backend', async () => {
+        chrome.storage.local.get = jest.fn().mockResolvedValue({ a: 1, b: 2 });
+        chrome.storage.local.set = jest.fn().mockResolvedValue();
+
+        await expect(Storage.get(['a', 'b'])).resolves.toEqual({ a: 1, b: 2 });
+        await Storage.set({ a: 3, c: [4] });
+
+        expect(chrome.storage.local.get).toHaveBeenCalledWith(['a', 'b']);
+        expect(chrome.storage.local.set).toHaveBeenCalledWith({ a: 3, c: [4] });
+    });
+
+    test.each(['localStorage', 'memory'])('the %s driver round-trips values and reports changes', async (name) => {
+        Storage.use(name);
+        const listener = jest.fn();
+        const unsubscribe = Storage.onChanged(listener);
+
+        await Storage.set({ list: { ids: ['1', '2'] }, count: 2 });
+        await Storage.set('flag', true);
+        await Storage.remove(['count']);
+
+        await expect(Storage.get(['list', 'count', 'flag'])).resolves.toEqual({ list: { ids: ['1', '2'] }, flag: true });
+        await expect(Storage.get('list')).resolves.toEqual({ ids: ['1', '2'] });
+        await expect(Storage.getAllKeys()).resolves.toEqual(expect.arrayContaining(['list', 'flag']));
+        await expect(Storage.getBytesInUse(['flag'])).resolves.toBe('flag'.length + 'true'.length);
+        expect(listener).toHaveBeenCalledWith({ count: { oldValue: 2, newValue: undefined } });
+
+        unsubscribe();
+        await Storage.clear();
+        await expect(Storage.getAllValues()).resolves.toEqual({});
+        expect(listener).toHaveBeenCalledTimes(3);
+    });
+
+    test('the localStorage driver reads values written before the adapter', async () => {
+        localStorage.setItem('RecycleContentMessageQueue', '[{"id":"m1"}]');
+        localStorage.setItem('legacy', 'not json');
+        Storage.use('localStorage');
+
+        await expect(Storage.get(['RecycleContentMessageQueue', 'legacy'])).resolves.toEqual({
+            RecycleContentMessageQueue: [{ id: 'm1' }],
+            legacy: 'not json',
+        });
+    });
+
+    test('falls back to memory with a warning when nothing persists', async () => {
+        delete global.chrome;
+        delete global.browser;
+        const localStorageDescriptor = Object.getOwnPropertyDescriptor(window, 'localStorage');
+        Object.defineProperty(window, 'localStorage', { value: undefined, configurable: true });
+
+        try {
+            expect(Storage.getDriver().name).toBe('memory');
+            await Storage.set('k', 'v');
+            await expect(Storage.get('k')).resolves.toBe('v');
+            expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('kept in memory only'));
+        } finally {
+            Object.defineProperty(window, 'localStorage', localStorageDescriptor);
+        }
+    });
+
+    test('accepts custom drivers and rejects incomplete ones', async () => {
+        const data = { k: 1 };
+        const custom = {
+            name: 'custom',
+            get: jest.fn(async () => data),
+            set: jest.fn(async () => {}),
+            remove: jest.fn(async () => {}),
+            clear: jest.fn(async () => {}),
+        };
+
+        expect(Storage.use(custom)).toBe('custom');
+        await expect(Storage.get('k')).resolves.toBe(1);
+        await expect(Storage.getBytesInUse()).resolves.toBe(2);
+        expect(Storage.getQuotaBytes()).toBeNull();
+
+        expect(() => Storage.use('floppy')).toThrow('Unknown storage driver: floppy');
+        expect(() => Storage.use({ name: 'half', get() {} })).toThrow('Storage driver half is missing set()');
+    });
+});
+
+describe('Storage.transaction()', () => {
+    const markers = async () => (await Storage.getAllKeys()).filter(key => key.startsWith('storage_tx_'));
+
+    beforeEach(async () => {
+        jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+        localStorage.clear();
+        Storage.use('localStorage');
+        await Storage.set({ meta: { a: 1, b: 2 }, list_b: ['x'], history_b: [] });
+    });
+
+    afterEach(() => {
+        Storage.use(null);
+        jest.restoreAllMocks();
+    });
+
+    test('commits staged changes together and cleans up its marker', async () => {
+        const result = await Storage.transaction(['meta', 'list_b', 'history_b', 'list_c'], (tx) => {
+            const meta = tx.get('meta');
+            delete meta.b;
+            tx.set('meta', meta);
+            tx.remove('list_b');
+            tx.remove('history_b');
+            tx.set('list_c', ['y']);
+            expect(tx.get('list_b')).toBeUndefined();
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        await expect(Storage.getAllValues()).resolves.toEqual({ meta: { a: 1 }, list_c: ['y'] });
+        await expect(markers()).resolves.toEqual([]);
+    });
+
+    test('writes nothing when the callback throws or touches an undeclared key', async () => {
+        await expect(Storage.transaction(['meta'], (tx) => {
+            tx.set('meta', {});
+            throw new Error('changed my mind');
+        })).rejects.toThrow('changed my mind');
+        await expect(Storage.transaction(['meta'], tx => tx.remove('list_b')))
+            .rejects.toThrow('Key list_b is not part of this transaction');
+        await expect(Storage.transaction([], () => {})).rejects.toThrow('non-empty array');
+
+        await expect(Storage.get('meta')).resolves.toEqual({ a: 1, b: 2 });
+        await expect(Storage.get('list_b')).resolves.toEqual(['x']);
+    });
+
+    test('runs transactions one at a time', async () => {
+        await Storage.set('count', 0);
+        const increment = () => Storage.transaction(['count'], async (tx) => {
+            const count = tx.get('count');
+            await Promise.resolve();
+            tx.set('count', count + 1);
+        });
+
+        await Promise.all([increment(), increment(), increment()]);
+        await expect(Storage.get('count')).resolves.toBe(3);
+    });
+
+    test('rolls back a transaction whose commit never landed', async () => {
+        const driver = Storage.getDriver();
+        let sets = 0;
+        Storage.use({
+            ...driver,
+            set: async (items) => {
+                if (++sets === 2) throw new Error('service worker stopped');
+                return driver.set(items);
+            },
+        });
+        await expect(Storage.transaction(['meta', 'list_c'], (tx) => {
+            tx.set('meta', {});
+            tx.set('list_c', ['y']);
+        })).rejects.toThrow('service worker stopped');
+        Storage.use('localStorage');
+        await Storage.set({ meta: { half: true }, list_c: ['partial'] });
+
+        await expect(Storage.recoverTransactions()).resolves.toEqual({ rolledForward: 0, rolledBack: 1 });
+        await expect(Storage.getAllValues()).resolves.toEqual({ meta: { a: 1, b: 2 }, list_b: ['x'], history_b: [] });
+    });
+
+    test('rolls forward a committed transaction whose removals were cut short', async () => {
+        await Storage.set({
+            meta: { a: 1 },
+            storage_tx_1: {
+                id: '1', state: 'committed', keys: ['meta', 'list_b', 'history_b'],
+                before: { meta: { a: 1, b: 2 }, list_b: ['x'], history_b: [] },
+                after: { meta: { a: 1 } },
+                removed: ['list_b', 'history_b'],
+            },
+        });
+
+        await expect(Storage.recoverTransactions()).resolves.toEqual({ rolledForward: 1, rolledBack: 0 });
+        await expect(Storage.getAllValues()).resolves.toEqual({ meta: { a: 1 } });
+        expect(Logger.warn).toHaveBeenCalledWith(expect.stringContaining('1 rolled forward'));
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file storageEncryption.test.js
+ * @description Unit tests for encryption at rest in the Storage module.
+ */
+
+import Storage from '../../scripts/common/storage.js';
+import ExclusionList from '../../scripts/services/exclusionList.js';
+import Logger from '../../scripts/common/logger.js';
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('Storage encryption', () => {
+  let backing;
+  let session;
+
+  const read = (area, keys) => {
+    const wanted = keys === null ? Object.keys(area) : [].concat(keys);
+    return Object.fromEntries(wanted.filter(key => key in area).map(key => [key, area[key]]));
+  };
+
+  beforeEach(() => {
+    backing = {
+      exclusion_m1: { subscribers: ['fan-1', 'fan-2'] },
+      exclusionlog_m1: [{ action: 'add', ids: ['fan-1'] }],
+      isRecycling: true,
+    };
+    session = {};
+    chrome.storage.local.get = jest.fn(async keys => read(backing, keys));
+    chrome.storage.local.set = jest.fn(async (items) => { Object.assign(backing, items); });
+    chrome.storage.local.remove = jest.fn(async (keys) => { [].concat(keys).forEach(key => delete backing[key]); });
+    chrome.storage.session = {
+      get: jest.fn(async keys => read(session, keys)),
+      set: jest.fn(async (items) => { Object.assign(session, items); }),
+      remove: jest.fn(async (keys) => { [].concat(keys).forEach(key => delete session[key]); }),
+    };
+    jest.spyOn(Logger, 'info').mockImplementation(() => {});
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+    Storage.use('chrome');
+  });
+
+  afterEach(async () => {
+    await Storage.lock();
+    Storage.use(null);
+    delete chrome.storage.local.remove;
+    delete chrome.storage.session;
+    jest.restoreAllMocks();
+  });
+
+  test('is off until enabled', async () => {
+    await expect(Storage.getEncryptionStatus()).resolves.toEqual({ enabled: false, locked: false, autoLockMinutes: null });
+    await expect(Storage.unlock(PASSPHRASE)).rejects.toThrow('Storage encryption is not enabled');
+    await expect(Storage.enableEncryption('short')).rejects.toThrow('at least 8 characters');
+  });
+
+  test('enabling encrypts existing subscriber data and leaves other keys in plaintext', async () => {
+    await expect(Storage.enableEncryption(PASSPHRASE)).resolves.toBe(2);
+
+    expect(backing.exclusion_m1).toEqual({ enc: 'aes-gcm', iv: expect.any(String), data: expect.any(String) });
+    expect(backing.exclusionlog_m1.enc).toBe('aes-gcm');
+    expect(backing.isRecycling).toBe(true);
+    expect(JSON.stringify(backing)).not.toContain('fan-1');
+    await expect(Storage.getEncryptionStatus()).resolves.toEqual({ enabled: true, locked: false, autoLockMinutes: 15 });
+    expect(backing.storage_encryption.iterations).toBe(600000);
+    await expect(Storage.enableEncryption(PASSPHRASE)).rejects.toThrow('already enabled');
+  });
+
+  test('reads and writes are transparent while unlocked', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+
+    await Storage.set({ exclusion_m2: { subscribers: ['fan-3'] }, lastRun: 5 });
+
+    expect(backing.exclusion_m2.enc).toBe('aes-gcm');
+    expect(backing.lastRun).toBe(5);
+    await expect(Storage.get('exclusion_m2')).resolves.toEqual({ subscribers: ['fan-3'] });
+    await expect(Storage.get(['exclusion_m1', 'isRecycling'])).resolves.toEqual({
+      exclusion_m1: { subscribers: ['fan-1', 'fan-2'] },
+      isRecycling: true,
+    });
+  });
+
+  test('round-trips a list larger than 256KB', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    const subscribers = Array.from({ length: 40000 }, (_, i) => `fan-${i}`);
+
+    await Storage.set({ exclusion_big: { subscribers } });
+
+    expect(backing.exclusion_big.data.length).toBeGreaterThan(256 * 1024);
+    await expect(Storage.get('exclusion_big')).resolves.toEqual({ subscribers });
+  });
+
+  test('locking blocks subscriber data but not other keys', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    await Storage.lock();
+
+    await expect(Storage.isLocked()).resolves.toBe(true);
+    await expect(Storage.get('exclusion_m1')).rejects.toMatchObject({ code: 'STORAGE_LOCKED' });
+    await expect(Storage.set({ exclusion_m2: [] })).rejects.toMatchObject({ code: 'STORAGE_LOCKED' });
+    await expect(Storage.get('isRecycling')).resolves.toBe(true);
+    expect(session).toEqual({});
+  });
+
+  test('unlock rejects a wrong passphrase and accepts the right one', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    await Storage.lock();
+
+    await expect(Storage.unlock('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+    await expect(Storage.isLocked()).resolves.toBe(true);
+
+    await Storage.unlock(PASSPHRASE);
+    await expect(Storage.get('exclusion_m1')).resolves.toEqual({ subscribers: ['fan-1', 'fan-2'] });
+  });
+
+  test('keeps the key in memory only, so a restarted worker is locked until unlocked again', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    expect(Storage.encryption.key.extractable).toBe(false);
+    expect(chrome.storage.session.set).not.toHaveBeenCalled();
+    expect(JSON.stringify(backing.storage_encryption)).not.toMatch(/"key"/);
+
+    // A stopped worker loses its memory
+    Storage.encryption.key = null;
+
+    await expect(Storage.get('exclusion_m1')).rejects.toMatchObject({ code: 'STORAGE_LOCKED' });
+    await Storage.unlock(PASSPHRASE);
+    await expect(Storage.get('exclusion_m1')).resolves.toEqual({ subscribers: ['fan-1', 'fan-2'] });
+    expect(session).toEqual({});
+  });
+
+  test('leaves keys outside the encrypted prefixes, such as message_history_, in plaintext', async () => {
+    backing.message_history_m1 = [{ sentAt: 1 }];
+
+    await Storage.enableEncryption(PASSPHRASE);
+
+    expect(backing.message_history_m1).toEqual([{ sentAt: 1 }]);
+  });
+
+  test('extension pages and content scripts never import the key', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    Storage.encryption.key = null;
+    chrome.runtime = { id: 'recyclecontent' };
+
+    try {
+      await expect(Storage.get('exclusion_m1')).rejects.toMatchObject({ code: 'STORAGE_LOCKED' });
+      await expect(Storage.unlock(PASSPHRASE)).rejects.toThrow('only be unlocked in the background worker');
+      expect(Storage.encryption.key).toBeNull();
+    } finally {
+      delete chrome.runtime;
+    }
+  });
+
+  test('keeps exclusion_meta in plaintext so it stays readable while locked', async () => {
+    backing.exclusion_meta = { m1: { name: 'Message m1', count: 2 } };
+    await Storage.enableEncryption(PASSPHRASE);
+    await Storage.set({ exclusion_meta: { m1: { name: 'Message m1', count: 3 } } });
+    await Storage.lock();
+
+    expect(backing.exclusion_meta).toEqual({ m1: { name: 'Message m1', count: 3 } });
+    await expect(Storage.get('exclusion_meta')).resolves.toEqual({ m1: { name: 'Message m1', count: 3 } });
+  });
+
+  test('unlocking writes back a meta index encrypted by an earlier version', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    const encrypted = { ...backing.exclusion_m1 };
+    await Storage.lock();
+    // Same key, so a value encrypted under exclusion_m1 decrypts as the old meta would
+    backing.exclusion_meta = encrypted;
+
+    await Storage.unlock(PASSPHRASE);
+
+    expect(backing.exclusion_meta).toEqual({ subscribers: ['fan-1', 'fan-2'] });
+  });
+
+  test('locks itself after the configured idle time', async () => {
+    const start = 1700000000000;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    await Storage.enableEncryption(PASSPHRASE, { autoLockMinutes: 5 });
+
+    now.mockReturnValue(start + 4 * 60 * 1000);
+    await expect(Storage.get('exclusion_m1')).resolves.toBeDefined();
+
+    now.mockReturnValue(start + 10 * 60 * 1000);
+    await expect(Storage.isLocked()).resolves.toBe(true);
+    await expect(Storage.get('exclusion_m1')).rejects.toMatchObject({ code: 'STORAGE_LOCKED' });
+  });
+
+  test('transaction markers never hold subscriber data in plaintext', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    chrome.storage.local.set.mockClear();
+
+    await Storage.transaction(['exclusion_m1'], (tx) => {
+      tx.set('exclusion_m1', { subscribers: ['fan-1', 'fan-2', 'fan-9'] });
+    });
+
+    const written = chrome.storage.local.set.mock.calls.map(([items]) => JSON.stringify(items)).join();
+    expect(written).toContain('storage_tx_');
+    expect(written).not.toMatch(/fan-\d/);
+    await expect(Storage.get('exclusion_m1')).resolves.toEqual({ subscribers: ['fan-1', 'fan-2', 'fan-9'] });
+  });
+
+  test('disabling writes everything back in plaintext', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    await expect(Storage.disableEncryption('wrong passphrase')).rejects.toThrow('Wrong passphrase');
+
+    await expect(Storage.disableEncryption(PASSPHRASE)).resolves.toBe(2);
+
+    expect(backing.exclusion_m1).toEqual({ subscribers: ['fan-1', 'fan-2'] });
+    expect('storage_encryption' in backing).toBe(false);
+    await expect(Storage.getEncryptionStatus()).resolves.toEqual(expect.objectContaining({ enabled: false }));
+  });
+
+  test('a locked exclusion list is an error, not a missing list', async () => {
+    await Storage.enableEncryption(PASSPHRASE);
+    await Storage.lock();
+    ExclusionList.clearCache();
+
+    await expect(ExclusionList.getList('m1')).rejects.toMatchObject({ code: 'STORAGE_LOCKED' });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @file storageMonitor.test.js
+ * @description Unit tests for the StorageMonitor module.
+ */
+
+import StorageMonitor from '../../scripts/background/storageMonitor.js';
+import NotificationManager from '../../scripts/background/notificationManager.js';
+import Logger from '../../scripts/common/logger.js';
+
+const QUOTA = 1000;
+
+describe('StorageMonitor', () => {
+  let backing;
+  let monitor;
+  let notify;
+
+  const sizeOf = value => (typeof value === 'string' ? value : JSON.stringify(value)).length;
+  const size = (keys) => [].concat(keys ?? Object.keys(backing))
+    .filter(key => key in backing)
+    .reduce((total, key) => total + sizeOf(backing[key]), 0);
+
+  beforeEach(() => {
+    backing = {
+      exclusion_a: 'x'.repeat(300),
+      exclusion_meta: 'x'.repeat(20),
+      exclusionlog_a: 'x'.repeat(100),
+      media_cache_m1: 'x'.repeat(50),
+      RecycleContentMessageQueue: 'x'.repeat(30),
+      maintenance_runs: 'x'.repeat(10),
+      isRecycling: 'x',
+    };
+    chrome.storage.local.get = jest.fn(async (keys) => {
+      const wanted = keys === null ? Object.keys(backing) : [].concat(keys);
+      return Object.fromEntries(wanted.filter(key => key in backing).map(key => [key, backing[key]]));
+    });
+    chrome.storage.local.set = jest.fn(async (items) => { Object.assign(backing, items); });
+    chrome.storage.local.getBytesInUse = jest.fn(async keys => size(keys));
+    chrome.storage.local.QUOTA_BYTES = QUOTA;
+    notify = jest.spyOn(NotificationManager, 'showStorageWarning').mockResolvedValue('rc-notif-1');
+    jest.spyOn(Logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(Logger, 'error').mockImplementation(() => {});
+
+    monitor = new StorageMonitor();
+  });
+
+  afterEach(() => {
+    delete chrome.storage.local.getBytesInUse;
+    delete chrome.storage.local.QUOTA_BYTES;
+    jest.restoreAllMocks();
+  });
+
+  test('breaks usage down by namespace', async () => {
+    await expect(monitor.getUsage()).resolves.toEqual({
+      bytesInUse: 511,
+      quotaBytes: QUOTA,
+      percentUsed: 51.1,
+      namespaces: { history: 100, exclusionLists: 320, mediaCache: 50, queue: 30, logs: 10, other: 1 },
+    });
+  });
+
+  test('warns once per threshold crossed and re-arms when usage drops', async () => {
+    backing.exclusion_b = 'x'.repeat(300);
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: 80 }));
+    expect(notify).toHaveBeenCalledWith(81.1, 'exclusion lists');
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: null }));
+    expect(notify).toHaveBeenCalledTimes(1);
+
+    backing.exclusion_c = 'x'.repeat(150);
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: 95 }));
+
+    delete backing.exclusion_b;
+    delete backing.exclusion_c;
+    await monitor.check();
+    expect(backing.storage_monitor.lastWarned).toBeNull();
+
+    backing.exclusion_b = 'x'.repeat(300);
+    await monitor.check();
+    expect(notify).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not warn when the backend has no quota', async () => {
+    delete chrome.storage.local.QUOTA_BYTES;
+    backing.exclusion_b = 'x'.repeat(5000);
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: null }));
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('thresholds are configurable and validated', async () => {
+    await expect(monitor.getThresholds()).resolves.toEqual([80, 95]);
+    await expect(monitor.configure({ thresholds: [50, 25, 50] })).resolves.toEqual([25, 50]);
+    await expect(monitor.configure({ thresholds: [150] })).rejects.toThrow('at most 100');
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: 50 }));
+  });
+
+  test('a failed notification is logged and retried on the next check', async () => {
+    backing.exclusion_b = 'x'.repeat(300);
+    notify.mockRejectedValueOnce(new Error('notifications unavailable'));
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: null }));
+    expect(Logger.error).toHaveBeenCalledWith('Could not show storage warning: notifications unavailable');
+
+    await expect(monitor.check()).resolves.toEqual(expect.objectContaining({ warned: 80 }));
+  });
+});